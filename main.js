@@ -14,43 +14,390 @@
 
 const { Actor } = require('apify');
 const QRCode = require('qrcode');
-const sharp = require('sharp');
-const PDFDocument = require('pdfkit');
 const axios = require('axios');
 
 // Import custom modules
-const { generateStyledQR } = require('./src/stylingEngine');
+const { generateStyledQR, isArtisticStyle } = require('./src/stylingEngine');
+const { generateStyledSVG } = require('./src/svgRenderer');
+const { generatePrintPDF, MM_TO_PT } = require('./src/pdfRenderer');
+const { encodeRaster, RASTER_FORMATS } = require('./src/rasterFormats');
+const { generateEPS, generateDXF } = require('./src/vectorExport');
+const { generateAnimatedQR, ANIMATED_FORMATS } = require('./src/animation');
+const { createModuleMatrix } = require('./src/moduleMatrix');
+const { getQRCodeSegments } = require('./src/qrEncoder');
+const { checkCapacity, SYMBOLOGIES, QUIET_ZONES } = require('./src/symbologies');
+const {
+    generateBarcodeSVG,
+    composeProductTag,
+    renderSVGToPNG,
+    normalizeBarcodeContent,
+    isLinearSymbology,
+    LINEAR_SYMBOLOGIES
+} = require('./src/linearBarcodes');
+const {
+    needsStructuredAppend,
+    planStructuredAppend,
+    getSetLayout,
+    composeStructuredAppendSet
+} = require('./src/structuredAppend');
+const { planLogoPlacement, compositeLogo } = require('./src/logoPlacement');
 const { shortenUrl, createTrackingUrl } = require('./src/urlShortener');
 const { loadBatchData, exportToCSV } = require('./src/batchProcessor');
 const { createZipArchive, saveZipToKVStore, addFilesToArchive } = require('./src/zipExporter');
-const { validateQRCode, batchValidate } = require('./src/validator');
+const { createLabelSheet, saveLabelSheetToKVStore } = require('./src/labelSheet');
+const { validateQRCode, batchValidate, preflightCheck, summarizePreflight } = require('./src/validator');
 const { getTemplate, applyTemplate, listTemplates } = require('./src/templates');
 const { WebhookManager, notifyGenerationStarted } = require('./src/webhooks');
 const { formatQRContent, generateSummary, chunkArray, formatBytes } = require('./src/utils');
+const { getPaymentStandard } = require('./src/paymentCodes');
+const { hexToRgb, isHexColor } = require('./src/colorUtils');
+const { addSwissCross, composePaymentSlip, getReferenceType, PAYMENT_SLIP_SIZE_MM } = require('./src/swissQrBill');
 
 /**
- * Download and process logo image
+ * Download a logo, font or image as a buffer
  */
-async function downloadLogo(logoUrl) {
+async function downloadAsset(url, description) {
     try {
-        const response = await axios.get(logoUrl, {
+        const response = await axios.get(url, {
             responseType: 'arraybuffer',
             timeout: 10000
         });
         return Buffer.from(response.data);
     } catch (error) {
-        console.log(`Warning: Failed to download logo from ${logoUrl}: ${error.message}`);
+        console.log(`Warning: Failed to download ${description} from ${url}: ${error.message}`);
         return null;
     }
 }
 
+/**
+ * Load the background image for artistic styles from a URL or a key-value store record
+ */
+async function loadBackgroundImage(customization) {
+    if (customization.backgroundImageKey) {
+        const record = await Actor.getValue(customization.backgroundImageKey);
+        if (Buffer.isBuffer(record)) {
+            return record;
+        }
+        console.log(`Warning: Key-value store record ${customization.backgroundImageKey} is not an image`);
+        return null;
+    }
+
+    return customization.backgroundImageUrl
+        ? await downloadAsset(customization.backgroundImageUrl, 'background image')
+        : null;
+}
+
+/**
+ * Load the logo (already downloaded once a logo plan is made), caption font
+ * and background image used by the styled renderers
+ */
+async function loadStyleAssets(customization) {
+    return {
+        logoBuffer: customization.logoBuffer ||
+            (customization.logoUrl ? await downloadAsset(customization.logoUrl, 'logo') : null),
+        fontBuffer: customization.frameFontUrl ? await downloadAsset(customization.frameFontUrl, 'font') : null,
+        imageBuffer: isArtisticStyle(customization.dotsStyle || customization.style)
+            ? await loadBackgroundImage(customization)
+            : null
+    };
+}
+
+/**
+ * Check whether customization requires the styling engine
+ */
+function usesAdvancedStyling(customization) {
+    // Symbologies other than QR and ECI headers are only drawn from the module matrix
+    return !!(isAlternativeSymbology(customization) || customization.eci || customization.style || customization.gradientType || customization.frame ||
+        customization.cornersSquareStyle || customization.cornersDotStyle ||
+        customization.gradient || customization.eyeGradient || customization.backgroundGradient);
+}
+
+/**
+ * Check whether a symbology other than standard QR is selected
+ */
+function isAlternativeSymbology(customization) {
+    return !!customization.symbology && customization.symbology !== SYMBOLOGIES.QR;
+}
+
+/**
+ * Check that content fits the selected symbology and drop the options these
+ * symbols cannot carry. Returns the customization with the quiet
+ * zone and the symbol report.
+ */
+function prepareSymbology(content, customization, id) {
+    const check = checkCapacity(content, {
+        symbology: customization.symbology,
+        errorCorrectionLevel: customization.errorCorrectionLevel || 'M',
+        version: customization.symbologyVersion
+    });
+
+    if (!check.fits) {
+        throw new Error(check.message);
+    }
+
+    const prepared = {
+        ...customization,
+        errorCorrectionLevel: check.errorCorrectionLevel || 'L',
+        margin: customization.margin || QUIET_ZONES[check.symbology]
+    };
+
+    if (prepared.eci) {
+        console.log(`Warning: ECI headers are only written to QR codes; ignoring eci for ${check.symbology} code ${id}`);
+        delete prepared.eci;
+    }
+    // Logos are only planned against the QR error correction budget
+    if (prepared.logoUrl) {
+        console.log(`Warning: Logos are not supported on ${check.symbology} codes; skipping logo for ${id}`);
+        delete prepared.logoUrl;
+    }
+    if (check.width !== check.height && prepared.frame && prepared.frame !== 'none') {
+        console.log(`Warning: Frames need a square code; skipping frame for ${check.symbology} code ${id}`);
+        delete prepared.frame;
+    }
+    if (isArtisticStyle(prepared.dotsStyle || prepared.style)) {
+        console.log(`Warning: Artistic styles cannot be verified on ${check.symbology} codes; rendering square modules for ${id}`);
+        prepared.style = 'square';
+        delete prepared.dotsStyle;
+    }
+
+    return {
+        customization: prepared,
+        symbol: {
+            symbology: check.symbology,
+            version: check.version,
+            errorCorrectionLevel: check.errorCorrectionLevel,
+            mode: check.mode,
+            length: check.length,
+            capacity: check.capacity,
+            modules: `${check.width}x${check.height}`
+        }
+    };
+}
+
+/**
+ * Check a linear barcode's content and check digit and drop the options that
+ * only apply to 2D codes. Returns the customization and the symbol report.
+ */
+function prepareLinearBarcode(content, customization, id) {
+    const symbol = describeBarcode(content, customization.symbology);
+    const prepared = { ...customization };
+
+    if (prepared.logoUrl || (prepared.frame && prepared.frame !== 'none')) {
+        console.log(`Warning: Logos and frames do not apply to linear barcodes; skipping them for ${id}`);
+        delete prepared.logoUrl;
+        delete prepared.frame;
+    }
+    if (isArtisticStyle(prepared.dotsStyle || prepared.style)) {
+        console.log(`Warning: Artistic styles do not apply to linear barcodes; skipping them for ${id}`);
+        delete prepared.style;
+        delete prepared.dotsStyle;
+    }
+    if (prepared.eci) {
+        console.log(`Warning: ECI headers do not apply to linear barcodes; ignoring eci for ${id}`);
+        delete prepared.eci;
+    }
+
+    return { customization: prepared, symbol };
+}
+
+/**
+ * Describe a linear barcode: the encoded content with its check digit and the
+ * human-readable text
+ */
+function describeBarcode(content, symbology) {
+    const { text, checkDigit, humanReadable } = normalizeBarcodeContent(content, symbology);
+    return { symbology, content: text, checkDigit, humanReadable };
+}
+
+/**
+ * Split content that is too long for one QR code into a Structured Append
+ * series. Logos, frames and artistic styles are dropped so each symbol fills
+ * its cell of the numbered set. Returns the customization and the series report.
+ */
+function prepareStructuredAppend(content, customization, appendOptions, id) {
+    const series = planStructuredAppend(content, {
+        errorCorrectionLevel: customization.errorCorrectionLevel || 'M',
+        maxVersion: appendOptions.maxVersion || 40
+    });
+    const prepared = { ...customization, structuredAppendSeries: { ...series, columns: appendOptions.columns } };
+
+    if (prepared.logoUrl || (prepared.frame && prepared.frame !== 'none') ||
+        isArtisticStyle(prepared.dotsStyle || prepared.style)) {
+        console.log(`Warning: Logos, frames and artistic styles are not used for Structured Append series; skipping them for ${id}`);
+        delete prepared.logoUrl;
+        delete prepared.frame;
+        if (isArtisticStyle(prepared.dotsStyle || prepared.style)) {
+            delete prepared.style;
+            delete prepared.dotsStyle;
+        }
+    }
+    // Series parts are split by UTF-8 byte count, so they carry no ECI header
+    if (prepared.eci) {
+        console.log(`Warning: Structured Append series are encoded as UTF-8 without an ECI header; ignoring eci for ${id}`);
+        delete prepared.eci;
+    }
+
+    const layout = getSetLayout(series.symbols.length, {
+        size: prepared.size || 300,
+        columns: appendOptions.columns
+    });
+    console.log(`Split ${id} into ${series.symbols.length} Structured Append symbols (version ${series.version})`);
+
+    return {
+        customization: prepared,
+        report: {
+            symbols: series.symbols.length,
+            version: series.version,
+            errorCorrectionLevel: series.errorCorrectionLevel,
+            parity: series.parity,
+            modules: 17 + series.version * 4,
+            margin: prepared.margin || 4,
+            columns: layout.columns,
+            cells: layout.cells,
+            parts: series.symbols.map(({ index, length }) => ({ index, length }))
+        }
+    };
+}
+
+/**
+ * Set the error correction level a payment standard requires. Logos are
+ * shrunk to fit instead of raising the level.
+ */
+function applyRequiredErrorCorrection(customization, standard, id) {
+    const level = standard.errorCorrectionLevel;
+    if (customization.errorCorrectionLevel && customization.errorCorrectionLevel !== level) {
+        console.log(`Warning: ${standard.name} codes use error correction level ${level}; ignoring ${customization.errorCorrectionLevel} for ${id}`);
+    }
+
+    return {
+        ...customization,
+        errorCorrectionLevel: level,
+        ...(customization.logoUrl ? { logoFitStrategy: 'shrink-logo' } : {})
+    };
+}
+
+/**
+ * Prepare a Swiss QR-bill: a plain QR code with the Swiss cross at its
+ * center, so logos, frames, artistic styles, ECI headers and other
+ * symbologies are dropped. PDF output is the payment slip. Returns the
+ * customization and the bill report.
+ */
+function prepareSwissQRBill(content, formattedContent, customization, id) {
+    const bill = typeof content === 'string' ? JSON.parse(content) : content;
+    const prepared = { ...customization, margin: customization.margin || 4 };
+
+    if (isAlternativeSymbology(prepared)) {
+        console.log(`Warning: Swiss QR-bills are QR codes; ignoring symbology ${prepared.symbology} for ${id}`);
+        delete prepared.symbology;
+        delete prepared.symbologyVersion;
+    }
+    if (prepared.logoUrl || (prepared.frame && prepared.frame !== 'none') || prepared.barcode) {
+        console.log(`Warning: The Swiss cross takes the center of a QR-bill; skipping logo, frame and barcode for ${id}`);
+        delete prepared.logoUrl;
+        delete prepared.frame;
+        delete prepared.barcode;
+    }
+    if (isArtisticStyle(prepared.dotsStyle || prepared.style)) {
+        console.log(`Warning: Artistic styles are not used for Swiss QR-bills; rendering square modules for ${id}`);
+        prepared.style = 'square';
+        delete prepared.dotsStyle;
+    }
+    if (prepared.eci) {
+        console.log(`Warning: Swiss QR-bills are encoded as UTF-8 without an ECI header; ignoring eci for ${id}`);
+        delete prepared.eci;
+    }
+
+    // The QR-bill standard prints black modules on white; dark mode has
+    // already swapped the colors, so they are reset rather than swapped back
+    const colorOptions = ['darkMode', 'transparentBackground', 'gradient', 'gradientType', 'eyeGradient',
+        'backgroundGradient', 'cornersSquareColor', 'cornersDotColor'];
+    const isColor = (color, rgb) => !color || (isHexColor(color) && hexToRgb(color).join() === rgb);
+    if (colorOptions.some(option => prepared[option]) ||
+        !isColor(prepared.foregroundColor, '0,0,0') || !isColor(prepared.backgroundColor, '255,255,255')) {
+        console.log(`Warning: Swiss QR-bills are printed black on white; skipping colors, gradients, dark mode and transparency for ${id}`);
+        colorOptions.forEach(option => delete prepared[option]);
+    }
+    prepared.foregroundColor = '#000000';
+    prepared.backgroundColor = '#FFFFFF';
+
+    const matrix = createModuleMatrix(formattedContent, {
+        errorCorrectionLevel: prepared.errorCorrectionLevel,
+        margin: prepared.margin
+    });
+    prepared.swissQRBill = { bill, modules: matrix.width, margin: matrix.margin };
+
+    return {
+        customization: prepared,
+        report: {
+            referenceType: getReferenceType(bill),
+            amount: bill.amount !== undefined && bill.amount !== null && bill.amount !== '' ? Number(bill.amount) : null,
+            currency: String(bill.currency || 'CHF').toUpperCase(),
+            language: String(bill.language || 'en').toLowerCase(),
+            modules: matrix.width
+        }
+    };
+}
+
+/**
+ * Log pre-flight problems; notes such as a Structured Append split are
+ * logged without the warning prefix
+ */
+function logPreflightFlags(id, preflight) {
+    for (const flag of preflight.flags) {
+        const prefix = flag.level === 'info' ? 'Pre-flight' : `Warning: Pre-flight ${flag.level}`;
+        console.log(`${prefix} for ${id}: ${flag.message}`);
+    }
+}
+
+/**
+ * EPS, DXF and animations are built from a single module matrix, which
+ * linear barcodes, product tags and Structured Append series don't have
+ * and which would leave out the Swiss cross of a QR-bill
+ */
+const MATRIX_FORMATS = ['eps', 'dxf', 'gif', 'apng'];
+
+function supportsMatrixFormats(customization) {
+    return !(isLinearSymbology(customization.symbology) || customization.barcode ||
+        customization.structuredAppendSeries || customization.swissQRBill);
+}
+
+/**
+ * Apply dark mode: the design is drawn light-on-dark by swapping the
+ * foreground and background colors
+ */
+function applyColorMode(customization) {
+    if (!customization.darkMode) {
+        return customization;
+    }
+
+    return {
+        ...customization,
+        foregroundColor: customization.backgroundColor || '#FFFFFF',
+        backgroundColor: customization.foregroundColor || '#000000'
+    };
+}
+
+/**
+ * Get the light color for the qrcode library; fully transparent when the
+ * background is transparent
+ */
+function getLightColor(customization) {
+    return customization.transparentBackground ? '#00000000' : customization.backgroundColor || '#FFFFFF';
+}
+
 /**
  * Generate QR code as PNG with optional logo overlay
  */
 async function generatePNG(content, customization, id) {
+    // Linear barcodes, product tags, Structured Append sets and QR-bills are laid out as SVG and rasterized
+    if (isLinearSymbology(customization.symbology) || customization.barcode || customization.structuredAppendSeries ||
+        customization.swissQRBill) {
+        return await renderSVGToPNG(await generateSVG(content, customization));
+    }
+
     // If advanced styling is enabled, use styled generator
-    if (customization.style || customization.gradientType || customization.frame) {
-        return await generateStyledQR(content, customization);
+    if (usesAdvancedStyling(customization)) {
+        return await generateStyledQR(content, customization, await loadStyleAssets(customization));
     }
 
     // Otherwise use standard generation
@@ -61,33 +408,35 @@ async function generatePNG(content, customization, id) {
         margin: customization.margin || 4,
         color: {
             dark: customization.foregroundColor || '#000000',
-            light: customization.backgroundColor || '#FFFFFF'
+            light: getLightColor(customization)
         }
     };
 
-    const qrBuffer = await QRCode.toBuffer(content, options);
+    const { segments, ...segmentOptions } = getQRCodeSegments(content, options);
+    const qrBuffer = await QRCode.toBuffer(segments, { ...options, ...segmentOptions });
 
     // Add logo if provided
     if (customization.logoUrl) {
         try {
-            const logoBuffer = await downloadLogo(customization.logoUrl);
+            const logoBuffer = customization.logoBuffer || await downloadAsset(customization.logoUrl, 'logo');
             if (logoBuffer) {
-                const qrSize = customization.size || 300;
-                const logoSizePercent = customization.logoSize || 20;
-                const logoSize = Math.floor((qrSize * logoSizePercent) / 100);
-
-                const resizedLogo = await sharp(logoBuffer)
-                    .resize(logoSize, logoSize, { fit: 'contain' })
-                    .toBuffer();
-
-                const finalImage = await sharp(qrBuffer)
-                    .composite([{
-                        input: resizedLogo,
-                        gravity: 'center'
-                    }])
-                    .toBuffer();
-
-                return finalImage;
+                // The plate covers the modules cleared behind the logo
+                const matrix = customization.logoClearArea
+                    ? createModuleMatrix(content, {
+                        errorCorrectionLevel: options.errorCorrectionLevel,
+                        margin: options.margin,
+                        clearArea: customization.logoClearArea
+                    })
+                    : null;
+
+                return await compositeLogo(qrBuffer, logoBuffer, {
+                    size: customization.size || 300,
+                    logoSize: customization.logoSize || 20,
+                    matrix,
+                    plateColor: customization.logoBackgroundColor ||
+                        (customization.transparentBackground ? 'none' : options.color.light),
+                    cornerRadius: customization.logoCornerRadius
+                });
             }
         } catch (error) {
             console.log(`Warning: Failed to add logo to QR code ${id}: ${error.message}`);
@@ -101,6 +450,57 @@ async function generatePNG(content, customization, id) {
  * Generate QR code as SVG
  */
 async function generateSVG(content, customization) {
+    if (isLinearSymbology(customization.symbology)) {
+        return generateBarcodeSVG(content, customization);
+    }
+
+    // A product tag puts the code and a retail barcode on one label
+    if (customization.barcode) {
+        const { barcode, ...codeCustomization } = customization;
+        const codeSvg = await generateSVG(content, codeCustomization);
+        const barcodeSvg = generateBarcodeSVG(barcode.content, {
+            ...codeCustomization,
+            ...barcode,
+            symbology: barcode.symbology || LINEAR_SYMBOLOGIES.EAN13
+        });
+        return composeProductTag(codeSvg, barcodeSvg, customization);
+    }
+
+    // A Swiss QR-bill code carries the Swiss cross at its center
+    if (customization.swissQRBill) {
+        const { swissQRBill, ...codeCustomization } = customization;
+        return addSwissCross(await generateSVG(content, codeCustomization), {
+            ...swissQRBill,
+            foregroundColor: codeCustomization.foregroundColor,
+            backgroundColor: codeCustomization.backgroundColor
+        });
+    }
+
+    // A Structured Append series is drawn as a numbered set of symbols
+    if (customization.structuredAppendSeries) {
+        const { structuredAppendSeries: series, ...codeCustomization } = customization;
+        const assets = await loadStyleAssets(codeCustomization);
+        const symbolSvgs = [];
+        for (const symbol of series.symbols) {
+            symbolSvgs.push(await generateStyledSVG(symbol.content, {
+                ...codeCustomization,
+                errorCorrectionLevel: series.errorCorrectionLevel,
+                structuredAppend: {
+                    index: symbol.index,
+                    total: symbol.total,
+                    parity: series.parity,
+                    version: series.version
+                }
+            }, assets));
+        }
+        return composeStructuredAppendSet(symbolSvgs, { ...codeCustomization, columns: series.columns });
+    }
+
+    // Styled codes and logos are drawn as native vector shapes
+    if (usesAdvancedStyling(customization) || customization.logoUrl) {
+        return await generateStyledSVG(content, customization, await loadStyleAssets(customization));
+    }
+
     const options = {
         errorCorrectionLevel: customization.errorCorrectionLevel || 'M',
         type: 'svg',
@@ -108,39 +508,39 @@ async function generateSVG(content, customization) {
         margin: customization.margin || 4,
         color: {
             dark: customization.foregroundColor || '#000000',
-            light: customization.backgroundColor || '#FFFFFF'
+            light: getLightColor(customization)
         }
     };
 
-    return await QRCode.toString(content, options);
+    const { segments, ...segmentOptions } = getQRCodeSegments(content, options);
+    return await QRCode.toString(segments, { ...options, ...segmentOptions });
 }
 
 /**
- * Generate QR code as PDF
+ * Generate QR code as a vector PDF with print options
  */
-async function generatePDF(content, customization, id, filenamePrefix) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            const pngBuffer = await generatePNG(content, customization, id);
-            const doc = new PDFDocument({ size: 'A4', margin: 50 });
-
-            const chunks = [];
-            doc.on('data', chunk => chunks.push(chunk));
-            doc.on('end', () => resolve(Buffer.concat(chunks)));
-            doc.on('error', reject);
-
-            doc.fontSize(20).text(`QR Code: ${id || filenamePrefix}`, { align: 'center' });
-            doc.moveDown();
-
-            const qrSize = Math.min(customization.size || 300, 400);
-            doc.image(pngBuffer, { fit: [qrSize, qrSize], align: 'center' });
-            doc.moveDown();
+async function generatePDF(content, customization, id, filenamePrefix, pdfOptions = {}) {
+    const svg = await generateSVG(content, customization);
+
+    // A Swiss QR-bill prints as its payment part and receipt; only the color options apply
+    if (customization.swissQRBill) {
+        return await generatePrintPDF(composePaymentSlip(svg, customization.swissQRBill), {
+            pageSize: 'fit',
+            sizeMm: PAYMENT_SLIP_SIZE_MM[0],
+            showCaptions: false,
+            backgroundColor: '#FFFFFF',
+            colorMode: pdfOptions.colorMode,
+            cmykColors: pdfOptions.cmykColors,
+            spotColor: pdfOptions.spotColor
+        });
+    }
 
-            doc.fontSize(10).text(`Content: ${content.substring(0, 100)}${content.length > 100 ? '...' : ''}`, { align: 'center' });
-            doc.end();
-        } catch (error) {
-            reject(error);
-        }
+    return await generatePrintPDF(svg, {
+        title: `QR Code: ${id || filenamePrefix}`,
+        caption: `Content: ${content.substring(0, 100)}${content.length > 100 ? '...' : ''}`,
+        sizeMm: Math.min(customization.size || 300, 400) / MM_TO_PT,
+        backgroundColor: customization.transparentBackground ? null : customization.backgroundColor || '#FFFFFF',
+        ...pdfOptions
     });
 }
 
@@ -157,6 +557,22 @@ async function saveToKVStore(buffer, filename, contentType) {
     return publicUrl;
 }
 
+/**
+ * Resolve the list of output formats. 'all' uses outputFormats when given,
+ * otherwise PNG, SVG and PDF.
+ */
+function resolveOutputFormats(input) {
+    const outputFormat = input.outputFormat || 'png';
+
+    if (outputFormat !== 'all') {
+        return [outputFormat];
+    }
+
+    return Array.isArray(input.outputFormats) && input.outputFormats.length > 0
+        ? [...new Set(input.outputFormats)]
+        : ['png', 'svg', 'pdf'];
+}
+
 /**
  * Process a single QR code with advanced features
  */
@@ -164,6 +580,14 @@ async function processQRCode(qrConfig, globalCustomization, input, index, webhoo
     const id = qrConfig.id || `qr-${index + 1}`;
     let customization = { ...globalCustomization, ...(qrConfig.customization || {}) };
 
+    // Items in a mixed batch can pick their own symbology and product tag barcode
+    if (qrConfig.symbology) {
+        customization.symbology = qrConfig.symbology;
+    }
+    if (qrConfig.barcode) {
+        customization.barcode = qrConfig.barcode;
+    }
+
     // Apply template if specified
     if (qrConfig.template || input.template) {
         try {
@@ -176,6 +600,15 @@ async function processQRCode(qrConfig, globalCustomization, input, index, webhoo
         }
     }
 
+    // Dark mode swaps the colors before any format is rendered
+    customization = applyColorMode(customization);
+
+    // Some payment standards fix the error correction level
+    const paymentStandard = getPaymentStandard(qrConfig.type);
+    if (paymentStandard && paymentStandard.errorCorrectionLevel) {
+        customization = applyRequiredErrorCorrection(customization, paymentStandard, id);
+    }
+
     let content = qrConfig.content;
 
     // Apply URL shortening if enabled
@@ -204,35 +637,159 @@ async function processQRCode(qrConfig, globalCustomization, input, index, webhoo
     const result = {
         id,
         type: qrConfig.type,
+        symbology: customization.symbology || SYMBOLOGIES.QR,
         content: qrConfig.content,
         formattedContent,
+        metadata: qrConfig.metadata,
         format: input.outputFormat,
         size: customization.size,
         timestamp: new Date().toISOString(),
         customization: {
             errorCorrectionLevel: customization.errorCorrectionLevel,
+            eci: customization.eci,
             foregroundColor: customization.foregroundColor,
             backgroundColor: customization.backgroundColor,
             hasLogo: !!customization.logoUrl,
             style: customization.style,
-            hasGradient: !!customization.gradientType,
-            hasFrame: !!customization.frame
+            hasGradient: !!(customization.gradientType || customization.gradient ||
+                customization.eyeGradient || customization.backgroundGradient),
+            hasFrame: !!customization.frame,
+            hasBarcode: !!customization.barcode,
+            darkMode: !!customization.darkMode,
+            transparentBackground: !!customization.transparentBackground
         }
     };
 
     try {
-        const formats = input.outputFormat === 'all' ? ['png', 'svg', 'pdf'] : [input.outputFormat];
+        // Pre-flight: flag content that won't fit or prints too dense before rendering
+        result.preflight = preflightCheck(qrConfig.type, qrConfig.content, formattedContent, {
+            ...input.preflightOptions,
+            symbology: customization.symbology || SYMBOLOGIES.QR,
+            symbologyVersion: customization.symbologyVersion,
+            errorCorrectionLevel: customization.errorCorrectionLevel || 'M',
+            eci: customization.eci,
+            margin: customization.margin,
+            printSizeMm: input.preflightOptions?.printSizeMm || input.pdfOptions?.sizeMm,
+            structuredAppend: input.structuredAppendOptions
+        });
+        logPreflightFlags(id, result.preflight);
+        const blocking = result.preflight.flags.find(flag => flag.level === 'error');
+        if (blocking) {
+            throw new Error(blocking.message);
+        }
+
+        // Swiss QR-bills are plain QR codes with the Swiss cross
+        if (qrConfig.type === 'swiss_qr_bill') {
+            const prepared = prepareSwissQRBill(qrConfig.content, formattedContent, customization, id);
+            customization = prepared.customization;
+            result.swissQRBill = prepared.report;
+            Object.assign(result.customization, {
+                foregroundColor: customization.foregroundColor,
+                backgroundColor: customization.backgroundColor,
+                hasGradient: false,
+                darkMode: false,
+                transparentBackground: false
+            });
+        }
+
+        // Linear barcodes check their digits, other symbologies pick the
+        // smallest version that holds the content
+        if (isLinearSymbology(customization.symbology)) {
+            const prepared = prepareLinearBarcode(formattedContent, customization, id);
+            customization = prepared.customization;
+            result.symbol = prepared.symbol;
+        } else if (isAlternativeSymbology(customization)) {
+            const prepared = prepareSymbology(formattedContent, customization, id);
+            customization = prepared.customization;
+            result.symbol = prepared.symbol;
+            result.customization.errorCorrectionLevel = prepared.symbol.errorCorrectionLevel;
+        }
+
+        // Content too long for one QR code can be split into a Structured Append
+        // series; payment codes must stay a single symbol
+        const appendOptions = input.structuredAppendOptions || {};
+        if (appendOptions.enabled && !isAlternativeSymbology(customization) && !customization.barcode &&
+            !paymentStandard &&
+            needsStructuredAppend(formattedContent, {
+                errorCorrectionLevel: customization.errorCorrectionLevel || 'M',
+                maxVersion: appendOptions.maxVersion || 40,
+                eci: customization.eci
+            })) {
+            const prepared = prepareStructuredAppend(formattedContent, customization, appendOptions, id);
+            customization = prepared.customization;
+            result.structuredAppend = prepared.report;
+        }
+
+        // Product tag barcodes are checked before anything is rendered
+        if (customization.barcode) {
+            result.barcode = describeBarcode(
+                customization.barcode.content,
+                customization.barcode.symbology || LINEAR_SYMBOLOGIES.EAN13
+            );
+        }
+
+        // Fit the logo into the error correction budget before rendering any
+        // format. A logo that fails to download is left out, and the code
+        // keeps its own error correction level.
+        if (customization.logoUrl) {
+            const logoBuffer = await downloadAsset(customization.logoUrl, 'logo');
+
+            if (logoBuffer) {
+                const logoPlan = planLogoPlacement(formattedContent, {
+                    ...customization,
+                    margin: customization.margin || 4
+                });
+
+                customization = {
+                    ...customization,
+                    logoBuffer,
+                    errorCorrectionLevel: logoPlan.errorCorrectionLevel,
+                    logoSize: logoPlan.logoSize,
+                    logoClearArea: logoPlan.clearArea
+                };
+                result.customization.errorCorrectionLevel = logoPlan.errorCorrectionLevel;
+                result.logo = logoPlan.report;
+
+                for (const adjustment of logoPlan.report.adjustments) {
+                    console.log(`Logo adjustment for ${id}: ${adjustment}`);
+                }
+            } else {
+                const { logoUrl, ...withoutLogo } = customization;
+                customization = withoutLogo;
+                result.customization.hasLogo = false;
+                console.log(`Warning: Generating QR code ${id} without its logo`);
+            }
+        }
+
+        const formats = resolveOutputFormats(input);
         const files = {};
+        const skippedFormats = [];
+        let pngBuffer = null;
 
         for (const format of formats) {
+            // Formats the item cannot produce are skipped; its other files are kept
+            if (MATRIX_FORMATS.includes(format) && !supportsMatrixFormats(customization)) {
+                skippedFormats.push(format);
+                continue;
+            }
+
             const filename = `${input.filenamePrefix || 'qr-code'}-${id}.${format}`;
             let fileData;
             let contentType;
 
             switch (format) {
                 case 'png':
-                    fileData = await generatePNG(formattedContent, customization, id);
-                    contentType = 'image/png';
+                case 'jpeg':
+                case 'webp':
+                case 'avif':
+                case 'tiff':
+                    // Render once, then encode each raster format from the same image
+                    pngBuffer = pngBuffer || await generatePNG(formattedContent, customization, id);
+                    fileData = await encodeRaster(pngBuffer, format, {
+                        ...input.rasterOptions,
+                        backgroundColor: customization.backgroundColor || '#FFFFFF'
+                    });
+                    contentType = RASTER_FORMATS[format];
                     break;
 
                 case 'svg':
@@ -241,9 +798,43 @@ async function processQRCode(qrConfig, globalCustomization, input, index, webhoo
                     break;
 
                 case 'pdf':
-                    fileData = await generatePDF(formattedContent, customization, id, input.filenamePrefix || 'qr-code');
+                    fileData = await generatePDF(formattedContent, customization, id, input.filenamePrefix || 'qr-code', input.pdfOptions);
                     contentType = 'application/pdf';
                     break;
+
+                case 'eps':
+                    fileData = generateEPS(formattedContent, {
+                        ...customization,
+                        sizeMm: (customization.size || 300) / MM_TO_PT,
+                        ...input.vectorOptions
+                    });
+                    contentType = 'application/postscript';
+                    break;
+
+                case 'dxf':
+                    fileData = generateDXF(formattedContent, {
+                        ...customization,
+                        sizeMm: (customization.size || 300) / MM_TO_PT,
+                        ...input.vectorOptions
+                    });
+                    contentType = 'image/vnd.dxf';
+                    break;
+
+                case 'gif':
+                case 'apng': {
+                    // Every frame is rendered by the styling engine and checked by the validator
+                    const animated = await generateAnimatedQR(formattedContent, customization, await loadStyleAssets(customization), {
+                        ...input.animationOptions,
+                        format
+                    });
+                    fileData = animated.buffer;
+                    contentType = ANIMATED_FORMATS[format];
+                    result.animation = animated.report;
+                    break;
+                }
+
+                default:
+                    throw new Error(`Unsupported output format: ${format}`);
             }
 
             if (fileData) {
@@ -262,8 +853,44 @@ async function processQRCode(qrConfig, globalCustomization, input, index, webhoo
             }
         }
 
+        // Label sheets are laid out from vector artwork, so it is rendered
+        // even when none of the requested formats is SVG or PNG
+        if (input.labelSheet?.enabled && !files.svg && !files.png) {
+            result.labelArtwork = await generateSVG(formattedContent, customization);
+        }
+
+        // Photo-based styles are checked with a scanner before the result is returned
+        if (isArtisticStyle(customization.dotsStyle || customization.style)) {
+            const imageFile = ['png', 'jpeg', 'webp', 'avif', 'tiff', 'svg']
+                .map(format => files[format])
+                .find(file => file && file.buffer);
+
+            if (imageFile) {
+                const validation = await validateQRCode(imageFile.buffer, formattedContent);
+                result.readability = {
+                    readable: validation.readable && validation.contentMatches !== false,
+                    inverted: validation.inverted,
+                    quality: validation.quality,
+                    message: validation.message || validation.warning
+                };
+                if (!result.readability.readable) {
+                    console.log(`Warning: Artistic QR code ${id} could not be read back: ${validation.message}`);
+                }
+            }
+        }
+
+        if (skippedFormats.length > 0) {
+            const message = `${skippedFormats.map(format => format.toUpperCase()).join(', ')} output is not available ` +
+                'for linear barcodes, product tags, Structured Append series and Swiss QR-bills';
+            if (Object.keys(files).length === 0) {
+                throw new Error(message);
+            }
+            console.log(`Warning: ${message}; skipping it for ${id}`);
+            result.skippedFormats = skippedFormats;
+        }
+
         result.files = files;
-        result.fileUrl = files[formats[0]]?.url;
+        result.fileUrl = files[formats.find(format => files[format])]?.url;
         result.success = true;
 
         // Analytics tracking data
@@ -342,7 +969,7 @@ Actor.main(async () => {
     // Display configuration
     console.log(`⚙️  Configuration:`);
     console.log(`   QR codes to generate: ${qrCodes.length}`);
-    console.log(`   Output format: ${input.outputFormat || 'png'}`);
+    console.log(`   Output format: ${resolveOutputFormats(input).join(', ')}`);
     console.log(`   Max concurrency: ${input.maxConcurrency || 10}`);
     console.log(`   Analytics enabled: ${input.enableAnalytics !== false}`);
     console.log(`   Save to KV Store: ${input.saveToKeyValueStore !== false}`);
@@ -350,6 +977,7 @@ Actor.main(async () => {
     console.log(`   Template: ${input.template || 'none'}`);
     console.log(`   Validation: ${input.validateQRCodes ? 'enabled' : 'disabled'}`);
     console.log(`   ZIP export: ${input.exportZip ? 'enabled' : 'disabled'}`);
+    console.log(`   Label sheet: ${input.labelSheet?.enabled ? 'enabled' : 'disabled'}`);
     console.log(`   Webhooks: ${webhookManager ? 'enabled' : 'disabled'}\n`);
 
     // Display available templates
@@ -406,17 +1034,27 @@ Actor.main(async () => {
         console.log('\n🔍 Validating QR codes...');
         validationResults = await batchValidate(results, true);
 
+        // Symbologies the scanner cannot read are reported apart from the checked codes
+        const checkedCount = validationResults.filter(v => !v.skipped).length;
+        const skippedCount = validationResults.length - checkedCount;
         const validCount = validationResults.filter(v => v.valid && v.readable).length;
-        console.log(`Validation complete: ${validCount}/${validationResults.length} QR codes are readable`);
+        console.log(`Validation complete: ${validCount}/${checkedCount} QR codes are readable` +
+            (skippedCount > 0 ? ` (${skippedCount} skipped: validation is not available for their symbology)` : ''));
+
+        const invertedCount = validationResults.filter(v => v.inverted).length;
+        if (invertedCount > 0) {
+            console.log(`Warning: ${invertedCount} QR codes only decode with inverted colors; some phone scanners cannot read them`);
+        }
 
         await Actor.setValue('VALIDATION_RESULTS', validationResults);
 
         // Send validation webhook
         if (webhookManager) {
             await webhookManager.send('validation.completed', {
-                total: validationResults.length,
+                total: checkedCount,
                 valid: validCount,
-                invalid: validationResults.length - validCount
+                invalid: checkedCount - validCount,
+                skipped: skippedCount
             });
         }
     }
@@ -440,6 +1078,28 @@ Actor.main(async () => {
         }
     }
 
+    // Create label sheet if enabled
+    let labelSheetInfo = null;
+    if (input.labelSheet?.enabled) {
+        console.log('\n🏷️  Creating label sheet...');
+        try {
+            const sheet = await createLabelSheet(results, input.labelSheet);
+            labelSheetInfo = {
+                ...await saveLabelSheetToKVStore(sheet.buffer, `label-sheet-${Date.now()}.pdf`),
+                pages: sheet.pageCount,
+                labels: sheet.labelCount
+            };
+            console.log(`Label sheet created: ${labelSheetInfo.url} (${labelSheetInfo.labels} labels on ${labelSheetInfo.pages} pages, ${formatBytes(labelSheetInfo.size)})`);
+
+            // Send export webhook
+            if (webhookManager) {
+                await webhookManager.send('export.ready', labelSheetInfo);
+            }
+        } catch (error) {
+            console.log(`Warning: Failed to create label sheet: ${error.message}`);
+        }
+    }
+
     // Export to CSV if enabled
     if (input.exportCSV) {
         console.log('\n📄 Exporting results to CSV...');
@@ -450,6 +1110,7 @@ Actor.main(async () => {
 
     // Generate summary
     const summary = generateSummary(results);
+    const preflightSummary = summarizePreflight(results);
 
     // Display final summary
     console.log('\n========================================');
@@ -458,6 +1119,7 @@ Actor.main(async () => {
     console.log(`Total QR codes: ${summary.total}`);
     console.log(`Successful: ${summary.successful}`);
     console.log(`Failed: ${summary.failed}`);
+    console.log(`Pre-flight flagged: ${preflightSummary.flagged} (${preflightSummary.errors} errors, ${preflightSummary.dense} dense)`);
     console.log(`Success rate: ${summary.successRate}`);
     console.log(`Output format: ${input.outputFormat || 'png'}`);
     console.log(`Total size: ${summary.totalSize}`);
@@ -472,10 +1134,21 @@ Actor.main(async () => {
         });
     }
 
+    if (Object.keys(summary.bySymbology).length > 1) {
+        console.log('\nBy Symbology:');
+        Object.entries(summary.bySymbology).forEach(([symbology, count]) => {
+            console.log(`  - ${symbology}: ${count}`);
+        });
+    }
+
     if (zipInfo) {
         console.log(`\n📦 ZIP Archive: ${zipInfo.url}`);
     }
 
+    if (labelSheetInfo) {
+        console.log(`🏷️  Label Sheet: ${labelSheetInfo.url}`);
+    }
+
     console.log('========================================\n');
 
     // Save comprehensive output summary
@@ -491,19 +1164,30 @@ Actor.main(async () => {
         results: results.map(r => ({
             id: r.id,
             type: r.type,
+            symbology: r.symbology,
             success: r.success,
             fileUrl: r.fileUrl,
             error: r.error,
-            size: r.files ? Object.values(r.files)[0]?.size : undefined
+            size: r.files ? Object.values(r.files)[0]?.size : undefined,
+            preflight: r.preflight
         })),
+        preflight: preflightSummary,
         validation: validationResults ? {
-            total: validationResults.length,
+            total: validationResults.filter(v => !v.skipped).length,
             valid: validationResults.filter(v => v.valid && v.readable).length,
+            skipped: validationResults.filter(v => v.skipped).length,
+            inverted: validationResults.filter(v => v.inverted).length,
             results: validationResults
         } : undefined,
         export: zipInfo ? {
             zipUrl: zipInfo.url,
             zipSize: formatBytes(zipInfo.size)
+        } : undefined,
+        labelSheet: labelSheetInfo ? {
+            url: labelSheetInfo.url,
+            size: formatBytes(labelSheetInfo.size),
+            pages: labelSheetInfo.pages,
+            labels: labelSheetInfo.labels
         } : undefined
     };
 
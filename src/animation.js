@@ -0,0 +1,326 @@
+/**
+ * Animated QR Codes
+ * Renders animation frames with the styling engine, checks every frame with the
+ * validator and encodes them as animated GIF or APNG
+ */
+
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { generateStyledQR } = require('./stylingEngine');
+const { normalizeGradient, mixColors, GRADIENT_TYPES } = require('./gradients');
+const { validateQRCode } = require('./validator');
+const { SYMBOLOGIES } = require('./symbologies');
+
+/**
+ * Animation types
+ */
+const ANIMATION_TYPES = {
+    GRADIENT_SWEEP: 'gradient-sweep',
+    PULSING_EYES: 'pulsing-eyes',
+    LOGO_REVEAL: 'logo-reveal',
+    FRAME_CYCLE: 'frame-cycle'
+};
+
+/**
+ * Animated output formats and their content types
+ */
+const ANIMATED_FORMATS = {
+    gif: 'image/gif',
+    apng: 'image/apng'
+};
+
+/**
+ * Colors used when the animation does not name any
+ */
+const DEFAULT_SWEEP_COLORS = ['#000000', '#7928CA'];
+const DEFAULT_PULSE_COLOR = '#E91E63';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * CRC-32 lookup table (polynomial 0xEDB88320) used by PNG chunks
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Generate an animated QR code. Every frame must decode to the content,
+ * otherwise an error lists the frames that failed.
+ * Returns { buffer, report }.
+ */
+async function generateAnimatedQR(content, customization, assets = {}, options = {}) {
+    const {
+        format = 'gif',
+        animation = ANIMATION_TYPES.GRADIENT_SWEEP,
+        delay = 100,
+        loop = 0
+    } = options;
+
+    if (!ANIMATED_FORMATS[format]) {
+        throw new Error(`Unsupported animated format: ${format}`);
+    }
+
+    // Frames are checked with a QR decoder, which cannot read Micro QR or rMQR
+    if (customization.symbology && customization.symbology !== SYMBOLOGIES.QR) {
+        throw new Error(`Animated output is only available for QR codes, not ${customization.symbology}`);
+    }
+
+    const frameSettings = await getFrameSettings(customization, assets, options);
+    const rendered = [];
+    for (const frame of frameSettings) {
+        rendered.push(await generateStyledQR(content, frame.customization, frame.assets));
+    }
+    const frames = await fitFrames(rendered);
+
+    const unreadableFrames = [];
+    for (let i = 0; i < frames.length; i++) {
+        const validation = await validateQRCode(frames[i], content);
+        if (!validation.readable || validation.contentMatches === false) {
+            unreadableFrames.push(i + 1);
+        }
+    }
+
+    if (unreadableFrames.length > 0) {
+        throw new Error(`Animation frames ${unreadableFrames.join(', ')} of ${frames.length} could not be read`);
+    }
+
+    const buffer = format === 'gif'
+        ? await encodeGIF(frames, { delay, loop })
+        : await encodeAPNG(frames, { delay, loop });
+
+    return {
+        buffer,
+        report: {
+            animation,
+            format,
+            frameCount: frames.length,
+            delay,
+            loop,
+            readableFrames: frames.length
+        }
+    };
+}
+
+/**
+ * Get the customization and assets of every frame
+ */
+async function getFrameSettings(customization, assets, options) {
+    const {
+        animation = ANIMATION_TYPES.GRADIENT_SWEEP,
+        frameCount = 12,
+        colors = null,
+        frames = null
+    } = options;
+
+    const count = Math.max(Math.round(frameCount), 2);
+    const foregroundColor = customization.foregroundColor || '#000000';
+    const settings = [];
+
+    switch (animation) {
+        case ANIMATION_TYPES.GRADIENT_SWEEP: {
+            const base = normalizeGradient(customization.gradient) ||
+                normalizeGradient({ type: GRADIENT_TYPES.LINEAR, colors: colors || DEFAULT_SWEEP_COLORS });
+
+            for (let i = 0; i < count; i++) {
+                const turn = (2 * Math.PI * i) / count;
+                // Linear gradients rotate; radial gradients orbit the center
+                const gradient = base.type === GRADIENT_TYPES.RADIAL
+                    ? { ...base, center: { x: 0.5 + 0.25 * Math.cos(turn), y: 0.5 + 0.25 * Math.sin(turn) } }
+                    : { ...base, angle: base.angle + (360 * i) / count };
+                settings.push({ customization: { ...customization, gradient }, assets });
+            }
+            break;
+        }
+
+        case ANIMATION_TYPES.PULSING_EYES: {
+            const pulseColor = (colors && colors[0]) || DEFAULT_PULSE_COLOR;
+            const ringColor = customization.cornersSquareColor || foregroundColor;
+            const pupilColor = customization.cornersDotColor || ringColor;
+
+            for (let i = 0; i < count; i++) {
+                // Fade to the pulse color and back over one cycle
+                const strength = (1 - Math.cos((2 * Math.PI * i) / count)) / 2;
+                settings.push({
+                    customization: {
+                        ...customization,
+                        cornersSquareColor: mixColors(ringColor, pulseColor, strength),
+                        cornersDotColor: mixColors(pupilColor, pulseColor, strength)
+                    },
+                    assets
+                });
+            }
+            break;
+        }
+
+        case ANIMATION_TYPES.LOGO_REVEAL: {
+            if (!assets.logoBuffer) {
+                throw new Error('Logo reveal animation needs a logoUrl');
+            }
+
+            const logoSize = customization.logoSize || 20;
+            for (let i = 0; i < count; i++) {
+                // Ease out so the logo settles gently at its full size
+                const progress = 1 - Math.pow(1 - (i + 1) / count, 2);
+                settings.push({
+                    customization: { ...customization, logoSize: Math.max(logoSize * progress, 1) },
+                    assets
+                });
+            }
+            break;
+        }
+
+        case ANIMATION_TYPES.FRAME_CYCLE: {
+            if (Array.isArray(frames) && frames.length > 0) {
+                // Per-frame overrides share the size of the first frame
+                for (const overrides of frames) {
+                    settings.push({ customization: { ...customization, ...overrides, size: customization.size }, assets });
+                }
+            } else if (assets.imageBuffer) {
+                // Cycle through the pages of an animated background image
+                const { pages = 1 } = await sharp(assets.imageBuffer).metadata();
+                for (let page = 0; page < pages; page++) {
+                    const imageBuffer = await sharp(assets.imageBuffer, { page }).png().toBuffer();
+                    settings.push({ customization, assets: { ...assets, imageBuffer } });
+                }
+            } else {
+                throw new Error('Frame cycle animation needs frames or an animated background image');
+            }
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown animation: ${animation}`);
+    }
+
+    return settings;
+}
+
+/**
+ * Encode same-sized PNG frames as an animated GIF
+ */
+async function encodeGIF(frames, { delay, loop }) {
+    // Each frame gets its own palette so color changes survive quantization
+    return await sharp(frames, { join: { animated: true } })
+        .gif({ delay: frames.map(() => delay), loop, reuse: false, interPaletteMaxError: 0 })
+        .toBuffer();
+}
+
+/**
+ * Encode same-sized PNG frames as an APNG: the first frame is the default image (IDAT),
+ * later frames follow as fdAT chunks
+ */
+async function encodeAPNG(frames, { delay, loop }) {
+    const { width, height } = await sharp(frames[0]).metadata();
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    const control = Buffer.alloc(8);
+    control.writeUInt32BE(frames.length, 0);
+    control.writeUInt32BE(loop, 4);
+
+    const chunks = [PNG_SIGNATURE, pngChunk('IHDR', header), pngChunk('acTL', control)];
+    let sequence = 0;
+
+    for (let i = 0; i < frames.length; i++) {
+        const pixels = await sharp(frames[i]).ensureAlpha().raw().toBuffer();
+
+        const frameControl = Buffer.alloc(26);
+        frameControl.writeUInt32BE(sequence++, 0);
+        frameControl.writeUInt32BE(width, 4);
+        frameControl.writeUInt32BE(height, 8);
+        frameControl.writeUInt16BE(Math.min(Math.round(delay), 0xffff), 20);
+        frameControl.writeUInt16BE(1000, 22); // delay in milliseconds
+        chunks.push(pngChunk('fcTL', frameControl));
+
+        const data = zlib.deflateSync(filterScanlines(pixels, width, height));
+        if (i === 0) {
+            chunks.push(pngChunk('IDAT', data));
+        } else {
+            const sequenceNumber = Buffer.alloc(4);
+            sequenceNumber.writeUInt32BE(sequence++, 0);
+            chunks.push(pngChunk('fdAT', Buffer.concat([sequenceNumber, data])));
+        }
+    }
+
+    chunks.push(pngChunk('IEND', Buffer.alloc(0)));
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Resize frames to the size of the first one (frames may use different
+ * frame styles in a frame cycle)
+ */
+async function fitFrames(frames) {
+    const { width, height } = await sharp(frames[0]).metadata();
+
+    return await Promise.all(frames.map(async frame => {
+        const metadata = await sharp(frame).metadata();
+        if (metadata.width === width && metadata.height === height) {
+            return frame;
+        }
+        return await sharp(frame)
+            .resize(width, height, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .png()
+            .toBuffer();
+    }));
+}
+
+/**
+ * Prefix every RGBA scanline with the PNG "Up" filter
+ */
+function filterScanlines(pixels, width, height) {
+    const stride = width * 4;
+    const filtered = Buffer.alloc((stride + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        const row = y * (stride + 1);
+        filtered[row] = 2;
+        for (let x = 0; x < stride; x++) {
+            const above = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+            filtered[row + 1 + x] = (pixels[y * stride + x] - above) & 0xff;
+        }
+    }
+
+    return filtered;
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC of type and data
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body), 0);
+
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Compute the CRC-32 of a buffer
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = {
+    generateAnimatedQR,
+    encodeAPNG,
+    ANIMATION_TYPES,
+    ANIMATED_FORMATS
+};
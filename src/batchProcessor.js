@@ -9,7 +9,8 @@ const axios = require('axios');
 
 /**
  * Import QR codes from CSV content
- * Expected CSV format: type,content,id,customization
+ * Expected CSV format: type,content,id,customization (optional symbology,
+ * barcode and barcodeSymbology columns)
  */
 function parseCSV(csvContent, options = {}) {
     try {
@@ -21,18 +22,30 @@ function parseCSV(csvContent, options = {}) {
         });
 
         return records.map(record => {
+            const { type, content, id, customization, symbology, barcode, barcodeSymbology, ...extraColumns } = record;
             const qrConfig = {
-                type: record.type || 'url',
-                content: record.content,
-                id: record.id || undefined
+                type: type || 'url',
+                content,
+                id: id || undefined,
+                symbology: symbology || undefined
             };
 
+            // A barcode column turns the row into a product tag
+            if (barcode) {
+                qrConfig.barcode = { content: barcode, symbology: barcodeSymbology || undefined };
+            }
+
+            // Keep any other columns (e.g. for label captions)
+            if (Object.keys(extraColumns).length > 0) {
+                qrConfig.metadata = extraColumns;
+            }
+
             // Parse customization if provided as JSON string
-            if (record.customization) {
+            if (customization) {
                 try {
-                    qrConfig.customization = JSON.parse(record.customization);
+                    qrConfig.customization = JSON.parse(customization);
                 } catch (e) {
-                    console.log(`Warning: Failed to parse customization for ${record.id}: ${e.message}`);
+                    console.log(`Warning: Failed to parse customization for ${id}: ${e.message}`);
                 }
             }
 
@@ -63,7 +76,10 @@ function parseJSON(jsonContent) {
                 type: item.type || 'url',
                 content: item.content,
                 id: item.id || `import-${index + 1}`,
-                customization: item.customization || undefined
+                symbology: item.symbology || undefined,
+                barcode: item.barcode || undefined,
+                customization: item.customization || undefined,
+                metadata: item.metadata || undefined
             };
         });
     } catch (error) {
@@ -209,10 +225,11 @@ function validateBatchData(qrCodes) {
  * Export results to CSV format
  */
 function exportToCSV(results) {
-    const headers = ['id', 'type', 'content', 'success', 'fileUrl', 'error'];
+    const headers = ['id', 'type', 'symbology', 'content', 'success', 'fileUrl', 'error'];
     const rows = results.map(r => [
         r.id || '',
         r.type || '',
+        r.symbology || '',
         r.content || '',
         r.success ? 'true' : 'false',
         r.fileUrl || '',
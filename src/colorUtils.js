@@ -0,0 +1,34 @@
+/**
+ * Color Utilities
+ * Hex color parsing shared by the raster gradients and the print renderers,
+ * so every output reads a color the same way
+ */
+
+/**
+ * Hex colors every renderer can parse: #RGB or #RRGGBB
+ */
+const HEX_COLOR_REGEX = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Check for a #RGB or #RRGGBB color
+ */
+function isHexColor(value) {
+    return typeof value === 'string' && HEX_COLOR_REGEX.test(value);
+}
+
+/**
+ * Convert a hex color string (#RGB or #RRGGBB) to an RGB array
+ */
+function hexToRgb(hex) {
+    let digits = String(hex).replace('#', '');
+    if (digits.length === 3) {
+        digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    const value = parseInt(digits, 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+module.exports = {
+    hexToRgb,
+    isHexColor
+};
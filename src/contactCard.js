@@ -0,0 +1,363 @@
+/**
+ * Contact Cards
+ * Builds vCard 3.0, vCard 4.0 and MECARD payloads from contact details,
+ * escaped and line-folded so scanners import every field
+ */
+
+/**
+ * Output formats and vCard versions
+ */
+const CONTACT_FORMATS = {
+    VCARD: 'vcard',
+    MECARD: 'mecard'
+};
+const VCARD_VERSIONS = ['3.0', '4.0'];
+
+/**
+ * Phone types from vCard 3.0 and 4.0; `mobile` is read as `cell`
+ */
+const PHONE_TYPES = ['cell', 'work', 'home', 'voice', 'fax', 'text', 'video', 'pager', 'textphone', 'msg', 'car', 'isdn', 'pcs', 'bbs', 'modem'];
+const PHONE_TYPE_ALIASES = { mobile: 'cell' };
+
+/**
+ * Profile URLs of social platforms, shared with the `social` QR type
+ */
+const SOCIAL_PROFILE_URLS = {
+    twitter: username => `https://twitter.com/${username}`,
+    instagram: username => `https://instagram.com/${username}`,
+    facebook: username => `https://facebook.com/${username}`,
+    linkedin: username => `https://linkedin.com/in/${username}`,
+    youtube: username => `https://youtube.com/@${username}`,
+    tiktok: username => `https://tiktok.com/@${username}`,
+    github: username => `https://github.com/${username}`,
+    discord: username => username // Discord invite or user tag
+};
+
+/**
+ * vCard lines are folded at 75 octets; continuation lines start with a space
+ */
+const FOLD_OCTETS = 75;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[\d\s\-().]+(?:\s*(?:x|ext\.?)\s*\d+)?$/i;
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Build a contact payload. `format` picks 'vcard' (default) or 'mecard';
+ * `version` picks vCard '3.0' (default) or '4.0'.
+ */
+function buildContactCard(contact, options = {}) {
+    const format = String(options.format || contact.format || CONTACT_FORMATS.VCARD).toLowerCase();
+    const details = normalizeContact(contact);
+
+    if (format === CONTACT_FORMATS.MECARD) {
+        return buildMECARD(details);
+    }
+    return buildVCard(details, String(options.version || contact.version || '3.0'));
+}
+
+/**
+ * Collect the single and list forms of each field into lists
+ */
+function normalizeContact(contact) {
+    const list = (many, one, key) => [
+        ...(Array.isArray(many) ? many : []),
+        ...(one ? [typeof one === 'string' ? { [key]: one } : one] : [])
+    ].map(item => (typeof item === 'string' ? { [key]: item } : item));
+
+    const social = Array.isArray(contact.social)
+        ? contact.social
+        : Object.entries(contact.social || {}).map(([platform, profile]) => ({ platform, profile }));
+
+    return {
+        name: getName(contact),
+        nickname: contact.nickname,
+        organization: contact.organization,
+        department: contact.department,
+        title: contact.title,
+        role: contact.role,
+        phones: list(contact.phones, contact.phone, 'number').map(phone => ({
+            ...phone,
+            types: getTypes(phone.type).map(type => PHONE_TYPE_ALIASES[type] || type)
+        })),
+        emails: list(contact.emails, contact.email, 'address').map(email => ({ ...email, types: getTypes(email.type) })),
+        urls: list(contact.urls, contact.url, 'url').map(url => ({ ...url, types: getTypes(url.type) })),
+        addresses: list(contact.addresses, contact.address, 'street').map(address => ({ ...address, types: getTypes(address.type) })),
+        birthday: contact.birthday,
+        note: contact.note,
+        photo: contact.photo,
+        social: social.map(({ platform, profile, username, url }) => ({
+            platform: String(platform).toLowerCase(),
+            url: getProfileUrl(platform, url || profile || username)
+        }))
+    };
+}
+
+/**
+ * Structured name parts and the formatted name. A plain `name` is split at
+ * the last space into given and family name.
+ */
+function getName(contact) {
+    const parts = {
+        family: contact.lastName || '',
+        given: contact.firstName || '',
+        additional: contact.middleName || '',
+        prefix: contact.prefix || '',
+        suffix: contact.suffix || ''
+    };
+
+    if (!parts.family && !parts.given && contact.name) {
+        const split = String(contact.name).trim().lastIndexOf(' ');
+        parts.given = split > 0 ? contact.name.trim().slice(0, split) : contact.name.trim();
+        parts.family = split > 0 ? contact.name.trim().slice(split + 1) : '';
+    }
+
+    const formatted = contact.name ||
+        [parts.prefix, parts.given, parts.additional, parts.family, parts.suffix].filter(Boolean).join(' ') ||
+        contact.organization || '';
+
+    return { ...parts, formatted };
+}
+
+/**
+ * Type list of a phone, email, URL or address: a string, comma list or array
+ */
+function getTypes(type) {
+    if (!type) return [];
+    return (Array.isArray(type) ? type : String(type).split(','))
+        .map(item => String(item).trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Full profile URL of a social handle, or the URL as given
+ */
+function getProfileUrl(platform, profile) {
+    if (!profile || /^https?:\/\//i.test(profile)) {
+        return profile;
+    }
+    const toUrl = SOCIAL_PROFILE_URLS[String(platform).toLowerCase()];
+    return toUrl ? toUrl(String(profile).replace(/^@/, '')) : profile;
+}
+
+/**
+ * Build a vCard. Text values are escaped, lines end in CRLF and are folded
+ * at 75 octets without splitting UTF-8 characters.
+ */
+function buildVCard(details, version) {
+    const v4 = version === '4.0';
+    // 4.0 marks the preferred entry with PREF=1, 3.0 with a PREF type
+    const typeParams = (item, extra = []) => {
+        const types = [...extra, ...item.types, ...(item.preferred && !v4 ? ['pref'] : [])]
+            .map(type => (v4 ? type.toLowerCase() : type.toUpperCase()));
+        return [
+            ...(types.length > 0 ? [`TYPE=${types.join(',')}`] : []),
+            ...(item.preferred && v4 ? ['PREF=1'] : [])
+        ];
+    };
+    const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+    const add = (name, params, value) => lines.push(`${[name, ...params].join(';')}:${value}`);
+    const { name } = details;
+
+    // vCard 3.0 requires N; 4.0 only needs FN
+    const structured = [name.family, name.given, name.additional, name.prefix, name.suffix];
+    if (!v4 || structured.some(Boolean)) {
+        add('N', [], structured.map(escapeText).join(';'));
+    }
+    add('FN', [], escapeText(name.formatted));
+    if (details.nickname) add('NICKNAME', [], escapeText(details.nickname));
+    if (details.organization || details.department) {
+        const units = details.department ? [details.organization || '', details.department] : [details.organization];
+        add('ORG', [], units.map(escapeText).join(';'));
+    }
+    if (details.title) add('TITLE', [], escapeText(details.title));
+    if (details.role) add('ROLE', [], escapeText(details.role));
+
+    for (const phone of details.phones) {
+        if (v4) {
+            add('TEL', ['VALUE=uri', ...typeParams(phone)], toTelUri(phone.number));
+        } else {
+            add('TEL', typeParams(phone), escapeText(phone.number));
+        }
+    }
+    for (const email of details.emails) {
+        add('EMAIL', typeParams(email, v4 ? [] : ['internet']), escapeText(email.address));
+    }
+    for (const address of details.addresses) {
+        add('ADR', typeParams(address), [
+            address.poBox, address.extended, address.street, address.city,
+            address.region, address.postalCode, address.country
+        ].map(part => escapeText(part || '')).join(';'));
+    }
+    for (const url of details.urls) {
+        add('URL', typeParams(url), url.url);
+    }
+    if (details.birthday) {
+        const birthday = String(details.birthday);
+        add('BDAY', [], v4 ? birthday.replace(/-/g, '') : birthday);
+    }
+    if (details.photo) {
+        add('PHOTO', v4 ? [] : ['VALUE=uri'], details.photo);
+    }
+    for (const profile of details.social) {
+        if (v4) {
+            add('SOCIALPROFILE', [`SERVICE-TYPE=${profile.platform}`], profile.url);
+        } else {
+            add('X-SOCIALPROFILE', [`TYPE=${profile.platform}`], profile.url);
+        }
+    }
+    if (details.note) add('NOTE', [], escapeText(details.note));
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join('\r\n');
+}
+
+/**
+ * Build a MECARD: one line of `KEY:value;` fields ending in `;;`. MECARD has
+ * no types or photo; social profiles are written as URLs.
+ */
+function buildMECARD(details) {
+    const fields = [];
+    const add = (key, value) => value && fields.push(`${key}:${escapeMECARD(value)}`);
+    const { name } = details;
+
+    fields.push(`N:${[name.family, name.given].filter(Boolean).map(escapeMECARD).join(',') || escapeMECARD(name.formatted)}`);
+    add('NICKNAME', details.nickname);
+    details.phones.forEach(phone => add('TEL', phone.number));
+    details.emails.forEach(email => add('EMAIL', email.address));
+    add('ORG', [details.organization, details.department].filter(Boolean).join(' '));
+    add('TITLE', details.title);
+    details.addresses.forEach(address => fields.push(`ADR:${[
+        address.poBox, address.extended, address.street, address.city,
+        address.region, address.postalCode, address.country
+    ].filter(Boolean).map(escapeMECARD).join(',')}`));
+    details.urls.forEach(url => add('URL', url.url));
+    details.social.forEach(profile => add('URL', profile.url));
+    if (details.birthday) add('BDAY', String(details.birthday).replace(/-/g, ''));
+    add('NOTE', details.note);
+
+    return `MECARD:${fields.join(';')};;`;
+}
+
+/**
+ * tel: URI of a phone number for vCard 4.0, with any extension as ;ext=
+ */
+function toTelUri(number) {
+    return `tel:${String(number)
+        .replace(/\s*(?:x|ext\.?)\s*(\d+)$/i, ';ext=$1')
+        .replace(/[\s()]/g, '')}`;
+}
+
+/**
+ * Escape a vCard text value: backslash, comma, semicolon and newlines
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Escape a MECARD value: backslash, semicolon, comma and colon
+ */
+function escapeMECARD(value) {
+    return String(value)
+        .replace(/([\\;,:])/g, '\\$1')
+        .replace(/\r\n|\r|\n/g, ' ');
+}
+
+/**
+ * Fold a content line into 75-octet lines, breaking between characters
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= FOLD_OCTETS) {
+        return line;
+    }
+
+    const folded = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        if (octets + size > FOLD_OCTETS) {
+            folded.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    folded.push(current);
+
+    return folded.join('\r\n');
+}
+
+/**
+ * Check contact details before building; returns a list of problems
+ */
+function validateContact(contact) {
+    const errors = [];
+    const format = String(contact.format || CONTACT_FORMATS.VCARD).toLowerCase();
+    const details = normalizeContact(contact);
+
+    if (!Object.values(CONTACT_FORMATS).includes(format)) {
+        errors.push(`Unknown contact format "${contact.format}"; use vcard or mecard`);
+    }
+    if (contact.version && !VCARD_VERSIONS.includes(String(contact.version))) {
+        errors.push(`Unsupported vCard version ${contact.version}; use 3.0 or 4.0`);
+    }
+    if (!details.name.formatted) {
+        errors.push('vCard missing name field');
+    }
+
+    for (const phone of details.phones) {
+        if (!phone.number || !PHONE_REGEX.test(String(phone.number))) {
+            errors.push(`Invalid phone number: ${phone.number}`);
+        }
+        phone.types.filter(type => !PHONE_TYPES.includes(type)).forEach(type => errors.push(`Unknown phone type "${type}"`));
+    }
+    details.emails.filter(email => !EMAIL_REGEX.test(String(email.address || '')))
+        .forEach(email => errors.push(`Invalid email address: ${email.address}`));
+    [...details.urls.map(url => url.url), details.photo, ...details.social.map(profile => profile.url)]
+        .filter(url => url !== undefined && !isValidUrl(url))
+        .forEach(url => errors.push(`Invalid URL: ${url}`));
+
+    // JSON numbers and Date objects are not dates the cards can carry
+    if (details.birthday && (typeof details.birthday !== 'string' || !isValidDate(details.birthday))) {
+        errors.push('Birthday must be a YYYY-MM-DD date string');
+    }
+
+    return errors;
+}
+
+/**
+ * Check for an absolute URL
+ */
+function isValidUrl(value) {
+    try {
+        new URL(value);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Check for a real calendar date in YYYY-MM-DD form
+ */
+function isValidDate(value) {
+    const match = DATE_REGEX.exec(String(value));
+    if (!match) return false;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+}
+
+module.exports = {
+    buildContactCard,
+    validateContact,
+    getProfileUrl,
+    CONTACT_FORMATS,
+    SOCIAL_PROFILE_URLS
+};
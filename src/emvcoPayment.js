@@ -0,0 +1,480 @@
+/**
+ * EMVCo Merchant-Presented Payments
+ * Builds EMVCo merchant-presented mode (MPM) payloads: TLV fields with a
+ * CRC16 checksum, and the merchant account templates of national
+ * instant-payment schemes (PIX, PayNow, PromptPay, DuitNow)
+ */
+
+const { normalizeCode } = require('./paymentCodes');
+
+/**
+ * Top-level field IDs
+ */
+const EMVCO_FIELDS = {
+    PAYLOAD_FORMAT: '00',
+    POINT_OF_INITIATION: '01',
+    MERCHANT_CATEGORY_CODE: '52',
+    CURRENCY: '53',
+    AMOUNT: '54',
+    TIP_INDICATOR: '55',
+    TIP_FIXED: '56',
+    TIP_PERCENTAGE: '57',
+    COUNTRY: '58',
+    MERCHANT_NAME: '59',
+    MERCHANT_CITY: '60',
+    POSTAL_CODE: '61',
+    ADDITIONAL_DATA: '62',
+    CRC: '63',
+    LANGUAGE_TEMPLATE: '64'
+};
+
+/**
+ * Point of initiation: static codes are reused, dynamic codes are made for
+ * one payment
+ */
+const POINT_OF_INITIATION = {
+    static: '11',
+    dynamic: '12'
+};
+
+/**
+ * Tip or convenience indicator values
+ */
+const TIP_INDICATORS = {
+    prompt: '01',
+    fixed: '02',
+    percentage: '03'
+};
+
+/**
+ * Sub-fields of the additional data template (62)
+ */
+const ADDITIONAL_DATA_FIELDS = {
+    billNumber: '01',
+    mobileNumber: '02',
+    storeLabel: '03',
+    loyaltyNumber: '04',
+    referenceLabel: '05',
+    customerLabel: '06',
+    terminalLabel: '07',
+    purpose: '08',
+    consumerDataRequest: '09'
+};
+
+/**
+ * Content types of the supported schemes: the merchant account template
+ * ID, its globally unique identifier, and the currency (ISO 4217 numeric)
+ * and country they are paid in. PromptPay codes commonly leave out the
+ * merchant category, name and city.
+ */
+const EMVCO_SCHEMES = {
+    pix: { name: 'PIX', templateId: '26', guid: 'br.gov.bcb.pix', currency: '986', country: 'BR' },
+    paynow: { name: 'PayNow', templateId: '26', guid: 'SG.PAYNOW', currency: '702', country: 'SG', city: 'Singapore' },
+    promptpay: { name: 'PromptPay', templateId: '29', guid: 'A000000677010111', currency: '764', country: 'TH', optionalMerchant: true },
+    duitnow: { name: 'DuitNow', templateId: '26', guid: 'A0000006150001', currency: '458', country: 'MY' }
+};
+
+/**
+ * Field IDs whose values are themselves TLV templates
+ */
+const TEMPLATE_IDS = /^(2[6-9]|3\d|4\d|5[01]|62|64|[89]\d)$/;
+
+/**
+ * EMVCo limits: the whole payload, a field value, and the merchant details
+ */
+const EMVCO_MAX_LENGTH = 512;
+const EMVCO_MAX_FIELD_LENGTH = 99;
+const EMVCO_FIELD_LIMITS = {
+    name: 25,
+    city: 15,
+    postalCode: 10
+};
+
+/**
+ * Key formats of PIX (e-mail, +55 phone, CPF, CNPJ or random EVP key) and
+ * PayNow proxies (+65 mobile or UEN)
+ */
+const PIX_KEY_REGEX = /^([^@\s]+@[^@\s]+\.[^@\s]+|\+55\d{10,11}|\d{11}|\d{14}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+const PIX_TXID_REGEX = /^([A-Za-z0-9]{1,25}|\*\*\*)$/;
+const PAYNOW_PROXY_TYPES = { mobile: '0', uen: '2' };
+const PAYNOW_MOBILE_REGEX = /^\+65[3689]\d{7}$/;
+const PAYNOW_UEN_REGEX = /^[0-9A-Z]{9,10}$/;
+
+/**
+ * Scheme of a content type, or of the `scheme` field of a generic `emvco`
+ * payment; null for hand-built merchant accounts
+ */
+function getEMVCoScheme(type, payment = {}) {
+    const key = String(type || '').toLowerCase();
+    if (EMVCO_SCHEMES[key]) {
+        return { key, ...EMVCO_SCHEMES[key] };
+    }
+    const scheme = String(payment.scheme || '').toLowerCase();
+    return EMVCO_SCHEMES[scheme] ? { key: scheme, ...EMVCO_SCHEMES[scheme] } : null;
+}
+
+/**
+ * Write one TLV field: two-digit ID, two-digit length, value
+ */
+function tlv(id, value) {
+    const text = String(value);
+    return `${id}${String(text.length).padStart(2, '0')}${text}`;
+}
+
+/**
+ * Write a list of [id, value] pairs, skipping empty values, in ID order
+ */
+function writeFields(fields) {
+    return fields
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([id, value]) => tlv(id, value))
+        .join('');
+}
+
+/**
+ * Build an EMVCo MPM payload. Codes are static, amount or not, unless
+ * `dynamic` is set or they carry a PIX location URL. The CRC is written last.
+ */
+function buildEMVCoPayload(payment, type = 'emvco') {
+    const payload = tlv(EMVCO_FIELDS.PAYLOAD_FORMAT, '01') + writeFields(getPayloadFields(payment, type)) + `${EMVCO_FIELDS.CRC}04`;
+    return payload + crc16(payload);
+}
+
+/**
+ * Top-level [id, value] fields of a payment between the payload format
+ * indicator and the CRC; templates are already written as TLV
+ */
+function getPayloadFields(payment, type) {
+    const scheme = getEMVCoScheme(type, payment);
+    const amount = hasAmount(payment) ? Number(payment.amount).toFixed(2) : '';
+    const dynamic = payment.dynamic !== undefined ? !!payment.dynamic : !!payment.url;
+    return [
+        [EMVCO_FIELDS.POINT_OF_INITIATION, dynamic ? POINT_OF_INITIATION.dynamic : POINT_OF_INITIATION.static],
+        ...buildMerchantAccounts(payment, scheme),
+        [EMVCO_FIELDS.MERCHANT_CATEGORY_CODE, payment.merchantCategoryCode ||
+            (scheme && scheme.optionalMerchant ? '' : '0000')],
+        [EMVCO_FIELDS.CURRENCY, payment.currency || (scheme && scheme.currency)],
+        [EMVCO_FIELDS.AMOUNT, amount],
+        ...buildTip(payment.tip),
+        [EMVCO_FIELDS.COUNTRY, normalizeCode(payment.country) || (scheme && scheme.country)],
+        [EMVCO_FIELDS.MERCHANT_NAME, getText(payment.name)],
+        [EMVCO_FIELDS.MERCHANT_CITY, getText(payment.city) || (scheme && scheme.city)],
+        [EMVCO_FIELDS.POSTAL_CODE, getText(payment.postalCode)],
+        [EMVCO_FIELDS.ADDITIONAL_DATA, buildAdditionalData(payment, scheme)],
+        [EMVCO_FIELDS.LANGUAGE_TEMPLATE, buildLanguageTemplate(payment.alternateLanguage)]
+    ];
+}
+
+/**
+ * Merchant account fields: the scheme's template, or the `merchantAccounts`
+ * of a generic payment ([{ id, value }] for card network IDs 02-25,
+ * [{ id, guid, fields }] for templates 26-51)
+ */
+function buildMerchantAccounts(payment, scheme) {
+    if (!scheme) {
+        return (payment.merchantAccounts || []).map(account => [
+            String(account.id).padStart(2, '0'),
+            account.guid
+                ? tlv('00', account.guid) + writeFields(Object.entries(account.fields || {}))
+                : account.value
+        ]);
+    }
+
+    let fields;
+    switch (scheme.key) {
+        case 'pix':
+            // Static codes carry the key; dynamic codes the location of the charge
+            fields = payment.url
+                ? [['25', String(payment.url).replace(/^https?:\/\//i, '')]]
+                : [['01', getText(payment.key)], ['02', getText(payment.description)]];
+            break;
+        case 'paynow':
+            fields = [
+                ['01', PAYNOW_PROXY_TYPES[String(payment.proxyType || 'mobile').toLowerCase()]],
+                ['02', getText(payment.proxy)],
+                ['03', payment.editable !== undefined ? (payment.editable ? '1' : '0') : (hasAmount(payment) ? '0' : '1')],
+                ['04', getText(payment.expiry)]
+            ];
+            break;
+        case 'promptpay':
+            fields = [
+                ['01', payment.mobile ? formatPromptPayMobile(payment.mobile) : ''],
+                ['02', digitsOf(payment.nationalId)],
+                ['03', digitsOf(payment.eWallet)]
+            ];
+            break;
+        case 'duitnow':
+            fields = [['01', getText(payment.acquirerId)], ['02', getText(payment.merchantId)]];
+            break;
+        default:
+            fields = [];
+    }
+
+    return [[scheme.templateId, tlv('00', scheme.guid) + writeFields(fields)]];
+}
+
+/**
+ * Tip fields: 'prompt' asks the payer, { fixed } adds a fee and
+ * { percentage } a share of the amount
+ */
+function buildTip(tip) {
+    if (!tip) {
+        return [];
+    }
+    if (tip === 'prompt') {
+        return [[EMVCO_FIELDS.TIP_INDICATOR, TIP_INDICATORS.prompt]];
+    }
+    if (tip.fixed !== undefined) {
+        return [[EMVCO_FIELDS.TIP_INDICATOR, TIP_INDICATORS.fixed], [EMVCO_FIELDS.TIP_FIXED, Number(tip.fixed).toFixed(2)]];
+    }
+    if (tip.percentage !== undefined) {
+        return [[EMVCO_FIELDS.TIP_INDICATOR, TIP_INDICATORS.percentage], [EMVCO_FIELDS.TIP_PERCENTAGE, String(tip.percentage)]];
+    }
+    return [];
+}
+
+/**
+ * Additional data template (62). PIX codes always carry a transaction ID,
+ * '***' when there is none.
+ */
+function buildAdditionalData(payment, scheme) {
+    const data = { ...payment.additionalData };
+    if (payment.reference) data.referenceLabel = payment.reference;
+    if (scheme && scheme.key === 'pix') {
+        data.referenceLabel = payment.txid || data.referenceLabel || '***';
+    }
+
+    return writeFields(Object.entries(data)
+        .filter(([name]) => ADDITIONAL_DATA_FIELDS[name])
+        .map(([name, value]) => [ADDITIONAL_DATA_FIELDS[name], getText(value)]));
+}
+
+/**
+ * Merchant name and city in an alternate language (64)
+ */
+function buildLanguageTemplate(alternate) {
+    if (!alternate) {
+        return '';
+    }
+    return writeFields([
+        ['00', String(alternate.language || '').toUpperCase()],
+        ['01', getText(alternate.name)],
+        ['02', getText(alternate.city)]
+    ]);
+}
+
+/**
+ * PromptPay mobile numbers are written as 0066 and the number without its
+ * leading zero
+ */
+function formatPromptPayMobile(value) {
+    const digits = digitsOf(value).replace(/^66/, '').replace(/^0/, '');
+    return `0066${digits}`;
+}
+
+/**
+ * Check a 13-digit Thai national ID or tax ID and its mod 11 check digit
+ */
+function isValidThaiID(value) {
+    const digits = digitsOf(value);
+    if (!/^\d{13}$/.test(digits)) {
+        return false;
+    }
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += Number(digits[i]) * (13 - i);
+    }
+    return (11 - (sum % 11)) % 10 === Number(digits[12]);
+}
+
+/**
+ * CRC-16/CCITT-FALSE (polynomial 0x1021, initial value 0xFFFF) of the
+ * payload up to and including the CRC field's ID and length, as four
+ * uppercase hex digits
+ */
+function crc16(text) {
+    let crc = 0xFFFF;
+    for (const byte of Buffer.from(text, 'utf8')) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Check a payment; returns a list of problems
+ */
+function validateEMVCoPayment(payment, type = 'emvco') {
+    const errors = [];
+    const scheme = getEMVCoScheme(type, payment);
+    const name = scheme ? scheme.name : 'EMVCo';
+
+    if (!scheme) {
+        const accounts = payment.merchantAccounts;
+        if (payment.scheme) {
+            errors.push(`Unknown EMVCo scheme "${payment.scheme}"; use ${Object.keys(EMVCO_SCHEMES).join(', ')} or merchantAccounts`);
+        } else if (!Array.isArray(accounts) || accounts.length === 0) {
+            errors.push('EMVCo payment needs a scheme or at least one merchant account');
+        } else {
+            for (const account of accounts) {
+                const id = Number(account.id);
+                if (!Number.isInteger(id) || id < 2 || id > 51) {
+                    errors.push(`EMVCo merchant account IDs are 02-51, got ${account.id}`);
+                } else if (id >= 26 && !account.guid) {
+                    errors.push(`EMVCo merchant account template ${account.id} needs a globally unique identifier (guid)`);
+                } else if (id < 26 && !account.value) {
+                    errors.push(`EMVCo merchant account ${account.id} needs a value`);
+                }
+            }
+        }
+        if (!payment.currency) {
+            errors.push('EMVCo payment needs an ISO 4217 numeric currency');
+        }
+        if (!payment.country) {
+            errors.push('EMVCo payment needs a 2-letter country code');
+        }
+    } else {
+        errors.push(...validateSchemeAccount(payment, scheme));
+    }
+
+    if (!(scheme && scheme.optionalMerchant)) {
+        if (!getText(payment.name)) {
+            errors.push(`${name} payment missing merchant name`);
+        }
+        if (!getText(payment.city) && !(scheme && scheme.city)) {
+            errors.push(`${name} payment missing merchant city`);
+        }
+    }
+    for (const [field, limit] of Object.entries(EMVCO_FIELD_LIMITS)) {
+        if (getText(payment[field]).length > limit) {
+            errors.push(`${name} merchant ${field} is longer than ${limit} characters`);
+        }
+    }
+    if (payment.merchantCategoryCode && !/^\d{4}$/.test(payment.merchantCategoryCode)) {
+        errors.push(`${name} merchant category code must be 4 digits`);
+    }
+    if (payment.currency && !/^\d{3}$/.test(payment.currency)) {
+        errors.push(`${name} currency must be an ISO 4217 numeric code such as 986`);
+    }
+    if (payment.country && !/^[A-Z]{2}$/.test(normalizeCode(payment.country))) {
+        errors.push(`${name} country must be a 2-letter ISO code`);
+    }
+
+    if (hasAmount(payment)) {
+        const amount = Number(payment.amount);
+        if (!Number.isFinite(amount) || amount <= 0 || amount.toFixed(2).length > 13) {
+            errors.push(`${name} amount must be a positive number of up to 13 characters`);
+        } else if (!/^\d+(\.\d{1,2})?$/.test(String(payment.amount).trim())) {
+            errors.push(`${name} amount has more than two decimals`);
+        }
+    }
+    if (payment.tip && payment.tip !== 'prompt' && !(payment.tip.fixed > 0) && !(payment.tip.percentage > 0 && payment.tip.percentage < 100)) {
+        errors.push(`${name} tip must be "prompt", { "fixed": amount } or { "percentage": 0-100 }`);
+    }
+
+    if (errors.length === 0) {
+        // Template sub-fields are bounded by their template's length
+        const tooLong = getPayloadFields(payment, type)
+            .find(([, value]) => value !== undefined && value !== null && String(value).length > EMVCO_MAX_FIELD_LENGTH);
+        if (tooLong) {
+            errors.push(`${name} field ${tooLong[0]} is longer than ${EMVCO_MAX_FIELD_LENGTH} characters`);
+        }
+        const payload = buildEMVCoPayload(payment, type);
+        if (payload.length > EMVCO_MAX_LENGTH) {
+            errors.push(`${name} payload is ${payload.length} characters; EMVCo allows ${EMVCO_MAX_LENGTH}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check the merchant account fields of a scheme
+ */
+function validateSchemeAccount(payment, scheme) {
+    const errors = [];
+
+    switch (scheme.key) {
+        case 'pix':
+            if (payment.url) {
+                if (payment.key) errors.push('PIX codes take either a key (static) or a location URL (dynamic), not both');
+            } else if (!payment.key) {
+                errors.push('PIX payment needs a key or a location URL');
+            } else if (!PIX_KEY_REGEX.test(getText(payment.key))) {
+                errors.push('PIX key must be an e-mail, a +55 phone number, a CPF or CNPJ, or a random key');
+            }
+            if (payment.txid && !PIX_TXID_REGEX.test(payment.txid)) {
+                errors.push('PIX transaction ID is up to 25 letters and digits');
+            }
+            break;
+        case 'paynow': {
+            const proxyType = String(payment.proxyType || 'mobile').toLowerCase();
+            const proxy = getText(payment.proxy);
+            if (!PAYNOW_PROXY_TYPES[proxyType]) {
+                errors.push(`PayNow proxy type must be ${Object.keys(PAYNOW_PROXY_TYPES).join(' or ')}`);
+            } else if (!proxy) {
+                errors.push('PayNow payment needs a proxy (mobile number or UEN)');
+            } else if (proxyType === 'mobile' && !PAYNOW_MOBILE_REGEX.test(proxy)) {
+                errors.push('PayNow mobile numbers are written as +65 and 8 digits');
+            } else if (proxyType === 'uen' && !PAYNOW_UEN_REGEX.test(proxy)) {
+                errors.push('PayNow UENs are 9 or 10 letters and digits');
+            }
+            if (payment.expiry && !/^\d{8}$/.test(payment.expiry)) {
+                errors.push('PayNow expiry date must be YYYYMMDD');
+            }
+            break;
+        }
+        case 'promptpay': {
+            const targets = ['mobile', 'nationalId', 'eWallet'].filter(field => payment[field]);
+            if (targets.length !== 1) {
+                errors.push('PromptPay payment needs exactly one of mobile, nationalId or eWallet');
+            } else if (payment.mobile && !/^\d{13}$/.test(formatPromptPayMobile(payment.mobile))) {
+                errors.push('PromptPay mobile number must be a 10-digit Thai number');
+            } else if (payment.nationalId && !isValidThaiID(payment.nationalId)) {
+                errors.push('PromptPay national or tax ID must be 13 digits with a valid check digit');
+            } else if (payment.eWallet && !/^\d{15}$/.test(digitsOf(payment.eWallet))) {
+                errors.push('PromptPay e-wallet ID must be 15 digits');
+            }
+            break;
+        }
+        case 'duitnow':
+            if (!payment.acquirerId || !payment.merchantId) {
+                errors.push('DuitNow payment needs an acquirerId and a merchantId');
+            }
+            break;
+    }
+
+    if (payment.currency && payment.currency !== scheme.currency) {
+        errors.push(`${scheme.name} payments are in currency ${scheme.currency}`);
+    }
+    return errors;
+}
+
+function getText(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function digitsOf(value) {
+    return String(value || '').replace(/\D/g, '');
+}
+
+function hasAmount(payment) {
+    return payment.amount !== undefined && payment.amount !== null && payment.amount !== '';
+}
+
+module.exports = {
+    buildEMVCoPayload,
+    validateEMVCoPayment,
+    getEMVCoScheme,
+    crc16,
+    isValidThaiID,
+    EMVCO_FIELDS,
+    EMVCO_SCHEMES,
+    ADDITIONAL_DATA_FIELDS,
+    POINT_OF_INITIATION,
+    TEMPLATE_IDS,
+    EMVCO_MAX_LENGTH
+};
@@ -0,0 +1,421 @@
+/**
+ * Frame Renderer
+ * Lays out frames, captions and icons around a QR code as SVG, shared by the
+ * raster, SVG and PDF outputs. Caption text is converted to glyph outlines so
+ * every output looks the same regardless of installed fonts.
+ */
+
+const fontkit = require('fontkit');
+const { hexToRgb } = require('./colorUtils');
+const { escapeXml, fmt } = require('./svgUtils');
+
+/**
+ * Frame styles
+ */
+const FRAME_STYLES = {
+    NONE: 'none',
+    BASIC: 'basic',
+    ROUNDED: 'rounded',
+    CIRCULAR: 'circular',
+    EDGE: 'edge',
+    CAMERA: 'camera',
+    BANNER: 'banner',
+    BUBBLE: 'bubble'
+};
+
+/**
+ * Fonts bundled with the actor (DejaVu)
+ */
+const BUNDLED_FONTS = {
+    'sans': 'DejaVuSans.ttf',
+    'sans-bold': 'DejaVuSans-Bold.ttf',
+    'serif': 'DejaVuSerif.ttf',
+    'serif-bold': 'DejaVuSerif-Bold.ttf',
+    'mono': 'DejaVuSansMono.ttf',
+    'mono-bold': 'DejaVuSansMono-Bold.ttf'
+};
+
+/**
+ * Caption icons drawn on a 24x24 grid (even-odd filled)
+ */
+const FRAME_ICONS = {
+    phone: 'M7 1h10a2 2 0 0 1 2 2v18a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V3a2 2 0 0 1 2-2zM7 4v14h10V4zM12 19a1 1 0 1 0 0 2a1 1 0 1 0 0-2z',
+    camera: 'M9 3h6l2 3h3a2 2 0 0 1 2 2v11a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h3zM12 9a4 4 0 1 0 0 8a4 4 0 1 0 0-8z',
+    scan: 'M2 8V2h6v2H4v4zM16 2h6v6h-2V4h-4zM22 16v6h-6v-2h4v-4zM8 22H2v-6h2v4h4zM6 11h12v2H6z',
+    arrow: 'M12 2l8 9h-5v11H9V11H4z'
+};
+
+/**
+ * Caption shown on banners and bubbles when no frame text is given
+ */
+const DEFAULT_CALL_TO_ACTION = 'SCAN ME';
+
+const fontCache = new Map();
+
+/**
+ * Lay out a frame around a QR code of the given size. Returns the canvas size,
+ * where the QR code goes, and the SVG markup of everything around it.
+ */
+function buildFrame(size, options = {}) {
+    const {
+        frame = FRAME_STYLES.BASIC,
+        frameColor = '#000000',
+        frameText = '',
+        frameTextColor = null,
+        frameTextSize = 14,
+        framePosition = 'bottom',
+        frameFont = 'sans-bold',
+        frameIcon = 'none',
+        fontBuffer = null,
+        backgroundColor = '#FFFFFF'
+    } = options;
+
+    const font = loadFont(frameFont, fontBuffer);
+    const onTop = framePosition === 'top';
+    const text = frameText || (frame === FRAME_STYLES.BANNER || frame === FRAME_STYLES.BUBBLE ? DEFAULT_CALL_TO_ACTION : '');
+
+    const caption = (color, maxWidth) => (text
+        ? layoutCaption(font, text, {
+            fontSize: frameTextSize,
+            color,
+            maxWidth,
+            icon: frameIcon,
+            pointsUp: !onTop
+        })
+        : null);
+
+    switch (frame) {
+        case FRAME_STYLES.BASIC:
+            return buildBorderedFrame(size, caption, {
+                border: Math.floor(size * 0.1),
+                radius: 0,
+                frameColor,
+                textColor: frameTextColor || contrastColor(frameColor),
+                backgroundColor,
+                onTop
+            });
+
+        case FRAME_STYLES.ROUNDED:
+            return buildBorderedFrame(size, caption, {
+                border: Math.round(size * 0.05),
+                radius: Math.round(size * 0.08),
+                frameColor,
+                textColor: frameTextColor || contrastColor(frameColor),
+                backgroundColor,
+                onTop
+            });
+
+        case FRAME_STYLES.BANNER:
+            return buildBorderedFrame(size, caption, {
+                border: Math.max(2, Math.round(size * 0.02)),
+                radius: Math.max(4, Math.round(size * 0.04)),
+                frameColor,
+                textColor: frameTextColor || contrastColor(frameColor),
+                backgroundColor,
+                onTop
+            });
+
+        case FRAME_STYLES.CIRCULAR:
+            return buildCircularFrame(size, caption, { frameColor, textColor: frameTextColor || frameColor, backgroundColor, onTop });
+
+        case FRAME_STYLES.EDGE:
+            return buildEdgeFrame(size, caption, { frameColor, textColor: frameTextColor || frameColor, backgroundColor, onTop });
+
+        case FRAME_STYLES.CAMERA:
+            return buildCameraFrame(size, caption, { frameColor, textColor: frameTextColor || frameColor, backgroundColor, onTop });
+
+        case FRAME_STYLES.BUBBLE:
+            return buildBubbleFrame(size, caption, {
+                frameColor,
+                textColor: frameTextColor || contrastColor(frameColor),
+                backgroundColor,
+                onTop
+            });
+
+        default:
+            throw new Error(`Unsupported frame style: ${frame}`);
+    }
+}
+
+/**
+ * Solid border around the code with the caption on a band of the frame color
+ */
+function buildBorderedFrame(size, caption, { border, radius, frameColor, textColor, backgroundColor, onTop }) {
+    const width = size + border * 2;
+    const block = caption(textColor, width - border * 2);
+    const band = block ? block.height + block.padding * 2 : 0;
+    const height = size + border * 2 + band;
+    const qrY = onTop ? border + band : border;
+
+    // A transparent code needs a hole in the plate so the background shows through
+    const parts = [backgroundColor === 'none'
+        ? `<path d="${roundedRectPath(width, height, radius)}M${border} ${qrY}h${size}v${size}h${-size}Z" ` +
+            `fill="${escapeXml(frameColor)}" fill-rule="evenodd"/>`
+        : `<rect width="${width}" height="${height}" rx="${radius}" fill="${escapeXml(frameColor)}"/>`];
+    if (block) {
+        const bandTop = onTop ? border : border + size;
+        parts.push(block.render(width / 2, bandTop + block.padding));
+    }
+
+    return { width, height, qrX: border, qrY, body: parts.join('') };
+}
+
+/**
+ * Path of a rectangle at the origin with rounded corners
+ */
+function roundedRectPath(width, height, radius) {
+    const r = Math.min(radius, width / 2, height / 2);
+    return `M${r} 0H${width - r}A${r} ${r} 0 0 1 ${width} ${r}V${height - r}` +
+        `A${r} ${r} 0 0 1 ${width - r} ${height}H${r}A${r} ${r} 0 0 1 0 ${height - r}V${r}A${r} ${r} 0 0 1 ${r} 0Z`;
+}
+
+/**
+ * Ring around the code; the code's corners touch the inner circle
+ */
+function buildCircularFrame(size, caption, { frameColor, textColor, backgroundColor, onTop }) {
+    const innerRadius = Math.ceil((size * Math.SQRT2) / 2);
+    const ring = Math.max(3, Math.round(size * 0.05));
+    const width = (innerRadius + ring) * 2;
+    const block = caption(textColor, width * 0.8);
+    const band = block ? block.height + block.padding * 2 : 0;
+    const height = width + band;
+    const circleY = onTop ? band : 0;
+    const center = width / 2;
+
+    const parts = [
+        `<rect width="${width}" height="${height}" fill="${escapeXml(backgroundColor)}"/>`,
+        `<circle cx="${center}" cy="${circleY + center}" r="${fmt(center - ring / 2)}" fill="none" stroke="${escapeXml(frameColor)}" stroke-width="${ring}"/>`
+    ];
+    if (block) {
+        parts.push(block.render(center, (onTop ? 0 : width) + block.padding));
+    }
+
+    const offset = Math.round((width - size) / 2);
+    return { width, height, qrX: offset, qrY: circleY + offset, body: parts.join('') };
+}
+
+/**
+ * Thin outline with rounded corners, separated from the code by a small gap
+ */
+function buildEdgeFrame(size, caption, { frameColor, textColor, backgroundColor, onTop }) {
+    const line = Math.max(2, Math.round(size * 0.012));
+    const gap = Math.round(size * 0.03);
+    const box = size + (gap + line) * 2;
+    const block = caption(textColor, box - line * 2);
+    const band = block ? block.height + block.padding * 2 : 0;
+    const boxY = onTop ? band : 0;
+
+    const parts = [
+        `<rect width="${box}" height="${box + band}" fill="${escapeXml(backgroundColor)}"/>`,
+        `<rect x="${line / 2}" y="${boxY + line / 2}" width="${box - line}" height="${box - line}" rx="${gap}" ` +
+        `fill="none" stroke="${escapeXml(frameColor)}" stroke-width="${line}"/>`
+    ];
+    if (block) {
+        parts.push(block.render(box / 2, (onTop ? 0 : box) + block.padding));
+    }
+
+    return { width: box, height: box + band, qrX: gap + line, qrY: boxY + gap + line, body: parts.join('') };
+}
+
+/**
+ * Viewfinder brackets at the four corners of the code
+ */
+function buildCameraFrame(size, caption, { frameColor, textColor, backgroundColor, onTop }) {
+    const line = Math.max(3, Math.round(size * 0.025));
+    const gap = Math.round(size * 0.04);
+    const box = size + (gap + line) * 2;
+    const arm = Math.round(box * 0.18);
+    const block = caption(textColor, box - line * 2);
+    const band = block ? block.height + block.padding * 2 : 0;
+    const boxY = onTop ? band : 0;
+
+    const near = line / 2;
+    const far = box - line / 2;
+    const brackets = [
+        `M${near} ${near + arm}V${near}H${near + arm}`,
+        `M${far - arm} ${near}H${far}V${near + arm}`,
+        `M${far} ${far - arm}V${far}H${far - arm}`,
+        `M${near + arm} ${far}H${near}V${far - arm}`
+    ].join('');
+
+    const parts = [
+        `<rect width="${box}" height="${box + band}" fill="${escapeXml(backgroundColor)}"/>`,
+        `<path transform="translate(0 ${boxY})" d="${brackets}" fill="none" stroke="${escapeXml(frameColor)}" ` +
+        `stroke-width="${line}" stroke-linecap="round" stroke-linejoin="round"/>`
+    ];
+    if (block) {
+        parts.push(block.render(box / 2, (onTop ? 0 : box) + block.padding));
+    }
+
+    return { width: box, height: box + band, qrX: gap + line, qrY: boxY + gap + line, body: parts.join('') };
+}
+
+/**
+ * Speech bubble callout with a tail pointing at the code
+ */
+function buildBubbleFrame(size, caption, { frameColor, textColor, backgroundColor, onTop }) {
+    const inset = Math.round(size * 0.05);
+    const block = caption(textColor, size - inset * 4);
+    const bubble = block.height + block.padding * 2;
+    const tail = Math.max(6, Math.round(block.padding * 1.2));
+    const height = size + tail + bubble + inset;
+
+    const qrY = onTop ? inset + bubble + tail : 0;
+    const bubbleY = onTop ? inset : size + tail;
+    const center = size / 2;
+    const tailPath = onTop
+        ? `M${center - tail} ${bubbleY + bubble - 1}L${center} ${bubbleY + bubble + tail}L${center + tail} ${bubbleY + bubble - 1}Z`
+        : `M${center - tail} ${bubbleY + 1}L${center} ${bubbleY - tail}L${center + tail} ${bubbleY + 1}Z`;
+
+    const parts = [
+        `<rect width="${size}" height="${height}" fill="${escapeXml(backgroundColor)}"/>`,
+        `<rect x="${inset}" y="${bubbleY}" width="${size - inset * 2}" height="${bubble}" rx="${fmt(Math.min(bubble / 2, inset * 2))}" fill="${escapeXml(frameColor)}"/>`,
+        `<path d="${tailPath}" fill="${escapeXml(frameColor)}"/>`,
+        block.render(center, bubbleY + block.padding)
+    ];
+
+    return { width: size, height, qrX: 0, qrY, body: parts.join('') };
+}
+
+/**
+ * Wrap a caption into lines and prepare its glyph outlines.
+ * Returns the block size and a render(centerX, top) function.
+ */
+function layoutCaption(font, text, { fontSize, color, maxWidth, icon = 'none', pointsUp = true }) {
+    const iconPath = FRAME_ICONS[icon] || null;
+    const lineHeight = Math.round(fontSize * 1.25);
+    const iconSize = iconPath ? Math.round(fontSize * 1.4) : 0;
+    const iconGap = iconPath ? Math.round(fontSize * 0.5) : 0;
+
+    const lines = wrapText(font, text, fontSize, Math.max(maxWidth - iconSize - iconGap, fontSize));
+    const textWidth = Math.max(...lines.map(line => measureText(font, line, fontSize)));
+    const height = Math.max(lines.length * lineHeight, iconSize);
+
+    const render = (centerX, top) => {
+        const left = centerX - (iconSize + iconGap + textWidth) / 2;
+        const textCenter = left + iconSize + iconGap + textWidth / 2;
+        const textTop = top + (height - lines.length * lineHeight) / 2;
+        const parts = [];
+
+        if (iconPath) {
+            const scale = iconSize / 24;
+            const iconTop = top + (height - iconSize) / 2;
+            // The arrow points at the code
+            const flip = icon === 'arrow' && !pointsUp ? ' translate(0 24) scale(1 -1)' : '';
+            parts.push(`<path transform="translate(${fmt(left)} ${fmt(iconTop)}) scale(${fmt(scale)})${flip}" ` +
+                `fill-rule="evenodd" fill="${escapeXml(color)}" d="${iconPath}"/>`);
+        }
+
+        const glyphs = lines.map((line, i) => {
+            const lineWidth = measureText(font, line, fontSize);
+            const baseline = textTop + i * lineHeight + (lineHeight + fontSize * 0.7) / 2;
+            return textToPath(font, line, textCenter - lineWidth / 2, baseline, fontSize);
+        }).join('');
+
+        parts.push(`<path fill="${escapeXml(color)}" d="${glyphs}"/>`);
+        return parts.join('');
+    };
+
+    return { width: iconSize + iconGap + textWidth, height, padding: Math.round(fontSize * 0.6), render };
+}
+
+/**
+ * Break text into lines no wider than maxWidth. Explicit newlines are kept
+ * and words longer than a line are split.
+ */
+function wrapText(font, text, fontSize, maxWidth) {
+    const lines = [];
+
+    for (const paragraph of String(text).split(/\r?\n/)) {
+        let line = '';
+
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measureText(font, candidate, fontSize) <= maxWidth) {
+                line = candidate;
+                continue;
+            }
+
+            if (line) {
+                lines.push(line);
+            }
+
+            // Split words that don't fit on a line of their own
+            line = '';
+            for (const char of word) {
+                if (line && measureText(font, line + char, fontSize) > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        }
+
+        lines.push(line);
+    }
+
+    return lines;
+}
+
+/**
+ * Measure the advance width of a line of text
+ */
+function measureText(font, text, fontSize) {
+    return (font.layout(text).advanceWidth * fontSize) / font.unitsPerEm;
+}
+
+/**
+ * Convert a line of text to SVG path data with its baseline at y
+ */
+function textToPath(font, text, x, y, fontSize) {
+    const run = font.layout(text);
+    const scale = fontSize / font.unitsPerEm;
+    let penX = 0;
+
+    return run.glyphs.map((glyph, i) => {
+        const position = run.positions[i];
+        const d = glyph.path
+            .scale(scale, -scale)
+            .translate(x + (penX + position.xOffset) * scale, y - position.yOffset * scale)
+            .toSVG();
+        penX += position.xAdvance;
+        return d;
+    }).join('');
+}
+
+/**
+ * Load a user-supplied font or one of the bundled fonts
+ */
+function loadFont(name, fontBuffer = null) {
+    if (fontBuffer) {
+        try {
+            return fontkit.create(Buffer.from(fontBuffer));
+        } catch (error) {
+            console.log(`Warning: Failed to load custom font, using bundled font: ${error.message}`);
+        }
+    }
+
+    const file = BUNDLED_FONTS[name] || BUNDLED_FONTS['sans-bold'];
+    if (!fontCache.has(file)) {
+        fontCache.set(file, fontkit.openSync(require.resolve(`dejavu-fonts-ttf/ttf/${file}`)));
+    }
+    return fontCache.get(file);
+}
+
+/**
+ * Pick black or white text for the best contrast on a background color
+ */
+function contrastColor(hex) {
+    const [r, g, b] = hexToRgb(hex);
+    return (r * 299 + g * 587 + b * 114) / 1000 > 140 ? '#000000' : '#FFFFFF';
+}
+
+module.exports = {
+    buildFrame,
+    loadFont,
+    textToPath,
+    measureText,
+    FRAME_STYLES,
+    FRAME_ICONS,
+    BUNDLED_FONTS
+};
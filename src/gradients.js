@@ -0,0 +1,225 @@
+/**
+ * Gradient Engine
+ * One gradient definition for data modules, eyes and background, sampled
+ * per pixel for raster output and emitted as SVG gradients for vector output
+ */
+
+const { hexToRgb, isHexColor } = require('./colorUtils');
+const { escapeXml, fmt } = require('./svgUtils');
+
+/**
+ * Gradient types
+ */
+const GRADIENT_TYPES = {
+    LINEAR: 'linear',
+    RADIAL: 'radial'
+};
+
+/**
+ * Legacy gradientType values mapped to gradient definitions
+ */
+const LEGACY_GRADIENTS = {
+    'linear-vertical': { type: GRADIENT_TYPES.LINEAR, angle: 90 },
+    'linear-horizontal': { type: GRADIENT_TYPES.LINEAR, angle: 0 },
+    'radial': { type: GRADIENT_TYPES.RADIAL }
+};
+
+/**
+ * Normalize a gradient definition. Accepts
+ * { type, angle, center: { x, y }, radius, colors: [...] | stops: [{ offset, color }] }
+ * with angle in degrees clockwise from left-to-right, center and radius as
+ * fractions of the image. Stop colors must be hex. Returns null when there
+ * is nothing to draw.
+ */
+function normalizeGradient(gradient) {
+    if (!gradient) {
+        return null;
+    }
+
+    const stops = gradient.stops
+        ? gradient.stops.map(stop => ({ offset: clamp(Number(stop.offset)), color: stop.color }))
+        : (gradient.colors || []).map((color, i, colors) => ({ offset: i / Math.max(colors.length - 1, 1), color }));
+
+    if (stops.length < 2) {
+        return null;
+    }
+
+    // Raster output samples stops as RGB, so only hex colors render the same everywhere
+    const invalid = stops.find(stop => !isHexColor(stop.color));
+    if (invalid) {
+        throw new Error(`Invalid gradient color "${invalid.color}": use a hex color such as #FF0080`);
+    }
+
+    const type = gradient.type === GRADIENT_TYPES.RADIAL ? GRADIENT_TYPES.RADIAL : GRADIENT_TYPES.LINEAR;
+    const center = gradient.center || {};
+
+    return {
+        type,
+        angle: Number(gradient.angle) || 0,
+        center: {
+            x: center.x !== undefined ? Number(center.x) : 0.5,
+            y: center.y !== undefined ? Number(center.y) : 0.5
+        },
+        radius: gradient.radius !== undefined && gradient.radius !== null ? Number(gradient.radius) : null,
+        stops: stops.sort((a, b) => a.offset - b.offset)
+    };
+}
+
+/**
+ * Resolve the module, eye and background gradients from customization.
+ * `gradient` colors the data modules (and the eyes unless they have their own
+ * color or `eyeGradient`); legacy gradientType/gradientColors still work.
+ */
+function resolveGradients(options = {}) {
+    const {
+        gradient = null,
+        eyeGradient = null,
+        backgroundGradient = null,
+        gradientType = 'none',
+        gradientColors = null
+    } = options;
+
+    let modules = normalizeGradient(gradient);
+    if (!modules && LEGACY_GRADIENTS[gradientType] && gradientColors) {
+        modules = normalizeGradient({ ...LEGACY_GRADIENTS[gradientType], colors: gradientColors });
+    }
+
+    return {
+        modules,
+        eyes: normalizeGradient(eyeGradient),
+        background: normalizeGradient(backgroundGradient)
+    };
+}
+
+/**
+ * Get the gradient line (linear) or circle (radial) in pixels for an image,
+ * so raster and SVG output place the colors identically
+ */
+function getGradientGeometry(gradient, width, height) {
+    const cx = gradient.center.x * width;
+    const cy = gradient.center.y * height;
+
+    if (gradient.type === GRADIENT_TYPES.RADIAL) {
+        // Default radius reaches the farthest corner
+        const farthest = Math.max(
+            Math.hypot(cx, cy),
+            Math.hypot(width - cx, cy),
+            Math.hypot(cx, height - cy),
+            Math.hypot(width - cx, height - cy)
+        );
+        const r = gradient.radius !== null ? gradient.radius * Math.max(width, height) : farthest;
+        return { cx, cy, r: Math.max(r, 1e-6) };
+    }
+
+    // The line through the center spans the image so both corners get the end colors
+    const radians = (gradient.angle * Math.PI) / 180;
+    const dx = Math.cos(radians);
+    const dy = Math.sin(radians);
+    const half = Math.abs((width / 2) * dx) + Math.abs((height / 2) * dy);
+    const mx = width / 2;
+    const my = height / 2;
+
+    return {
+        x1: mx - dx * half,
+        y1: my - dy * half,
+        x2: mx + dx * half,
+        y2: my + dy * half
+    };
+}
+
+/**
+ * Create a paint function (px, py) => RGBA integer sampling the gradient at
+ * pixel centers, for raster rendering
+ */
+function createGradientPaint(gradient, width, height) {
+    const stops = gradient.stops.map(stop => ({ offset: stop.offset, rgb: hexToRgb(stop.color) }));
+    const geometry = getGradientGeometry(gradient, width, height);
+
+    let position;
+    if (gradient.type === GRADIENT_TYPES.RADIAL) {
+        position = (x, y) => Math.hypot(x - geometry.cx, y - geometry.cy) / geometry.r;
+    } else {
+        const lx = geometry.x2 - geometry.x1;
+        const ly = geometry.y2 - geometry.y1;
+        const lengthSquared = Math.max(lx * lx + ly * ly, 1e-6);
+        position = (x, y) => ((x - geometry.x1) * lx + (y - geometry.y1) * ly) / lengthSquared;
+    }
+
+    return (px, py) => interpolateStops(stops, position(px + 0.5, py + 0.5));
+}
+
+/**
+ * Interpolate the color at a position (0-1) between gradient stops
+ */
+function interpolateStops(stops, position) {
+    const t = clamp(position);
+
+    if (t <= stops[0].offset) return rgbToInt(stops[0].rgb);
+    const last = stops[stops.length - 1];
+    if (t >= last.offset) return rgbToInt(last.rgb);
+
+    let index = 0;
+    while (index < stops.length - 2 && t > stops[index + 1].offset) {
+        index++;
+    }
+
+    const from = stops[index];
+    const to = stops[index + 1];
+    const fraction = (t - from.offset) / Math.max(to.offset - from.offset, 1e-6);
+
+    return rgbToInt(from.rgb.map((channel, i) => channel + (to.rgb[i] - channel) * fraction));
+}
+
+/**
+ * Mix two hex colors; t = 0 gives `from`, t = 1 gives `to`
+ */
+function mixColors(from, to, t) {
+    const start = hexToRgb(from);
+    const end = hexToRgb(to);
+    const fraction = clamp(t);
+
+    return '#' + start
+        .map((channel, i) => Math.round(channel + (end[i] - channel) * fraction).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Build an SVG gradient definition in user space matching the raster output
+ */
+function buildSVGGradient(id, gradient, width, height) {
+    const geometry = getGradientGeometry(gradient, width, height);
+    const stops = gradient.stops.map(stop =>
+        `<stop offset="${fmt(stop.offset)}" stop-color="${escapeXml(stop.color)}"/>`
+    ).join('');
+
+    if (gradient.type === GRADIENT_TYPES.RADIAL) {
+        return `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" ` +
+            `cx="${fmt(geometry.cx)}" cy="${fmt(geometry.cy)}" r="${fmt(geometry.r)}">${stops}</radialGradient>`;
+    }
+
+    return `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" ` +
+        `x1="${fmt(geometry.x1)}" y1="${fmt(geometry.y1)}" x2="${fmt(geometry.x2)}" y2="${fmt(geometry.y2)}">${stops}</linearGradient>`;
+}
+
+/**
+ * Convert an RGB array to an opaque RGBA integer (Jimp pixel format)
+ */
+function rgbToInt([r, g, b]) {
+    return ((Math.round(r) << 24) | (Math.round(g) << 16) | (Math.round(b) << 8) | 0xff) >>> 0;
+}
+
+/**
+ * Clamp a value to 0-1
+ */
+function clamp(value) {
+    return Math.min(Math.max(Number.isFinite(value) ? value : 0, 0), 1);
+}
+
+module.exports = {
+    normalizeGradient,
+    resolveGradients,
+    createGradientPaint,
+    buildSVGGradient,
+    mixColors,
+    GRADIENT_TYPES
+};
@@ -0,0 +1,292 @@
+/**
+ * Label Sheet Module
+ * Lays out many generated QR codes on shared printable label pages
+ */
+
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const { Actor } = require('apify');
+const { MM_TO_PT, PAGE_SIZES, getSVGDimensions } = require('./pdfRenderer');
+
+/**
+ * Common label sheet layouts (all measurements in millimetres)
+ */
+const LABEL_PRESETS = {
+    AVERY_L7160: {
+        pageSize: 'A4',
+        columns: 3,
+        rows: 7,
+        labelWidthMm: 63.5,
+        labelHeightMm: 38.1,
+        marginTopMm: 15.15,
+        marginLeftMm: 7.25,
+        gutterXMm: 2.5,
+        gutterYMm: 0
+    },
+    AVERY_L7163: {
+        pageSize: 'A4',
+        columns: 2,
+        rows: 7,
+        labelWidthMm: 99.1,
+        labelHeightMm: 38.1,
+        marginTopMm: 15.15,
+        marginLeftMm: 4.65,
+        gutterXMm: 2.5,
+        gutterYMm: 0
+    },
+    AVERY_L7121: {
+        pageSize: 'A4',
+        columns: 4,
+        rows: 6,
+        labelWidthMm: 45.7,
+        labelHeightMm: 45.7,
+        marginTopMm: 11.85,
+        marginLeftMm: 9.75,
+        gutterXMm: 2.5,
+        gutterYMm: 0
+    },
+    AVERY_5160: {
+        pageSize: 'LETTER',
+        columns: 3,
+        rows: 10,
+        labelWidthMm: 66.7,
+        labelHeightMm: 25.4,
+        marginTopMm: 12.7,
+        marginLeftMm: 4.8,
+        gutterXMm: 3.2,
+        gutterYMm: 0
+    }
+};
+
+/**
+ * Resolve the grid layout from a preset and/or explicit settings
+ */
+function resolveLayout(options = {}) {
+    let preset = {};
+    if (options.preset) {
+        preset = LABEL_PRESETS[options.preset.toUpperCase().replace(/[- ]/g, '_')];
+        if (!preset) {
+            throw new Error(`Label sheet preset not found: ${options.preset}`);
+        }
+    }
+
+    const layout = {
+        pageSize: 'A4',
+        columns: 3,
+        rows: 8,
+        marginTopMm: 10,
+        marginLeftMm: 10,
+        gutterXMm: 2,
+        gutterYMm: 2,
+        paddingMm: 2,
+        ...preset,
+        ...stripUndefined(options)
+    };
+
+    const pageDimensions = PAGE_SIZES[String(layout.pageSize).toUpperCase()];
+    if (!pageDimensions) {
+        throw new Error(`Unsupported page size: ${layout.pageSize}`);
+    }
+    const [pageWidthMm, pageHeightMm] = pageDimensions;
+
+    // Margins default to symmetric when only one side is given
+    const marginRightMm = layout.marginRightMm ?? layout.marginLeftMm;
+    const marginBottomMm = layout.marginBottomMm ?? layout.marginTopMm;
+
+    const labelWidthMm = layout.labelWidthMm ||
+        (pageWidthMm - layout.marginLeftMm - marginRightMm - layout.gutterXMm * (layout.columns - 1)) / layout.columns;
+    const labelHeightMm = layout.labelHeightMm ||
+        (pageHeightMm - layout.marginTopMm - marginBottomMm - layout.gutterYMm * (layout.rows - 1)) / layout.rows;
+
+    if (labelWidthMm <= 0 || labelHeightMm <= 0) {
+        throw new Error('Label sheet margins and gutters leave no room for labels');
+    }
+
+    return { ...layout, pageWidthMm, pageHeightMm, labelWidthMm, labelHeightMm };
+}
+
+/**
+ * Create a label sheet PDF from QR code results
+ */
+async function createLabelSheet(results, options = {}) {
+    const {
+        captionField = null,
+        captionFontSize = 8,
+        drawOutlines = false
+    } = options;
+
+    const layout = resolveLayout(options);
+    const labels = results
+        .filter(r => r.success && r.files)
+        .map(r => ({ result: r, artwork: getArtwork(r) }))
+        .filter(label => {
+            if (!label.artwork) {
+                console.log(`Warning: No SVG or PNG output for ${label.result.id}, skipping on label sheet`);
+            }
+            return !!label.artwork;
+        });
+
+    if (labels.length === 0) {
+        throw new Error('No SVG or PNG files available for the label sheet');
+    }
+
+    const perPage = layout.columns * layout.rows;
+    const pageCount = Math.ceil(labels.length / perPage);
+
+    const buffer = await new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: [layout.pageWidthMm * MM_TO_PT, layout.pageHeightMm * MM_TO_PT],
+                margin: 0,
+                autoFirstPage: false
+            });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            labels.forEach((label, index) => {
+                const cell = index % perPage;
+                if (cell === 0) {
+                    doc.addPage();
+                }
+
+                const column = cell % layout.columns;
+                const row = Math.floor(cell / layout.columns);
+
+                drawLabel(doc, label, {
+                    x: (layout.marginLeftMm + column * (layout.labelWidthMm + layout.gutterXMm)) * MM_TO_PT,
+                    y: (layout.marginTopMm + row * (layout.labelHeightMm + layout.gutterYMm)) * MM_TO_PT,
+                    width: layout.labelWidthMm * MM_TO_PT,
+                    height: layout.labelHeightMm * MM_TO_PT,
+                    padding: layout.paddingMm * MM_TO_PT,
+                    caption: captionField ? getCaption(label.result, captionField) : '',
+                    captionFontSize,
+                    drawOutlines
+                });
+            });
+
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+
+    return {
+        buffer,
+        pageCount,
+        labelCount: labels.length
+    };
+}
+
+/**
+ * Draw a single label cell: the code centered above an optional caption
+ */
+function drawLabel(doc, label, cell) {
+    const { x, y, width, height, padding, caption, captionFontSize, drawOutlines } = cell;
+
+    if (drawOutlines) {
+        doc.save().lineWidth(0.25).strokeColor('#CCCCCC').rect(x, y, width, height).stroke().restore();
+    }
+
+    const captionHeight = caption ? captionFontSize * 1.4 : 0;
+    const boxWidth = width - padding * 2;
+    const boxHeight = height - padding * 2 - captionHeight;
+
+    // Fit the artwork into the box keeping its aspect ratio
+    const scale = Math.min(boxWidth / label.artwork.width, boxHeight / label.artwork.height);
+    const artWidth = label.artwork.width * scale;
+    const artHeight = label.artwork.height * scale;
+    const artX = x + (width - artWidth) / 2;
+    const artY = y + padding + (boxHeight - artHeight) / 2;
+
+    if (label.artwork.svg) {
+        SVGtoPDF(doc, label.artwork.svg, artX, artY, {
+            width: artWidth,
+            height: artHeight,
+            preserveAspectRatio: 'xMidYMid meet'
+        });
+    } else {
+        doc.image(label.artwork.png, artX, artY, { width: artWidth, height: artHeight });
+    }
+
+    if (caption) {
+        doc.fillColor('#000000')
+            .fontSize(captionFontSize)
+            .text(caption, x + padding, artY + artHeight + captionFontSize * 0.3, {
+                width: boxWidth,
+                height: captionFontSize * 1.2,
+                align: 'center',
+                lineBreak: false,
+                ellipsis: true
+            });
+    }
+}
+
+/**
+ * Pick the best artwork of a result: vector SVG first, then PNG, then the
+ * SVG rendered for the sheet when neither format was requested
+ */
+function getArtwork(result) {
+    const svgFile = result.files.svg;
+    if (svgFile && svgFile.buffer) {
+        const svg = svgFile.buffer.toString();
+        return { svg, ...getSVGDimensions(svg) };
+    }
+
+    const pngFile = result.files.png;
+    if (pngFile && pngFile.buffer) {
+        // PNG IHDR stores width and height at bytes 16-23
+        const png = Buffer.from(pngFile.buffer);
+        return { png, width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+    }
+
+    if (result.labelArtwork) {
+        return { svg: result.labelArtwork, ...getSVGDimensions(result.labelArtwork) };
+    }
+
+    return null;
+}
+
+/**
+ * Get the caption of a label from a result field or an imported CSV column
+ */
+function getCaption(result, field) {
+    const value = ['id', 'type', 'content'].includes(field)
+        ? result[field]
+        : result.metadata?.[field];
+    return value !== undefined && value !== null ? String(value) : '';
+}
+
+/**
+ * Remove undefined keys so they don't override preset values
+ */
+function stripUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Save label sheet PDF to Key-Value Store
+ */
+async function saveLabelSheetToKVStore(pdfBuffer, filename = 'label-sheet.pdf') {
+    await Actor.setValue(filename, pdfBuffer, { contentType: 'application/pdf' });
+
+    // Get public URL
+    const store = await Actor.openKeyValueStore();
+    const storeId = store.id || process.env.APIFY_DEFAULT_KEY_VALUE_STORE_ID;
+    const publicUrl = `https://api.apify.com/v2/key-value-stores/${storeId}/records/${filename}`;
+
+    return {
+        filename,
+        url: publicUrl,
+        size: pdfBuffer.length
+    };
+}
+
+module.exports = {
+    createLabelSheet,
+    saveLabelSheetToKVStore,
+    resolveLayout,
+    LABEL_PRESETS
+};
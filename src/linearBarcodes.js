@@ -0,0 +1,385 @@
+/**
+ * Linear Barcodes
+ * EAN-13, UPC-A, Code 128 and GS1-128 barcodes with check digits, quiet zones
+ * and human-readable text, drawn as SVG so every output format shares one
+ * layout, and product tags that combine a QR code with a barcode
+ */
+
+const bwipjs = require('bwip-js');
+const sharp = require('sharp');
+const { loadFont, textToPath, measureText } = require('./frameRenderer');
+const { getSVGDimensions } = require('./pdfRenderer');
+const { escapeXml, fmt } = require('./svgUtils');
+
+/**
+ * Supported linear symbologies
+ */
+const LINEAR_SYMBOLOGIES = {
+    EAN13: 'ean13',
+    UPCA: 'upca',
+    CODE128: 'code128',
+    GS1_128: 'gs1-128'
+};
+
+/**
+ * bwip-js encoder of each linear symbology
+ */
+const ENCODERS = {
+    [LINEAR_SYMBOLOGIES.EAN13]: 'ean13',
+    [LINEAR_SYMBOLOGIES.UPCA]: 'upca',
+    [LINEAR_SYMBOLOGIES.CODE128]: 'code128',
+    [LINEAR_SYMBOLOGIES.GS1_128]: 'gs1-128'
+};
+
+/**
+ * Layout in modules: quiet zones left and right of the bars, default bar
+ * height and text size. EAN-13 and UPC-A follow the GS1 nominal size.
+ */
+const LINEAR_LAYOUT = {
+    [LINEAR_SYMBOLOGIES.EAN13]: { quietLeft: 11, quietRight: 7, barHeight: 69, fontSize: 9 },
+    [LINEAR_SYMBOLOGIES.UPCA]: { quietLeft: 9, quietRight: 9, barHeight: 69, fontSize: 9 },
+    [LINEAR_SYMBOLOGIES.CODE128]: { quietLeft: 10, quietRight: 10, barHeight: 50, fontSize: 10 },
+    [LINEAR_SYMBOLOGIES.GS1_128]: { quietLeft: 10, quietRight: 10, barHeight: 50, fontSize: 10 }
+};
+
+/**
+ * Guard bars of EAN-13 and UPC-A extend this many modules below the others
+ */
+const GUARD_EXTENSION = 5;
+
+/**
+ * Space above the bars and below the text in modules
+ */
+const VERTICAL_MARGIN = 2;
+
+/**
+ * GS1 application identifiers whose last digit is a mod-10 check digit, with
+ * their fixed length
+ */
+const GS1_CHECKED_AIS = {
+    '00': 18,
+    '01': 14,
+    '02': 14,
+    '410': 13,
+    '411': 13,
+    '412': 13,
+    '413': 13,
+    '414': 13,
+    '415': 13
+};
+
+/**
+ * Tag layouts: QR code above the barcode, or side by side
+ */
+const TAG_LAYOUTS = {
+    STACKED: 'stacked',
+    SIDE: 'side'
+};
+
+/**
+ * Check whether a symbology is one of the linear barcodes
+ */
+function isLinearSymbology(symbology) {
+    return Object.values(LINEAR_SYMBOLOGIES).includes(symbology);
+}
+
+/**
+ * Calculate the GS1 mod-10 check digit of a digit string (EAN, UPC, GTIN,
+ * SSCC, GLN): weights 3 and 1 alternate from the rightmost digit
+ */
+function calculateCheckDigit(digits) {
+    const sum = String(digits)
+        .split('')
+        .reverse()
+        .reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+    return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Validate barcode content and complete missing check digits.
+ * Returns { text, checkDigit, humanReadable } where text goes to the encoder.
+ */
+function normalizeBarcodeContent(content, symbology) {
+    const value = String(content === undefined || content === null ? '' : content).trim();
+
+    switch (symbology) {
+        case LINEAR_SYMBOLOGIES.EAN13:
+            return normalizeGTIN(value, 13, 'EAN-13');
+
+        case LINEAR_SYMBOLOGIES.UPCA:
+            return normalizeGTIN(value, 12, 'UPC-A');
+
+        case LINEAR_SYMBOLOGIES.CODE128:
+            if (!value || !/^[\x20-\x7e]+$/.test(value)) {
+                throw new Error('Code 128 content must be printable ASCII characters');
+            }
+            // The mod-103 check character is added by the encoder and not printed
+            return { text: value, checkDigit: null, humanReadable: value };
+
+        case LINEAR_SYMBOLOGIES.GS1_128:
+            return normalizeGS1(value);
+
+        default:
+            throw new Error(`Unsupported linear symbology: ${symbology}`);
+    }
+}
+
+/**
+ * Validate an EAN-13 or UPC-A number, appending the check digit when it is missing
+ */
+function normalizeGTIN(value, length, name) {
+    const digits = value.replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits) || (digits.length !== length && digits.length !== length - 1)) {
+        throw new Error(`${name} needs ${length - 1} digits, or ${length} with the check digit`);
+    }
+
+    const checkDigit = calculateCheckDigit(digits.slice(0, length - 1));
+    if (digits.length === length && digits[length - 1] !== checkDigit) {
+        throw new Error(`Invalid ${name} check digit in ${digits}: expected ${checkDigit}, got ${digits[length - 1]}`);
+    }
+
+    const text = digits.slice(0, length - 1) + checkDigit;
+    return { text, checkDigit, humanReadable: text };
+}
+
+/**
+ * Validate a GS1 element string such as (01)09521234543213(10)ABC, completing
+ * the check digit of GTIN, SSCC and GLN fields given without it
+ */
+function normalizeGS1(value) {
+    const fields = [...value.matchAll(/\((\d{2,4})\)([^(]*)/g)];
+    if (fields.length === 0 || fields.map(field => field[0]).join('') !== value) {
+        throw new Error('GS1-128 content must be element strings with bracketed AIs, e.g. (01)09521234543213(10)ABC123');
+    }
+
+    let checkDigit = null;
+    const text = fields.map(([, ai, data]) => {
+        const length = GS1_CHECKED_AIS[ai];
+        if (!length) {
+            return `(${ai})${data}`;
+        }
+        if (!/^\d+$/.test(data) || (data.length !== length && data.length !== length - 1)) {
+            throw new Error(`GS1 AI (${ai}) needs ${length - 1} digits, or ${length} with the check digit`);
+        }
+
+        const expected = calculateCheckDigit(data.slice(0, length - 1));
+        if (data.length === length && data[length - 1] !== expected) {
+            throw new Error(`Invalid check digit in GS1 AI (${ai}) ${data}: expected ${expected}, got ${data[length - 1]}`);
+        }
+        checkDigit = checkDigit || expected;
+        return `(${ai})${data.slice(0, length - 1)}${expected}`;
+    }).join('');
+
+    return { text, checkDigit, humanReadable: text };
+}
+
+/**
+ * Generate a linear barcode as an SVG document. `size` is the width in pixels
+ * including the quiet zones, rounded down to whole pixels per module.
+ */
+function generateBarcodeSVG(content, options = {}) {
+    const {
+        symbology = LINEAR_SYMBOLOGIES.CODE128,
+        size = 300,
+        barHeight = null,
+        humanReadableText = true,
+        foregroundColor = '#000000',
+        backgroundColor = '#FFFFFF',
+        transparentBackground = false
+    } = options;
+
+    const { text, humanReadable } = normalizeBarcodeContent(content, symbology);
+    const layout = LINEAR_LAYOUT[symbology];
+    // includetext makes bwip-js mark the EAN/UPC guard bars; the text itself is drawn here
+    const [symbol] = bwipjs.raw(ENCODERS[symbology], text, { includetext: true });
+
+    const bars = getBars(symbol, layout.quietLeft);
+    const barsWidth = symbol.sbs.reduce((total, width) => total + width, 0);
+    const width = layout.quietLeft + barsWidth + layout.quietRight;
+    const barsTop = VERTICAL_MARGIN;
+    const barsBottom = barsTop + (barHeight || layout.barHeight);
+    const hasGuards = bars.some(bar => bar.guard);
+
+    const font = loadFont('mono');
+    let textPath = '';
+    let bottom = barsBottom + (hasGuards ? GUARD_EXTENSION : 0);
+
+    if (humanReadableText) {
+        const digits = symbology === LINEAR_SYMBOLOGIES.EAN13 || symbology === LINEAR_SYMBOLOGIES.UPCA;
+        const placed = digits
+            ? placeGTINDigits(humanReadable, symbology, layout)
+            : [{ text: humanReadable, center: layout.quietLeft + barsWidth / 2, fontSize: layout.fontSize }];
+
+        const lines = placed.map(item => {
+            // Long Code 128 text shrinks to stay inside the symbol
+            const fontSize = Math.min(item.fontSize, (item.fontSize * width) / Math.max(measureText(font, item.text, item.fontSize), 1));
+            return { ...item, fontSize, width: measureText(font, item.text, fontSize) };
+        });
+        const ascent = Math.max(...lines.map(line => (font.layout(line.text).bbox.maxY * line.fontSize) / font.unitsPerEm));
+        const baseline = barsBottom + 1 + ascent;
+
+        textPath = lines.map(line => {
+            const x = line.align === 'end' ? line.center - line.width
+                : line.align === 'start' ? line.center
+                    : line.center - line.width / 2;
+            return textToPath(font, line.text, x, baseline, line.fontSize);
+        }).join('');
+        bottom = Math.max(bottom, baseline + (-font.descent * layout.fontSize) / font.unitsPerEm);
+    }
+
+    const height = Math.ceil(bottom + VERTICAL_MARGIN);
+    const moduleSize = Math.max(Math.floor(size / width), 1);
+
+    const rects = bars.map(bar => {
+        const barBottom = bar.guard ? barsBottom + GUARD_EXTENSION : barsBottom;
+        return `<rect x="${bar.x}" y="${barsTop}" width="${bar.width}" height="${fmt(barBottom - barsTop)}"/>`;
+    }).join('');
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width * moduleSize}" height="${height * moduleSize}" `,
+        `viewBox="0 0 ${width} ${height}">`,
+        transparentBackground ? '' : `<rect width="${width}" height="${height}" fill="${escapeXml(backgroundColor)}"/>`,
+        `<g fill="${escapeXml(foregroundColor)}" shape-rendering="crispEdges">${rects}</g>`,
+        textPath ? `<path fill="${escapeXml(foregroundColor)}" d="${textPath}"/>` : '',
+        '</svg>'
+    ].join('');
+}
+
+/**
+ * Get the bars of an encoded symbol in modules from the left edge of the image.
+ * bwip-js lists alternating bar and space widths; guard bars reach lower.
+ */
+function getBars(symbol, offset) {
+    const bars = [];
+    let x = offset;
+
+    symbol.sbs.forEach((width, i) => {
+        if (i % 2 === 0) {
+            bars.push({ x, width, guard: (symbol.bbs[i / 2] || 0) < 0 });
+        }
+        x += width;
+    });
+
+    return bars;
+}
+
+/**
+ * Place the digits of an EAN-13 or UPC-A number: the outer digits sit in the
+ * quiet zones, the others are centered under their 7-module characters
+ */
+function placeGTINDigits(number, symbology, layout) {
+    const left = layout.quietLeft;
+    const small = layout.fontSize * 0.8;
+    const center = (start, index) => ({ center: start + 7 * index + 3.5, fontSize: layout.fontSize });
+
+    if (symbology === LINEAR_SYMBOLOGIES.EAN13) {
+        return number.split('').map((digit, i) => {
+            if (i === 0) return { text: digit, center: left - 1, fontSize: layout.fontSize, align: 'end' };
+            return { text: digit, ...(i <= 6 ? center(left + 3, i - 1) : center(left + 50, i - 7)) };
+        });
+    }
+
+    // UPC-A: the number system and check digits print smaller outside the guards
+    return number.split('').map((digit, i) => {
+        if (i === 0) return { text: digit, center: left - 1, fontSize: small, align: 'end' };
+        if (i === 11) return { text: digit, center: left + 96, fontSize: small, align: 'start' };
+        return { text: digit, ...(i <= 5 ? center(left + 10, i - 1) : center(left + 50, i - 6)) };
+    });
+}
+
+/**
+ * Compose a product tag: a QR code and a barcode on one background.
+ * `size` is the tag width in pixels.
+ */
+function composeProductTag(qrSvg, barcodeSvg, options = {}) {
+    const {
+        size = 300,
+        tagLayout = TAG_LAYOUTS.STACKED,
+        backgroundColor = '#FFFFFF',
+        transparentBackground = false
+    } = options;
+
+    const padding = Math.round(size * 0.04);
+    const inner = size - padding * 2;
+    const qr = getSVGDimensions(qrSvg);
+    const barcode = getSVGDimensions(barcodeSvg);
+    let parts;
+    let height;
+
+    if (tagLayout === TAG_LAYOUTS.SIDE) {
+        // QR code on the left, barcode filling the rest of the width
+        const qrWidth = Math.round((inner - padding) * 0.4);
+        const qrHeight = qrWidth * (qr.height / qr.width);
+        const barcodeWidth = inner - padding - qrWidth;
+        const barcodeHeight = barcodeWidth * (barcode.height / barcode.width);
+        const rowHeight = Math.max(qrHeight, barcodeHeight);
+        height = Math.round(rowHeight + padding * 2);
+        parts = [
+            nestSVG(qrSvg, padding, padding + (rowHeight - qrHeight) / 2, qrWidth, qrHeight),
+            nestSVG(barcodeSvg, padding * 2 + qrWidth, padding + (rowHeight - barcodeHeight) / 2, barcodeWidth, barcodeHeight)
+        ];
+    } else {
+        // QR code centered above a full-width barcode
+        const qrWidth = Math.round(inner * 0.6);
+        const qrHeight = qrWidth * (qr.height / qr.width);
+        const barcodeHeight = inner * (barcode.height / barcode.width);
+        height = Math.round(qrHeight + barcodeHeight + padding * 3);
+        parts = [
+            nestSVG(qrSvg, (size - qrWidth) / 2, padding, qrWidth, qrHeight),
+            nestSVG(barcodeSvg, padding, padding * 2 + qrHeight, inner, barcodeHeight)
+        ];
+    }
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" `,
+        `width="${size}" height="${height}" viewBox="0 0 ${size} ${height}">`,
+        transparentBackground ? '' : `<rect width="${size}" height="${height}" fill="${escapeXml(backgroundColor)}"/>`,
+        ...parts,
+        '</svg>'
+    ].join('');
+}
+
+/**
+ * Place an SVG document inside another as a nested <svg> at the given box,
+ * keeping its viewBox so it scales to fit
+ */
+function nestSVG(svg, x, y, width, height) {
+    const content = svg.replace(/^[\s\S]*?(<svg[\s>])/, '$1');
+    const root = content.match(/<svg[^>]*>/)[0];
+    const { width: viewWidth, height: viewHeight } = getSVGDimensions(content);
+
+    const attributes = root
+        .replace(/^<svg|>$/g, '')
+        .replace(/\s(x|y|width|height|viewBox|xmlns(:\w+)?)="[^"]*"/g, '');
+
+    return `<svg x="${fmt(x)}" y="${fmt(y)}" width="${fmt(width)}" height="${fmt(height)}" ` +
+        `viewBox="${getViewBox(root) || `0 0 ${viewWidth} ${viewHeight}`}"${attributes}>` +
+        content.slice(content.indexOf(root) + root.length);
+}
+
+/**
+ * Get the viewBox attribute of an SVG root tag
+ */
+function getViewBox(root) {
+    const match = root.match(/viewBox="([^"]*)"/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Rasterize a barcode or product tag SVG to PNG
+ */
+async function renderSVGToPNG(svg) {
+    return await sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+module.exports = {
+    generateBarcodeSVG,
+    composeProductTag,
+    nestSVG,
+    renderSVGToPNG,
+    normalizeBarcodeContent,
+    calculateCheckDigit,
+    isLinearSymbology,
+    LINEAR_SYMBOLOGIES,
+    TAG_LAYOUTS
+};
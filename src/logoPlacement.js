@@ -0,0 +1,215 @@
+/**
+ * Logo Placement
+ * Fits logos into the error correction budget and clears the modules behind them
+ */
+
+const sharp = require('sharp');
+const { createModuleMatrix, FINDER_SIZE } = require('./moduleMatrix');
+const { escapeXml } = require('./svgUtils');
+
+/**
+ * Error correction levels from lowest to highest
+ */
+const EC_LEVELS = ['L', 'M', 'Q', 'H'];
+
+/**
+ * Share of codewords each error correction level can restore
+ */
+const EC_RECOVERY = {
+    L: 0.07,
+    M: 0.15,
+    Q: 0.25,
+    H: 0.30
+};
+
+/**
+ * Share of the recovery capacity a logo may use. The rest stays available for
+ * print defects, glare and codewords the logo only partly hits.
+ */
+const LOGO_BUDGET_RATIO = 0.6;
+
+/**
+ * Smallest logo size (percent of the image) the planner shrinks to
+ */
+const MIN_LOGO_SIZE = 5;
+
+/**
+ * Plan logo size and error correction level so the code stays readable.
+ * Raises the level first ('raise-level') or only shrinks the logo ('shrink-logo').
+ */
+function planLogoPlacement(content, options = {}) {
+    const {
+        margin = 4,
+        errorCorrectionLevel = 'M',
+        eci = null,
+        logoSize = 20,
+        logoClearModules = false,
+        logoPadding = 1,
+        logoFitStrategy = 'raise-level'
+    } = options;
+
+    const requestedIndex = Math.max(EC_LEVELS.indexOf(errorCorrectionLevel), 0);
+    const levels = logoFitStrategy === 'shrink-logo'
+        ? [EC_LEVELS[requestedIndex]]
+        : EC_LEVELS.slice(requestedIndex);
+
+    const measureOptions = { clearModules: logoClearModules, padding: logoPadding };
+    let matrix = null;
+    let measurement = null;
+
+    for (const level of levels) {
+        let candidate;
+        try {
+            candidate = createModuleMatrix(content, { errorCorrectionLevel: level, eci, margin });
+        } catch (error) {
+            // Content no longer fits at higher levels; keep the last one that did
+            if (!matrix) throw error;
+            break;
+        }
+
+        matrix = candidate;
+        measurement = measureLogo(matrix, logoSize, measureOptions);
+        if (measurement.fits) break;
+    }
+
+    let appliedSize = logoSize;
+    while (!measurement.fits && appliedSize > MIN_LOGO_SIZE) {
+        appliedSize = Math.max(Math.floor(appliedSize) - 1, MIN_LOGO_SIZE);
+        measurement = measureLogo(matrix, appliedSize, measureOptions);
+    }
+
+    const adjustments = [];
+    if (matrix.errorCorrectionLevel !== EC_LEVELS[requestedIndex]) {
+        adjustments.push(`Raised error correction from ${EC_LEVELS[requestedIndex]} to ${matrix.errorCorrectionLevel}`);
+    }
+    if (appliedSize !== logoSize) {
+        adjustments.push(`Reduced logo size from ${logoSize}% to ${appliedSize}%`);
+    }
+    if (!measurement.fits) {
+        adjustments.push('Logo still exceeds the error correction budget; the code may not scan');
+    }
+
+    const clearArea = logoClearModules
+        ? { row: measurement.offset, col: measurement.offset, size: measurement.side }
+        : null;
+
+    return {
+        errorCorrectionLevel: matrix.errorCorrectionLevel,
+        logoSize: appliedSize,
+        clearArea,
+        report: {
+            requestedSize: logoSize,
+            logoSize: appliedSize,
+            requestedErrorCorrectionLevel: EC_LEVELS[requestedIndex],
+            errorCorrectionLevel: matrix.errorCorrectionLevel,
+            coveredModules: measurement.coveredModules,
+            coverage: Math.round((measurement.coveredModules / (matrix.width * matrix.height)) * 10000) / 100,
+            budget: measurement.budget,
+            clearedModules: logoClearModules,
+            fits: measurement.fits,
+            adjustments
+        }
+    };
+}
+
+/**
+ * Measure the modules a centered logo covers and compare them to the budget
+ */
+function measureLogo(matrix, logoSizePercent, { clearModules, padding }) {
+    const modulesAcross = matrix.width + matrix.margin * 2;
+    const logoModules = (modulesAcross * logoSizePercent) / 100;
+
+    // A centered square covers whole modules symmetric to the grid center
+    let side = Math.ceil(clearModules ? logoModules + padding * 2 : logoModules);
+    if ((matrix.width - side) % 2 !== 0) {
+        side += 1;
+    }
+
+    const coveredModules = side * side;
+    const budget = Math.floor(matrix.width * matrix.height * EC_RECOVERY[matrix.errorCorrectionLevel] * LOGO_BUDGET_RATIO);
+
+    // The logo must stay clear of the finder patterns and their separators
+    const maxSide = matrix.width - (FINDER_SIZE + 1) * 2;
+
+    return {
+        side,
+        offset: (matrix.width - side) / 2,
+        coveredModules,
+        budget,
+        fits: coveredModules <= budget && side <= maxSide
+    };
+}
+
+/**
+ * Get the background plate of a cleared logo area in image pixels
+ */
+function getLogoPlateRect(matrix, imageSize, cornerRadiusPercent = 25) {
+    const { clearArea } = matrix;
+    const moduleSize = imageSize / (matrix.width + matrix.margin * 2);
+    const plateSize = clearArea.size * moduleSize;
+
+    return {
+        x: (clearArea.col + matrix.margin) * moduleSize,
+        y: (clearArea.row + matrix.margin) * moduleSize,
+        size: plateSize,
+        radius: (plateSize * Math.min(Math.max(cornerRadiusPercent, 0), 50)) / 100
+    };
+}
+
+/**
+ * Composite a logo centered on a rendered QR code. When modules were cleared
+ * for the logo, a background plate covers the cleared area first.
+ */
+async function compositeLogo(qrBuffer, logoBuffer, options) {
+    const {
+        size,
+        logoSize = 20,
+        matrix = null,
+        plateColor = '#FFFFFF',
+        cornerRadius = 25,
+        snapEdge = Math.ceil
+    } = options;
+
+    const logoPixels = Math.floor((size * logoSize) / 100);
+    const resizedLogo = await sharp(logoBuffer)
+        .resize(logoPixels, logoPixels, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .toBuffer();
+
+    const layers = [];
+
+    if (matrix && matrix.clearArea) {
+        const plate = getLogoPlateRect(matrix, size, cornerRadius);
+
+        // Snap to the pixel grid the renderer used for module edges
+        const left = snapEdge(plate.x);
+        const top = snapEdge(plate.y);
+        const plateImage = await createLogoPlateImage(
+            { ...plate, size: snapEdge(plate.x + plate.size) - left },
+            plateColor
+        );
+        layers.push({ input: plateImage, left, top });
+    }
+
+    layers.push({ input: resizedLogo, gravity: 'center' });
+
+    return await sharp(qrBuffer).composite(layers).toBuffer();
+}
+
+/**
+ * Render a logo background plate as a PNG for compositing
+ */
+async function createLogoPlateImage(plate, color) {
+    const size = Math.ceil(plate.size);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+        `<rect width="${plate.size}" height="${plate.size}" rx="${plate.radius}" fill="${escapeXml(color)}"/></svg>`;
+
+    return await sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+module.exports = {
+    planLogoPlacement,
+    getLogoPlateRect,
+    compositeLogo,
+    EC_LEVELS,
+    EC_RECOVERY
+};
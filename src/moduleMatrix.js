@@ -0,0 +1,223 @@
+/**
+ * QR Module Matrix
+ * Builds the module grid that the styling engine and renderers draw from
+ */
+
+const { encodeSymbol, SYMBOLOGIES, QUIET_ZONES } = require('./symbologies');
+const { encodeStructuredAppendSymbol } = require('./structuredAppend');
+const { encodeQR } = require('./qrEncoder');
+
+/**
+ * Finder patterns are 7x7 modules: a 7x7 ring around a 3x3 pupil
+ */
+const FINDER_SIZE = 7;
+
+/**
+ * Create the module matrix for the given content. `symbology` selects
+ * standard QR (default) or one of the other 2D symbologies; the quiet zone
+ * defaults to the symbology's minimum. `eci` names the character set QR
+ * byte segments are written in (see qrSegments.js). `structuredAppend`
+ * ({ index, total, parity, version }) encodes the content as one symbol of
+ * a series.
+ */
+function createModuleMatrix(content, options = {}) {
+    const {
+        symbology = SYMBOLOGIES.QR,
+        symbologyVersion = null,
+        errorCorrectionLevel = 'M',
+        margin = null,
+        clearArea = null,
+        eci = null,
+        structuredAppend = null
+    } = options;
+
+    let symbol;
+    if (structuredAppend) {
+        symbol = encodeStructuredAppendSymbol(content, { ...structuredAppend, errorCorrectionLevel });
+    } else if (symbology === SYMBOLOGIES.QR) {
+        symbol = encodeQR(content, { errorCorrectionLevel, eci });
+    } else {
+        symbol = { ...encodeSymbol(content, { symbology, errorCorrectionLevel, version: symbologyVersion }), symbology };
+    }
+    const { width, height, data } = symbol;
+    const reserved = symbol.reserved || getReservedModules(symbol);
+
+    // Top-left module of each 7x7 finder pattern (eye); Micro QR and rMQR have
+    // one, Data Matrix, Aztec and PDF417 have no QR-style eyes
+    const finderPatterns = getFinderPatterns(symbology, width, height);
+
+    const inside = (row, col) => row >= 0 && col >= 0 && row < height && col < width;
+
+    return {
+        symbology,
+        version: symbol.version,
+        errorCorrectionLevel: symbol.errorCorrectionLevel,
+        width,
+        height,
+        margin: margin !== null && margin !== undefined ? margin : QUIET_ZONES[symbology],
+        finderPatterns,
+        clearArea,
+        isDark(row, col) {
+            if (!inside(row, col)) {
+                return false;
+            }
+            // Modules cleared for a logo are treated as light
+            if (clearArea &&
+                row >= clearArea.row && row < clearArea.row + clearArea.size &&
+                col >= clearArea.col && col < clearArea.col + clearArea.size) {
+                return false;
+            }
+            return !!data[row * width + col];
+        },
+        isFunctionModule(row, col) {
+            // Finder, timing and alignment patterns plus format and version info
+            if (!inside(row, col)) {
+                return false;
+            }
+            return !!reserved[row * width + col];
+        },
+        isFinderModule(row, col) {
+            return finderPatterns.some(finder =>
+                row >= finder.row && row < finder.row + FINDER_SIZE &&
+                col >= finder.col && col < finder.col + FINDER_SIZE
+            );
+        }
+    };
+}
+
+/**
+ * Get the top-left module of each QR-style finder pattern of a symbology
+ */
+function getFinderPatterns(symbology, width, height) {
+    switch (symbology) {
+        case SYMBOLOGIES.QR:
+            return [
+                { row: 0, col: 0 },
+                { row: 0, col: width - FINDER_SIZE },
+                { row: height - FINDER_SIZE, col: 0 }
+            ];
+        case SYMBOLOGIES.MICRO_QR:
+        case SYMBOLOGIES.RMQR:
+            return [{ row: 0, col: 0 }];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Mark the function modules of symbols other than standard QR: finder,
+ * separator, timing and alignment patterns plus format information
+ */
+function getReservedModules({ symbology, width, height, data }) {
+    const reserved = new Uint8Array(width * height);
+    const mark = (row, col) => {
+        if (row >= 0 && col >= 0 && row < height && col < width) {
+            reserved[row * width + col] = 1;
+        }
+    };
+
+    switch (symbology) {
+        case SYMBOLOGIES.MICRO_QR:
+            // Finder with separator and format information, timing along the edges
+            for (let i = 0; i < width; i++) {
+                mark(0, i);
+                mark(i, 0);
+            }
+            for (let row = 0; row <= 8; row++) {
+                for (let col = 0; col <= 8; col++) mark(row, col);
+            }
+            break;
+
+        case SYMBOLOGIES.RMQR:
+            markRMQRFunctionModules(mark, width, height);
+            break;
+
+        case SYMBOLOGIES.DATA_MATRIX:
+        case SYMBOLOGIES.GS1_DATA_MATRIX:
+            // L-shaped finder on the left and bottom, clock track on the top and right
+            for (let col = 0; col < width; col++) {
+                mark(0, col);
+                mark(height - 1, col);
+            }
+            for (let row = 0; row < height; row++) {
+                mark(row, 0);
+                mark(row, width - 1);
+            }
+            break;
+
+        case SYMBOLOGIES.AZTEC: {
+            // Bullseye with orientation marks and mode message: 11x11 on compact
+            // symbols, 15x15 on full-range ones (which have a seventh dark ring)
+            const center = (width - 1) / 2;
+            let fullRange = true;
+            for (let i = -6; i <= 6; i++) {
+                fullRange = fullRange && !!data[(center - 6) * width + center + i] && !!data[(center + i) * width + center - 6];
+            }
+            const radius = fullRange ? 7 : 5;
+            for (let row = center - radius; row <= center + radius; row++) {
+                for (let col = center - radius; col <= center + radius; col++) mark(row, col);
+            }
+            break;
+        }
+
+        case SYMBOLOGIES.PDF417:
+            // Start pattern and left row indicator, right row indicator and stop pattern
+            for (let row = 0; row < height; row++) {
+                for (let col = 0; col < 34; col++) mark(row, col);
+                for (let col = width - 35; col < width; col++) mark(row, col);
+            }
+            break;
+    }
+
+    return reserved;
+}
+
+/**
+ * Mark the rMQR finder with its separator and format information, the timing
+ * patterns along the edges, the corner and sub-finder patterns and the
+ * vertical alignment timing columns
+ */
+function markRMQRFunctionModules(mark, width, height) {
+    // Timing patterns run along the top and bottom edges
+    for (let col = 0; col < width; col++) {
+        mark(0, col);
+        mark(height - 1, col);
+    }
+    // Finder, separator and format information beside it
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col <= 11; col++) {
+            if (col <= 7 || row <= 5) mark(row, col);
+        }
+        mark(row, width - 1);
+    }
+    // Sub-finder pattern and format information in the bottom-right corner
+    for (let row = height - 6; row < height; row++) {
+        for (let col = width - 8; col < width; col++) mark(row, col);
+    }
+    // Alignment patterns are joined by vertical timing columns
+    for (const col of getRMQRAlignmentColumns(width)) {
+        for (let row = 0; row < height; row++) {
+            for (let offset = -1; offset <= 1; offset++) mark(row, col + offset);
+        }
+    }
+}
+
+/**
+ * Center columns of the rMQR alignment patterns for a symbol width
+ */
+function getRMQRAlignmentColumns(width) {
+    const columns = {
+        27: [],
+        43: [21],
+        59: [19, 39],
+        77: [25, 51],
+        99: [23, 49, 75],
+        139: [27, 55, 83, 111]
+    };
+    return columns[width] || [];
+}
+
+module.exports = {
+    createModuleMatrix,
+    FINDER_SIZE
+};
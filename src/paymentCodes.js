@@ -0,0 +1,180 @@
+/**
+ * Payment Codes
+ * Builds payment QR payloads to their standards: EPC069-12 SEPA credit
+ * transfers (GiroCode), with IBAN, BIC and creditor reference checks
+ */
+
+/**
+ * Content types of payment standards. A payment code is only printed when
+ * its payload is valid; standards that fix the error correction level name it.
+ */
+const PAYMENT_TYPES = {
+    epc: { name: 'EPC', errorCorrectionLevel: 'M' },
+    girocode: { name: 'EPC', errorCorrectionLevel: 'M' },
+    sepa: { name: 'EPC', errorCorrectionLevel: 'M' },
+    swiss_qr_bill: { name: 'Swiss QR-bill', errorCorrectionLevel: 'M' },
+    emvco: { name: 'EMVCo', errorCorrectionLevel: null },
+    pix: { name: 'PIX', errorCorrectionLevel: null },
+    paynow: { name: 'PayNow', errorCorrectionLevel: null },
+    promptpay: { name: 'PromptPay', errorCorrectionLevel: null },
+    duitnow: { name: 'DuitNow', errorCorrectionLevel: null }
+};
+
+/**
+ * EPC069-12 limits: the whole payload, the amount range and field lengths
+ */
+const EPC_MAX_BYTES = 331;
+const EPC_MIN_AMOUNT = 0.01;
+const EPC_MAX_AMOUNT = 999999999.99;
+const EPC_FIELD_LIMITS = {
+    name: 70,
+    reference: 35,
+    text: 140,
+    information: 70
+};
+
+const IBAN_REGEX = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+const BIC_REGEX = /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+const PURPOSE_REGEX = /^[A-Z0-9]{4}$/;
+
+/**
+ * Payment standard of a content type, or null for other types
+ */
+function getPaymentStandard(type) {
+    return PAYMENT_TYPES[String(type || '').toLowerCase()] || null;
+}
+
+/**
+ * Build an EPC069-12 payload: one field per line, version 002 (BIC
+ * optional), UTF-8, SEPA credit transfer. Empty trailing fields are left off.
+ */
+function buildEPCPayload(payment) {
+    const lines = [
+        'BCD',
+        payment.version === '001' ? '001' : '002',
+        '1',
+        'SCT',
+        normalizeCode(payment.bic),
+        String(payment.name || '').trim(),
+        normalizeCode(payment.iban),
+        payment.amount !== undefined && payment.amount !== null && payment.amount !== ''
+            ? `EUR${Number(payment.amount).toFixed(2)}`
+            : '',
+        normalizeCode(payment.purpose),
+        payment.reference ? normalizeCode(payment.reference) : '',
+        payment.reference ? '' : String(payment.text || '').trim(),
+        String(payment.information || '').trim()
+    ];
+
+    while (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Uppercase a code and drop its spaces
+ */
+function normalizeCode(value) {
+    return String(value || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Check an EPC payment; returns a list of problems
+ */
+function validateEPCPayment(payment) {
+    const errors = [];
+    const iban = normalizeCode(payment.iban);
+    const bic = normalizeCode(payment.bic);
+
+    if (!payment.name || !String(payment.name).trim()) {
+        errors.push('EPC payment missing beneficiary name');
+    }
+    if (!iban) {
+        errors.push('EPC payment missing IBAN');
+    } else if (!isValidIBAN(iban)) {
+        errors.push(`Invalid IBAN ${iban}: the checksum does not match`);
+    }
+    if (bic && !BIC_REGEX.test(bic)) {
+        errors.push(`Invalid BIC ${bic}: use 8 or 11 letters and digits`);
+    } else if (!bic && payment.version === '001') {
+        errors.push('EPC version 001 requires a BIC');
+    }
+
+    if (payment.amount !== undefined && payment.amount !== null && payment.amount !== '') {
+        const amount = Number(payment.amount);
+        if (!Number.isFinite(amount) || amount < EPC_MIN_AMOUNT || amount > EPC_MAX_AMOUNT) {
+            errors.push(`EPC amount must be between ${EPC_MIN_AMOUNT} and ${EPC_MAX_AMOUNT} EUR`);
+        } else if (!/^\d+(\.\d{1,2})?$/.test(String(payment.amount).trim())) {
+            errors.push('EPC amount has more than two decimals');
+        }
+    }
+    if (payment.currency && String(payment.currency).toUpperCase() !== 'EUR') {
+        errors.push('EPC payments are in EUR only');
+    }
+    if (payment.purpose && !PURPOSE_REGEX.test(normalizeCode(payment.purpose))) {
+        errors.push('EPC purpose must be a 4-character ISO 20022 purpose code');
+    }
+
+    if (payment.reference && payment.text) {
+        errors.push('EPC payments take either a structured reference or a remittance text, not both');
+    }
+    if (payment.reference && /^RF/i.test(normalizeCode(payment.reference)) && !isValidCreditorReference(payment.reference)) {
+        errors.push(`Invalid creditor reference ${normalizeCode(payment.reference)}: the checksum does not match`);
+    }
+    for (const [field, limit] of Object.entries(EPC_FIELD_LIMITS)) {
+        const value = field === 'reference' ? normalizeCode(payment[field]) : String(payment[field] || '').trim();
+        if (value.length > limit) {
+            errors.push(`EPC ${field} is longer than ${limit} characters`);
+        }
+    }
+
+    const bytes = Buffer.byteLength(buildEPCPayload(payment), 'utf8');
+    if (bytes > EPC_MAX_BYTES) {
+        errors.push(`EPC payload is ${bytes} bytes; the standard allows ${EPC_MAX_BYTES}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Check an IBAN's format and ISO 7064 mod 97-10 checksum
+ */
+function isValidIBAN(value) {
+    const iban = normalizeCode(value);
+    return IBAN_REGEX.test(iban) && mod97(iban.slice(4) + iban.slice(0, 4)) === 1;
+}
+
+/**
+ * Check an ISO 11649 creditor reference (RF, two check digits, up to 21
+ * letters and digits)
+ */
+function isValidCreditorReference(value) {
+    const reference = normalizeCode(value);
+    return /^RF\d{2}[A-Z0-9]{1,21}$/.test(reference) && mod97(reference.slice(4) + reference.slice(0, 4)) === 1;
+}
+
+/**
+ * Remainder mod 97 of a code with letters counted as 10-35, computed in
+ * chunks so long codes stay within number precision
+ */
+function mod97(code) {
+    const digits = code.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (let i = 0; i < digits.length; i += 7) {
+        remainder = Number(String(remainder) + digits.slice(i, i + 7)) % 97;
+    }
+    return remainder;
+}
+
+module.exports = {
+    getPaymentStandard,
+    buildEPCPayload,
+    validateEPCPayment,
+    isValidIBAN,
+    isValidCreditorReference,
+    normalizeCode,
+    mod97,
+    PAYMENT_TYPES,
+    EPC_MAX_BYTES
+};
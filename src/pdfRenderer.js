@@ -0,0 +1,299 @@
+/**
+ * Print-ready PDF Renderer
+ * Places the vector QR design on a PDF page with bleed, crop marks and print colors
+ */
+
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const { hexToRgb } = require('./colorUtils');
+
+/**
+ * Points per millimetre (PDF user space is 1/72 inch)
+ */
+const MM_TO_PT = 72 / 25.4;
+
+/**
+ * Supported page sizes in millimetres (width x height)
+ */
+const PAGE_SIZES = {
+    A3: [297, 420],
+    A4: [210, 297],
+    A5: [148, 210],
+    A6: [105, 148],
+    LETTER: [215.9, 279.4],
+    LEGAL: [215.9, 355.6]
+};
+
+/**
+ * Crop mark geometry in millimetres
+ */
+const CROP_MARK_LENGTH = 5;
+const CROP_MARK_OFFSET = 1;
+
+/**
+ * Generate a PDF from a QR code SVG with print options
+ */
+async function generatePrintPDF(svg, options = {}) {
+    const {
+        title = '',
+        caption = '',
+        pageSize = 'A4',
+        pageWidthMm = null,
+        pageHeightMm = null,
+        sizeMm = 100,
+        marginMm = 0,
+        bleedMm = 0,
+        cropMarks = false,
+        showCaptions = true,
+        backgroundColor = null,
+        colorMode = 'rgb',
+        cmykColors = {},
+        spotColor = null
+    } = options;
+
+    const svgSize = getSVGDimensions(svg);
+    const codeWidth = sizeMm * MM_TO_PT;
+    const codeHeight = codeWidth * (svgSize.height / svgSize.width);
+
+    // Trim box: the finished page after cutting
+    const fitToCode = pageSize === 'fit';
+    let trimWidth;
+    let trimHeight;
+
+    if (fitToCode) {
+        trimWidth = codeWidth + marginMm * 2 * MM_TO_PT;
+        trimHeight = codeHeight + marginMm * 2 * MM_TO_PT;
+    } else if (pageSize === 'custom') {
+        if (!pageWidthMm || !pageHeightMm) {
+            throw new Error('Custom page size requires pageWidthMm and pageHeightMm');
+        }
+        trimWidth = pageWidthMm * MM_TO_PT;
+        trimHeight = pageHeightMm * MM_TO_PT;
+    } else {
+        const dimensions = PAGE_SIZES[String(pageSize).toUpperCase()];
+        if (!dimensions) {
+            throw new Error(`Unsupported page size: ${pageSize}`);
+        }
+        [trimWidth, trimHeight] = dimensions.map(mm => mm * MM_TO_PT);
+    }
+
+    // Bleed extends the artwork past the trim; crop marks sit in the slug beyond it
+    const bleed = bleedMm * MM_TO_PT;
+    const slug = cropMarks ? bleed + (CROP_MARK_OFFSET + CROP_MARK_LENGTH) * MM_TO_PT : bleed;
+    const pageWidth = trimWidth + slug * 2;
+    const pageHeight = trimHeight + slug * 2;
+
+    // Gradient stops must share one color space, so a spot ink can't be part of them
+    let spot = spotColor;
+    if (spot && /<(linear|radial)Gradient/.test(svg)) {
+        console.log(`Warning: Spot color ${spot.name} cannot be applied to gradients, using CMYK instead`);
+        spot = null;
+    }
+
+    const colorResolver = createColorResolver({ colorMode, cmykColors, spotColor: spot });
+
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({ size: [pageWidth, pageHeight], margin: 0 });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            if (spot) {
+                const [c, m, y, k] = spot.cmyk || [0, 0, 0, 100];
+                doc.addSpotColor(spot.name, c, m, y, k);
+            }
+
+            setPrintBoxes(doc, { pageHeight, slug, bleed, trimWidth, trimHeight });
+
+            // Flood the bleed area so no paper edge shows after trimming
+            if (bleed > 0 && backgroundColor) {
+                doc.rect(slug - bleed, slug - bleed, trimWidth + bleed * 2, trimHeight + bleed * 2)
+                    .fill(resolveColor(colorResolver, backgroundColor));
+            }
+
+            const captionsVisible = showCaptions && !fitToCode;
+            const captionColor = resolveColor(colorResolver, '#000000');
+            let codeY = slug + (trimHeight - codeHeight) / 2;
+
+            if (captionsVisible && title) {
+                doc.fillColor(captionColor)
+                    .fontSize(20)
+                    .text(title, slug, slug + 50, { width: trimWidth, align: 'center' });
+                codeY = doc.y + 20;
+            }
+
+            SVGtoPDF(doc, svg, slug + (trimWidth - codeWidth) / 2, codeY, {
+                width: codeWidth,
+                height: codeHeight,
+                preserveAspectRatio: 'xMidYMid meet',
+                colorCallback: colorResolver
+            });
+
+            if (captionsVisible && caption) {
+                doc.fillColor(captionColor)
+                    .fontSize(10)
+                    .text(caption, slug, codeY + codeHeight + 20, { width: trimWidth, align: 'center' });
+            }
+
+            if (cropMarks) {
+                drawCropMarks(doc, {
+                    slug,
+                    bleed,
+                    trimWidth,
+                    trimHeight,
+                    color: resolveColor(colorResolver, '#000000', true)
+                });
+            }
+
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Record TrimBox and BleedBox on the page so prepress tools know where to cut
+ */
+function setPrintBoxes(doc, { pageHeight, slug, bleed, trimWidth, trimHeight }) {
+    // PDF boxes use a bottom-left origin
+    const box = inset => [
+        slug - inset,
+        pageHeight - slug - trimHeight - inset,
+        slug + trimWidth + inset,
+        pageHeight - slug + inset
+    ];
+
+    doc.page.dictionary.data.TrimBox = box(0);
+    doc.page.dictionary.data.BleedBox = box(bleed);
+}
+
+/**
+ * Draw crop marks at each trim corner, outside the bleed area
+ */
+function drawCropMarks(doc, { slug, bleed, trimWidth, trimHeight, color }) {
+    const offset = bleed + CROP_MARK_OFFSET * MM_TO_PT;
+    const length = CROP_MARK_LENGTH * MM_TO_PT;
+
+    const xs = [slug, slug + trimWidth];
+    const ys = [slug, slug + trimHeight];
+
+    doc.save().lineWidth(0.25).strokeColor(color);
+
+    for (const x of xs) {
+        for (const y of ys) {
+            const dirX = x === slug ? -1 : 1;
+            const dirY = y === slug ? -1 : 1;
+
+            // Horizontal mark in line with the trim edge
+            doc.moveTo(x + dirX * offset, y).lineTo(x + dirX * (offset + length), y).stroke();
+            // Vertical mark in line with the trim edge
+            doc.moveTo(x, y + dirY * offset).lineTo(x, y + dirY * (offset + length)).stroke();
+        }
+    }
+
+    doc.restore();
+}
+
+/**
+ * Create a color callback that maps RGB colors to CMYK or a spot color.
+ * Any ink mapping switches the whole document to CMYK so process and
+ * RGB colors are never mixed on the same page.
+ */
+function createColorResolver({ colorMode = 'rgb', cmykColors = {}, spotColor = null }) {
+    const useCmyk = colorMode === 'cmyk' || !!spotColor || Object.keys(cmykColors).length > 0;
+    const cmykByHex = Object.entries(cmykColors).reduce((acc, [hex, cmyk]) => {
+        acc[hex.toUpperCase()] = cmyk;
+        return acc;
+    }, {});
+    const spotHex = spotColor ? (spotColor.replaces || '#000000').toUpperCase() : null;
+
+    return (color) => {
+        if (!color) {
+            return color;
+        }
+
+        const [rgb, opacity] = color;
+        const hex = rgbToHex(rgb);
+
+        if (spotHex && hex === spotHex) {
+            return [spotColor.name, opacity];
+        }
+        if (cmykByHex[hex]) {
+            return [cmykByHex[hex], opacity];
+        }
+        if (useCmyk) {
+            return [rgbToCmyk(rgb), opacity];
+        }
+        return color;
+    };
+}
+
+/**
+ * Resolve a hex color for direct pdfkit drawing. Registration marks use
+ * all four process inks in CMYK mode.
+ */
+function resolveColor(colorResolver, hex, registration = false) {
+    const [color] = colorResolver([hexToRgb(hex), 1]);
+    if (registration && Array.isArray(color) && color.length === 4) {
+        return [100, 100, 100, 100];
+    }
+    return color;
+}
+
+/**
+ * Naive RGB to CMYK conversion (0-100 per channel)
+ */
+function rgbToCmyk([r, g, b]) {
+    const red = r / 255;
+    const green = g / 255;
+    const blue = b / 255;
+    const k = 1 - Math.max(red, green, blue);
+
+    if (k >= 1) {
+        return [0, 0, 0, 100];
+    }
+
+    return [
+        (1 - red - k) / (1 - k),
+        (1 - green - k) / (1 - k),
+        (1 - blue - k) / (1 - k),
+        k
+    ].map(value => Math.round(value * 100));
+}
+
+/**
+ * Convert an RGB array to an uppercase hex color string
+ */
+function rgbToHex(rgb) {
+    return '#' + rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * Read the aspect of an SVG document from its viewBox (or width/height)
+ */
+function getSVGDimensions(svg) {
+    const root = svg.match(/<svg[^>]*>/);
+    const viewBox = root && root[0].match(/viewBox="[\d.\s-]*?([\d.]+)\s+([\d.]+)"/);
+    if (viewBox) {
+        return { width: parseFloat(viewBox[1]), height: parseFloat(viewBox[2]) };
+    }
+
+    const width = root && root[0].match(/width="([\d.]+)/);
+    const height = root && root[0].match(/height="([\d.]+)/);
+    if (width && height) {
+        return { width: parseFloat(width[1]), height: parseFloat(height[1]) };
+    }
+
+    throw new Error('Could not determine SVG dimensions');
+}
+
+module.exports = {
+    generatePrintPDF,
+    getSVGDimensions,
+    MM_TO_PT,
+    PAGE_SIZES
+};
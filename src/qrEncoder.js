@@ -0,0 +1,546 @@
+/**
+ * QR Encoder
+ * Encodes segmented content into QR codes, with ECI and Structured Append
+ * headers the qrcode package cannot write, and decodes module grids back.
+ * The error correction, mask and Reed-Solomon helpers are qrcode internals
+ * (lib/core), so package.json pins its exact version and
+ * test/qrEncoder.test.js checks the symbols against it.
+ */
+
+const QRCode = require('qrcode');
+const ECLevel = require('qrcode/lib/core/error-correction-level');
+const ECCode = require('qrcode/lib/core/error-correction-code');
+const MaskPattern = require('qrcode/lib/core/mask-pattern');
+const ReedSolomonEncoder = require('qrcode/lib/core/reed-solomon-encoder');
+const Utils = require('qrcode/lib/core/utils');
+const {
+    getCharset,
+    getCharsetByAssignment,
+    decodeText,
+    getKanjiValue,
+    getCountBits,
+    getSegmentBits,
+    segmentText,
+    toSJIS,
+    SEGMENT_MODES,
+    MODE_INDICATORS,
+    ALPHANUMERIC_CHARS,
+    ECI_CHARSETS
+} = require('./qrSegments');
+
+/**
+ * Mode indicators of the headers and the end of data
+ */
+const MODES = {
+    TERMINATOR: 0b0000,
+    STRUCTURED_APPEND: 0b0011,
+    ECI: 0b0111
+};
+
+/**
+ * Structured Append header: mode, symbol position, last position and parity
+ */
+const STRUCTURED_APPEND_BITS = 4 + 4 + 4 + 8;
+
+/**
+ * Pad codewords that fill the rest of the data capacity
+ */
+const PAD_CODEWORDS = [0xEC, 0x11];
+
+/**
+ * Versions that share the same character count lengths
+ */
+const VERSION_GROUPS = [[1, 9], [10, 26], [27, 40]];
+
+/**
+ * Encode content as a QR code: segment it, pick the smallest version at
+ * the error correction level and build the module grid. `eci` names the
+ * character set of the byte segments (see ECI_CHARSETS) and writes an ECI
+ * header; without it byte segments are UTF-8 with no header, and the
+ * symbol is built by the qrcode package so it matches its PNG and SVG
+ * output.
+ */
+function encodeQR(content, { errorCorrectionLevel = 'M', eci = null, version = null } = {}) {
+    const charset = eci ? getCharset(eci) : null;
+    const plan = planSegments(content, { errorCorrectionLevel, charset, version });
+
+    let symbol;
+    if (charset) {
+        symbol = encodeSegments(plan.segments, { version: plan.version, errorCorrectionLevel, charset });
+    } else {
+        const qr = QRCode.create(toQRCodeSegments(plan.segments), {
+            errorCorrectionLevel,
+            version: plan.version,
+            toSJISFunc: toSJIS
+        });
+        symbol = {
+            width: qr.modules.size,
+            height: qr.modules.size,
+            data: qr.modules.data,
+            reserved: qr.modules.reservedBit
+        };
+    }
+
+    return {
+        ...symbol,
+        version: plan.version,
+        errorCorrectionLevel,
+        eci: charset,
+        segments: plan.segments,
+        dataBits: plan.bits,
+        capacityBits: plan.capacityBits
+    };
+}
+
+/**
+ * Segments and version for the qrcode package's own PNG and SVG renderers,
+ * so they draw the same symbol as encodeQR
+ */
+function getQRCodeSegments(content, { errorCorrectionLevel = 'M' } = {}) {
+    const plan = planSegments(content, { errorCorrectionLevel });
+    return { segments: toQRCodeSegments(plan.segments), version: plan.version, toSJISFunc: toSJIS };
+}
+
+/**
+ * Segment content for each group of versions and return the first version
+ * the bit stream fits
+ */
+function planSegments(content, { errorCorrectionLevel = 'M', charset = null, version = null }) {
+    if (!content) {
+        throw new Error('No content to encode');
+    }
+
+    const level = ECLevel.from(errorCorrectionLevel, ECLevel.M);
+    const headerBits = charset ? getECIBits(ECI_CHARSETS[charset].assignment) : 0;
+    let needed = null;
+
+    for (const [first, last] of VERSION_GROUPS) {
+        if (version && (version < first || version > last)) continue;
+
+        const segments = segmentText(content, { charset, version: last });
+        const bits = segments.reduce((sum, segment) => sum + getSegmentBits(segment, last), headerBits);
+        for (let v = version || first; v <= (version || last); v++) {
+            const capacityBits = getBlockLayout(v, level).dataTotal * 8;
+            if (bits <= capacityBits) {
+                return { version: v, segments, bits, capacityBits };
+            }
+        }
+        needed = { bits, version: version || last, capacityBits: getBlockLayout(version || last, level).dataTotal * 8 };
+    }
+
+    throw new Error(
+        `Encoded content needs ${Math.ceil(needed.bits / 8)} bytes; a version ${needed.version} QR code at level ${errorCorrectionLevel} holds ${needed.capacityBits / 8}`
+    );
+}
+
+/**
+ * Convert segments to the { data, mode } list the qrcode package accepts
+ */
+function toQRCodeSegments(segments) {
+    return segments.map(segment => ({ data: segment.data, mode: segment.mode }));
+}
+
+/**
+ * Bits of an ECI header: the mode and an 8, 16 or 24 bit assignment number
+ */
+function getECIBits(assignment) {
+    return 4 + (assignment < 128 ? 8 : assignment < 16384 ? 16 : 24);
+}
+
+/**
+ * Data bits one symbol can hold
+ */
+function getDataCapacityBits(version, errorCorrectionLevel) {
+    return getBlockLayout(version, ECLevel.from(errorCorrectionLevel, ECLevel.M)).dataTotal * 8;
+}
+
+/**
+ * Encode segments into a module grid of a fixed version. Function patterns
+ * and format information come from the qrcode package; the data modules
+ * are replaced and the mask with the lowest penalty wins.
+ * `structuredAppend` ({ index, total, parity }) writes the series header.
+ */
+function encodeSegments(segments, { version, errorCorrectionLevel = 'M', charset = null, structuredAppend = null }) {
+    const layout = getBlockLayout(version, ECLevel.from(errorCorrectionLevel, ECLevel.M));
+    const codewords = interleaveBlocks(createDataCodewords(segments, {
+        version,
+        charset,
+        structuredAppend,
+        dataTotal: layout.dataTotal
+    }), layout);
+
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+        const { modules } = QRCode.create('0', { version, errorCorrectionLevel, maskPattern: mask });
+        let bit = 0;
+        forEachDataModule(modules, (row, col) => {
+            const codeword = codewords[bit >> 3];
+            modules.set(row, col, codeword !== undefined && ((codeword >>> (7 - (bit & 7))) & 1) === 1);
+            bit++;
+        });
+        MaskPattern.applyMask(mask, modules);
+
+        const penalty = MaskPattern.getPenaltyN1(modules) + MaskPattern.getPenaltyN2(modules) +
+            MaskPattern.getPenaltyN3(modules) + MaskPattern.getPenaltyN4(modules);
+        if (!best || penalty < best.penalty) {
+            best = { modules, penalty };
+        }
+    }
+
+    return {
+        width: best.modules.size,
+        height: best.modules.size,
+        data: best.modules.data,
+        reserved: best.modules.reservedBit
+    };
+}
+
+/**
+ * Build the data codewords: the Structured Append and ECI headers, the
+ * segments, the terminator and padding
+ */
+function createDataCodewords(segments, { version, charset, structuredAppend, dataTotal }) {
+    const bits = [];
+    const put = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    if (structuredAppend) {
+        put(MODES.STRUCTURED_APPEND, 4);
+        put(structuredAppend.index, 4);
+        put(structuredAppend.total - 1, 4);
+        put(structuredAppend.parity, 8);
+    }
+    if (charset) {
+        const { assignment } = ECI_CHARSETS[charset];
+        put(MODES.ECI, 4);
+        if (assignment < 128) {
+            put(assignment, 8);
+        } else if (assignment < 16384) {
+            put(0b10 << 14 | assignment, 16);
+        } else {
+            put(0b110 << 21 | assignment, 24);
+        }
+    }
+
+    for (const segment of segments) {
+        put(MODE_INDICATORS[segment.mode], 4);
+        put(segment.length, getCountBits(segment.mode, version));
+        writeSegmentData(segment, put);
+    }
+
+    if (bits.length > dataTotal * 8) {
+        throw new Error(`Content needs ${bits.length} data bits; a version ${version} QR code holds ${dataTotal * 8}`);
+    }
+
+    put(MODES.TERMINATOR, Math.min(4, dataTotal * 8 - bits.length));
+    while (bits.length % 8 !== 0) {
+        bits.push(0);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let i = 0; codewords.length < dataTotal; i++) {
+        codewords.push(PAD_CODEWORDS[i % 2]);
+    }
+
+    return codewords;
+}
+
+/**
+ * Write the data bits of one segment
+ */
+function writeSegmentData(segment, put) {
+    switch (segment.mode) {
+        case SEGMENT_MODES.NUMERIC:
+            for (let i = 0; i < segment.data.length; i += 3) {
+                const group = segment.data.slice(i, i + 3);
+                put(parseInt(group, 10), [0, 4, 7, 10][group.length]);
+            }
+            break;
+        case SEGMENT_MODES.ALPHANUMERIC:
+            for (let i = 0; i < segment.data.length; i += 2) {
+                const first = ALPHANUMERIC_CHARS.indexOf(segment.data[i]);
+                if (i + 1 < segment.data.length) {
+                    put(first * 45 + ALPHANUMERIC_CHARS.indexOf(segment.data[i + 1]), 11);
+                } else {
+                    put(first, 6);
+                }
+            }
+            break;
+        case SEGMENT_MODES.KANJI:
+            for (const char of segment.data) {
+                let value = getKanjiValue(char);
+                value -= value <= 0x9FFC ? 0x8140 : 0xC140;
+                put((value >> 8) * 0xC0 + (value & 0xFF), 13);
+            }
+            break;
+        default:
+            for (const byte of segment.data) {
+                put(byte, 8);
+            }
+    }
+}
+
+/**
+ * Split the data codewords into error correction blocks the same way the
+ * qrcode package does
+ */
+function getBlockLayout(version, level) {
+    const totalCodewords = Utils.getSymbolTotalCodewords(version);
+    const dataTotal = totalCodewords - ECCode.getTotalCodewordsCount(version, level);
+    const blockCount = ECCode.getBlocksCount(version, level);
+    const longBlocks = totalCodewords % blockCount;
+    const shortData = Math.floor(dataTotal / blockCount);
+
+    return {
+        dataTotal,
+        ecCount: Math.floor(totalCodewords / blockCount) - shortData,
+        dataSizes: Array.from({ length: blockCount }, (_, block) =>
+            (block < blockCount - longBlocks ? shortData : shortData + 1))
+    };
+}
+
+/**
+ * Add Reed-Solomon codewords to each block and interleave the blocks
+ */
+function interleaveBlocks(codewords, layout) {
+    const rs = new ReedSolomonEncoder(layout.ecCount);
+    const blocks = [];
+    let offset = 0;
+    for (const size of layout.dataSizes) {
+        const data = Uint8Array.from(codewords.slice(offset, offset + size));
+        blocks.push({ data, ec: rs.encode(data) });
+        offset += size;
+    }
+
+    const result = [];
+    for (let i = 0; i < Math.max(...layout.dataSizes); i++) {
+        blocks.forEach(block => i < block.data.length && result.push(block.data[i]));
+    }
+    for (let i = 0; i < layout.ecCount; i++) {
+        blocks.forEach(block => result.push(block.ec[i]));
+    }
+
+    return result;
+}
+
+/**
+ * Visit the data modules in placement order: two-column strips from the
+ * bottom-right corner, alternating upwards and downwards
+ */
+function forEachDataModule(modules, callback) {
+    const size = modules.size;
+    let upwards = true;
+
+    for (let col = size - 1; col > 0; col -= 2) {
+        if (col === 6) col--;
+        for (let step = 0; step < size; step++) {
+            const row = upwards ? size - 1 - step : step;
+            for (let c = 0; c < 2; c++) {
+                if (!modules.isReserved(row, col - c)) {
+                    callback(row, col - c);
+                }
+            }
+        }
+        upwards = !upwards;
+    }
+}
+
+/**
+ * Decode a QR code from its module grid. The error correction level and
+ * mask are found by matching the function modules against reference
+ * symbols; the error correction codewords must match the data. Returns the
+ * headers, the segments and the text, with byte segments read in the
+ * character set of the last ECI header (UTF-8 without one).
+ */
+function decodeQRSymbol(isDark, size) {
+    const version = (size - 17) / 4;
+    if (!Number.isInteger(version) || version < 1 || version > 40) {
+        throw new Error(`${size} modules is not a QR code size`);
+    }
+
+    let reference = null;
+    for (const errorCorrectionLevel of ['L', 'M', 'Q', 'H']) {
+        for (let mask = 0; mask < 8; mask++) {
+            const { modules } = QRCode.create('0', { version, errorCorrectionLevel, maskPattern: mask });
+            let mismatches = 0;
+            for (let row = 0; row < size; row++) {
+                for (let col = 0; col < size; col++) {
+                    if (modules.isReserved(row, col) && !!modules.get(row, col) !== isDark(row, col)) {
+                        mismatches++;
+                    }
+                }
+            }
+            if (!reference || mismatches < reference.mismatches) {
+                reference = { errorCorrectionLevel, mask, modules, mismatches };
+            }
+        }
+    }
+
+    // Copy the data modules into the reference symbol and remove the mask
+    const { modules, mask, errorCorrectionLevel } = reference;
+    forEachDataModule(modules, (row, col) => modules.set(row, col, isDark(row, col)));
+    MaskPattern.applyMask(mask, modules);
+
+    const bits = [];
+    forEachDataModule(modules, (row, col) => bits.push(modules.get(row, col) ? 1 : 0));
+    const codewords = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    const layout = getBlockLayout(version, ECLevel.from(errorCorrectionLevel));
+    const data = readBlocks(codewords, layout);
+    return { version, errorCorrectionLevel, ...parseData(data, version) };
+}
+
+/**
+ * De-interleave the blocks and check them against their error correction
+ * codewords, returning the data codewords
+ */
+function readBlocks(codewords, layout) {
+    const blocks = layout.dataSizes.map(() => ({ data: [], ec: [] }));
+    let offset = 0;
+    for (let i = 0; i < Math.max(...layout.dataSizes); i++) {
+        blocks.forEach((block, b) => i < layout.dataSizes[b] && block.data.push(codewords[offset++]));
+    }
+    for (let i = 0; i < layout.ecCount; i++) {
+        blocks.forEach(block => block.ec.push(codewords[offset++]));
+    }
+
+    const rs = new ReedSolomonEncoder(layout.ecCount);
+    for (const block of blocks) {
+        const expected = rs.encode(Uint8Array.from(block.data));
+        if (expected.some((codeword, i) => codeword !== block.ec[i])) {
+            throw new Error('Error correction codewords do not match the data; the symbol is damaged or misread');
+        }
+    }
+
+    return blocks.flatMap(block => block.data);
+}
+
+/**
+ * Read the headers and segments of the data codewords. `bytes` joins the
+ * raw bytes of every segment, which is what Structured Append parity covers.
+ */
+function parseData(codewords, version) {
+    let position = 0;
+    const available = () => codewords.length * 8 - position;
+    const read = length => {
+        let value = 0;
+        for (let i = 0; i < length; i++, position++) {
+            value = (value << 1) | ((codewords[position >> 3] >>> (7 - (position & 7))) & 1);
+        }
+        return value;
+    };
+    const modeNames = Object.keys(MODE_INDICATORS);
+
+    const result = { structuredAppend: null, eci: null, segments: [], text: '' };
+    const chunks = [];
+    let charset = null;
+
+    while (available() >= 4) {
+        const indicator = read(4);
+        if (indicator === MODES.TERMINATOR) {
+            break;
+        }
+        if (indicator === MODES.STRUCTURED_APPEND) {
+            result.structuredAppend = { index: read(4), total: read(4) + 1, parity: read(8) };
+            continue;
+        }
+        if (indicator === MODES.ECI) {
+            let assignment = read(8);
+            if ((assignment & 0xC0) === 0x80) {
+                assignment = ((assignment & 0x3F) << 8) | read(8);
+            } else if ((assignment & 0xE0) === 0xC0) {
+                assignment = ((assignment & 0x1F) << 16) | read(16);
+            }
+            charset = getCharsetByAssignment(assignment);
+            if (!charset) {
+                throw new Error(`Unsupported ECI assignment ${assignment}`);
+            }
+            result.eci = result.eci || charset;
+            continue;
+        }
+
+        const mode = modeNames.find(name => MODE_INDICATORS[name] === indicator);
+        if (!mode) {
+            throw new Error(`Unsupported mode ${indicator} in QR code data`);
+        }
+        const count = read(getCountBits(mode, version));
+        const { bytes, text } = readSegmentData(mode, count, read, charset);
+        result.segments.push({ mode, length: count });
+        chunks.push(bytes);
+        result.text += text;
+    }
+
+    result.bytes = Buffer.concat(chunks);
+    return result;
+}
+
+/**
+ * Read the data of one segment as bytes and text
+ */
+function readSegmentData(mode, count, read, charset) {
+    switch (mode) {
+        case SEGMENT_MODES.NUMERIC: {
+            let text = '';
+            for (let left = count; left > 0; left -= 3) {
+                const digits = Math.min(left, 3);
+                text += String(read([0, 4, 7, 10][digits])).padStart(digits, '0');
+            }
+            return { bytes: Buffer.from(text, 'latin1'), text };
+        }
+        case SEGMENT_MODES.ALPHANUMERIC: {
+            let text = '';
+            for (let left = count; left > 0; left -= 2) {
+                if (left >= 2) {
+                    const value = read(11);
+                    text += ALPHANUMERIC_CHARS[Math.floor(value / 45)] + ALPHANUMERIC_CHARS[value % 45];
+                } else {
+                    text += ALPHANUMERIC_CHARS[read(6)];
+                }
+            }
+            return { bytes: Buffer.from(text, 'latin1'), text };
+        }
+        case SEGMENT_MODES.KANJI: {
+            const bytes = [];
+            for (let i = 0; i < count; i++) {
+                const value = read(13);
+                let code = Math.floor(value / 0xC0) << 8 | (value % 0xC0);
+                code += code < 0x1F00 ? 0x8140 : 0xC140;
+                bytes.push(code >> 8, code & 0xFF);
+            }
+            return { bytes: Buffer.from(bytes), text: decodeText(Buffer.from(bytes), 'shift_jis') };
+        }
+        default: {
+            const bytes = [];
+            for (let i = 0; i < count; i++) {
+                bytes.push(read(8));
+            }
+            return { bytes: Buffer.from(bytes), text: decodeText(Buffer.from(bytes), charset || 'utf-8') };
+        }
+    }
+}
+
+/**
+ * Describe segments for reports: mode and character count
+ */
+function describeSegments(segments) {
+    return segments.map(segment => ({ mode: segment.mode, length: segment.length }));
+}
+
+module.exports = {
+    encodeQR,
+    getQRCodeSegments,
+    encodeSegments,
+    decodeQRSymbol,
+    describeSegments,
+    getDataCapacityBits,
+    STRUCTURED_APPEND_BITS
+};
@@ -0,0 +1,325 @@
+/**
+ * QR Segmentation
+ * Splits content into numeric, alphanumeric, byte and Kanji segments with
+ * the shortest bit stream, and maps the ECI character sets a QR code can
+ * declare for its byte segments
+ */
+
+const toSJIS = require('qrcode/helper/to-sjis');
+
+/**
+ * Segment modes in the order the optimizer tries them
+ */
+const SEGMENT_MODES = {
+    NUMERIC: 'numeric',
+    ALPHANUMERIC: 'alphanumeric',
+    BYTE: 'byte',
+    KANJI: 'kanji'
+};
+
+/**
+ * Mode indicator written before each segment
+ */
+const MODE_INDICATORS = {
+    numeric: 0b0001,
+    alphanumeric: 0b0010,
+    byte: 0b0100,
+    kanji: 0b1000
+};
+
+/**
+ * Character count length per mode for versions 1-9, 10-26 and 27-40
+ */
+const COUNT_BITS = {
+    numeric: [10, 12, 14],
+    alphanumeric: [9, 11, 13],
+    byte: [8, 16, 16],
+    kanji: [8, 10, 12]
+};
+
+/**
+ * The 45 characters of alphanumeric mode, in value order
+ */
+const ALPHANUMERIC_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+/**
+ * ECI assignment numbers of the supported character sets. `decoder` is the
+ * WHATWG label used to read bytes back (ISO-8859-1 is read as latin1, since
+ * the WHATWG label maps to windows-1252).
+ */
+const ECI_CHARSETS = {
+    'iso-8859-1': { assignment: 3, decoder: null },
+    'iso-8859-2': { assignment: 4, decoder: 'iso-8859-2' },
+    'iso-8859-3': { assignment: 5, decoder: 'iso-8859-3' },
+    'iso-8859-4': { assignment: 6, decoder: 'iso-8859-4' },
+    'iso-8859-5': { assignment: 7, decoder: 'iso-8859-5' },
+    'iso-8859-6': { assignment: 8, decoder: 'iso-8859-6' },
+    'iso-8859-7': { assignment: 9, decoder: 'iso-8859-7' },
+    'iso-8859-8': { assignment: 10, decoder: 'iso-8859-8' },
+    'iso-8859-9': { assignment: 11, decoder: 'iso-8859-9' },
+    'iso-8859-10': { assignment: 12, decoder: 'iso-8859-10' },
+    'iso-8859-11': { assignment: 13, decoder: 'windows-874' },
+    'iso-8859-13': { assignment: 15, decoder: 'iso-8859-13' },
+    'iso-8859-14': { assignment: 16, decoder: 'iso-8859-14' },
+    'iso-8859-15': { assignment: 17, decoder: 'iso-8859-15' },
+    'iso-8859-16': { assignment: 18, decoder: 'iso-8859-16' },
+    'shift_jis': { assignment: 20, decoder: 'shift_jis' },
+    'utf-8': { assignment: 26, decoder: 'utf-8' }
+};
+
+/**
+ * Other spellings accepted for the character set names
+ */
+const CHARSET_ALIASES = {
+    'utf8': 'utf-8',
+    'latin1': 'iso-8859-1',
+    'latin-1': 'iso-8859-1',
+    'shift-jis': 'shift_jis',
+    'sjis': 'shift_jis'
+};
+
+/**
+ * Byte mode without an ECI header carries UTF-8, which is what scanners
+ * assume for codes made by this generator
+ */
+const DEFAULT_CHARSET = 'utf-8';
+
+/**
+ * Character to byte tables of the single and double byte character sets,
+ * built on first use
+ */
+const encodeTables = {};
+
+/**
+ * Resolve a character set name (e.g. 'UTF-8', 'Shift_JIS', 'ISO-8859-5')
+ */
+function getCharset(name) {
+    const key = String(name).trim().toLowerCase().replace(/^iso8859/, 'iso-8859');
+    const charset = CHARSET_ALIASES[key] || key;
+    if (!ECI_CHARSETS[charset]) {
+        throw new Error(`Unknown ECI character set "${name}"; use one of ${Object.keys(ECI_CHARSETS).join(', ')}`);
+    }
+    return charset;
+}
+
+/**
+ * Find the character set of an ECI assignment number
+ */
+function getCharsetByAssignment(assignment) {
+    // 1 is the legacy number of ISO-8859-1
+    if (assignment === 1) return 'iso-8859-1';
+    return Object.keys(ECI_CHARSETS).find(charset => ECI_CHARSETS[charset].assignment === assignment) || null;
+}
+
+/**
+ * Encode text in a character set. Throws when a character has no code in it.
+ */
+function encodeText(text, charset = DEFAULT_CHARSET) {
+    if (charset === 'utf-8') {
+        return Buffer.from(text, 'utf8');
+    }
+
+    const table = getEncodeTable(charset);
+    const bytes = [];
+    for (const char of text) {
+        const code = table.get(char);
+        if (code === undefined) {
+            throw new Error(`"${char}" cannot be encoded in ${charset.toUpperCase()}`);
+        }
+        if (code > 0xFF) {
+            bytes.push(code >> 8);
+        }
+        bytes.push(code & 0xFF);
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Decode bytes of a character set back to text
+ */
+function decodeText(bytes, charset = DEFAULT_CHARSET) {
+    const { decoder } = ECI_CHARSETS[charset] || ECI_CHARSETS[DEFAULT_CHARSET];
+    return decoder ? new TextDecoder(decoder).decode(bytes) : Buffer.from(bytes).toString('latin1');
+}
+
+/**
+ * Build the reverse table of a character set by decoding every byte (or
+ * Shift_JIS byte pair) once
+ */
+function getEncodeTable(charset) {
+    if (encodeTables[charset]) {
+        return encodeTables[charset];
+    }
+
+    const table = new Map();
+    const add = (code, bytes) => {
+        const char = decodeText(Buffer.from(bytes), charset);
+        if (char.length > 0 && char !== '�' && !table.has(char)) {
+            table.set(char, code);
+        }
+    };
+
+    if (charset === 'shift_jis') {
+        for (let byte = 0; byte < 0x80; byte++) add(byte, [byte]);
+        for (let byte = 0xA1; byte <= 0xDF; byte++) add(byte, [byte]);
+        for (let lead = 0x81; lead <= 0xFC; lead++) {
+            if (lead > 0x9F && lead < 0xE0) continue;
+            for (let trail = 0x40; trail <= 0xFC; trail++) {
+                if (trail !== 0x7F) add((lead << 8) | trail, [lead, trail]);
+            }
+        }
+    } else {
+        for (let byte = 0; byte < 0x100; byte++) add(byte, [byte]);
+    }
+
+    encodeTables[charset] = table;
+    return table;
+}
+
+/**
+ * Shift_JIS value of a character when it is in the two ranges Kanji mode
+ * can encode, otherwise null
+ */
+function getKanjiValue(char) {
+    const value = toSJIS(char);
+    if ((value >= 0x8140 && value <= 0x9FFC) || (value >= 0xE040 && value <= 0xEBBF)) {
+        return value;
+    }
+    return null;
+}
+
+/**
+ * Length of the character count of a mode in a given version
+ */
+function getCountBits(mode, version) {
+    return COUNT_BITS[mode][version < 10 ? 0 : version < 27 ? 1 : 2];
+}
+
+/**
+ * Bits a segment takes, header included
+ */
+function getSegmentBits(segment, version) {
+    const count = segment.length;
+    let dataBits;
+    switch (segment.mode) {
+        case SEGMENT_MODES.NUMERIC:
+            dataBits = Math.floor(count / 3) * 10 + [0, 4, 7][count % 3];
+            break;
+        case SEGMENT_MODES.ALPHANUMERIC:
+            dataBits = Math.floor(count / 2) * 11 + (count % 2) * 6;
+            break;
+        case SEGMENT_MODES.KANJI:
+            dataBits = count * 13;
+            break;
+        default:
+            dataBits = count * 8;
+    }
+    return 4 + getCountBits(segment.mode, version) + dataBits;
+}
+
+/**
+ * Split text into the segments with the shortest bit stream for a version.
+ * Costs are counted in sixths of a bit so a numeric character (10/3 bits)
+ * and an alphanumeric character (11/2 bits) stay whole numbers. Kanji mode
+ * is used without an ECI header or under Shift_JIS, since scanners read
+ * Kanji segments as Shift_JIS.
+ *
+ * Returns [{ mode, text, data, length }]: `data` is the text for numeric,
+ * alphanumeric and Kanji segments and the encoded bytes for byte segments;
+ * `length` is the character count (bytes for byte mode).
+ */
+function segmentText(text, { charset = null, version = 40 } = {}) {
+    const characters = Array.from(text);
+    if (characters.length === 0) {
+        return [];
+    }
+
+    const byteCharset = charset || DEFAULT_CHARSET;
+    const kanjiAllowed = !charset || charset === 'shift_jis';
+    const modes = Object.values(SEGMENT_MODES);
+    const headerCosts = modes.map(mode => (4 + getCountBits(mode, version)) * 6);
+
+    let costs = headerCosts.slice();
+    const steps = [];
+    for (const char of characters) {
+        const charCosts = [
+            /[0-9]/.test(char) ? 20 : Infinity,
+            ALPHANUMERIC_CHARS.includes(char) ? 33 : Infinity,
+            getByteCost(char, byteCharset),
+            kanjiAllowed && getKanjiValue(char) !== null ? 78 : Infinity
+        ];
+        if (charCosts.every(cost => cost === Infinity)) {
+            throw new Error(`"${char}" cannot be encoded in ${byteCharset.toUpperCase()}`);
+        }
+
+        // Stay in each mode, then consider starting a new segment after this character
+        const next = costs.map((cost, m) => cost + charCosts[m]);
+        const from = modes.map((_, m) => (charCosts[m] === Infinity ? null : m));
+        for (let to = 0; to < modes.length; to++) {
+            for (let m = 0; m < modes.length; m++) {
+                if (from[m] === null) continue;
+                const switched = Math.ceil(next[m] / 6) * 6 + headerCosts[to];
+                if (switched < next[to]) {
+                    next[to] = switched;
+                    from[to] = m;
+                }
+            }
+        }
+
+        steps.push(from);
+        costs = next;
+    }
+
+    // Walk back from the cheapest final state to the mode of each character
+    let mode = costs.indexOf(Math.min(...costs));
+    const charModes = [];
+    for (let i = characters.length - 1; i >= 0; i--) {
+        mode = steps[i][mode];
+        charModes[i] = mode;
+    }
+
+    const segments = [];
+    characters.forEach((char, i) => {
+        const last = segments[segments.length - 1];
+        if (last && last.mode === modes[charModes[i]]) {
+            last.text += char;
+        } else {
+            segments.push({ mode: modes[charModes[i]], text: char });
+        }
+    });
+
+    return segments.map(({ mode: segmentMode, text: segmentText }) => {
+        if (segmentMode === SEGMENT_MODES.BYTE) {
+            const data = encodeText(segmentText, byteCharset);
+            return { mode: segmentMode, text: segmentText, data, length: data.length };
+        }
+        return { mode: segmentMode, text: segmentText, data: segmentText, length: Array.from(segmentText).length };
+    });
+}
+
+/**
+ * Cost of a character in byte mode, in sixths of a bit
+ */
+function getByteCost(char, charset) {
+    try {
+        return encodeText(char, charset).length * 48;
+    } catch (error) {
+        return Infinity;
+    }
+}
+
+module.exports = {
+    getCharset,
+    getCharsetByAssignment,
+    encodeText,
+    decodeText,
+    getKanjiValue,
+    getCountBits,
+    getSegmentBits,
+    segmentText,
+    toSJIS,
+    SEGMENT_MODES,
+    MODE_INDICATORS,
+    ALPHANUMERIC_CHARS,
+    ECI_CHARSETS
+};
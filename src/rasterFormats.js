@@ -0,0 +1,90 @@
+/**
+ * Raster Output Formats
+ * Encodes rendered QR codes as PNG, JPEG, WebP, AVIF or TIFF with DPI metadata
+ */
+
+const sharp = require('sharp');
+
+/**
+ * Supported raster formats and their content types
+ */
+const RASTER_FORMATS = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    tiff: 'image/tiff'
+};
+
+/**
+ * Encode a PNG buffer into the requested raster format.
+ * DPI is written where the format supports it natively (PNG pHYs, JPEG JFIF,
+ * TIFF resolution tags) and as EXIF resolution tags for WebP and AVIF.
+ */
+async function encodeRaster(pngBuffer, format, options = {}) {
+    const {
+        quality = 90,
+        dpi = 72,
+        backgroundColor = '#FFFFFF'
+    } = options;
+
+    let image = sharp(pngBuffer);
+
+    switch (format) {
+        case 'jpeg':
+            // JPEG has no alpha channel
+            image = image.flatten({ background: backgroundColor }).jpeg({ quality, mozjpeg: true });
+            break;
+
+        case 'webp':
+            image = image.webp({ quality });
+            break;
+
+        case 'avif':
+            image = image.avif({ quality });
+            break;
+
+        case 'tiff':
+            image = image.tiff({
+                compression: 'lzw',
+                xres: dpi / 25.4,
+                yres: dpi / 25.4,
+                resolutionUnit: 'inch'
+            });
+            break;
+
+        case 'png':
+            image = image.png();
+            break;
+
+        default:
+            throw new Error(`Unsupported raster format: ${format}`);
+    }
+
+    image = image.withMetadata({ density: dpi });
+
+    if (format === 'webp' || format === 'avif') {
+        image = image.withExif({
+            IFD0: {
+                XResolution: `${dpi}/1`,
+                YResolution: `${dpi}/1`,
+                ResolutionUnit: '2'
+            }
+        });
+    }
+
+    return await image.toBuffer();
+}
+
+/**
+ * Check whether a format is a supported raster format
+ */
+function isRasterFormat(format) {
+    return Object.prototype.hasOwnProperty.call(RASTER_FORMATS, format);
+}
+
+module.exports = {
+    encodeRaster,
+    isRasterFormat,
+    RASTER_FORMATS
+};
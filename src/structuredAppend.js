@@ -0,0 +1,254 @@
+/**
+ * Structured Append
+ * Splits content that does not fit one QR code into a numbered series of up
+ * to 16 symbols that scanners join back together, and reads series back
+ */
+
+const { encodeQR, encodeSegments, decodeQRSymbol, getDataCapacityBits, STRUCTURED_APPEND_BITS } = require('./qrEncoder');
+const { loadFont, textToPath, measureText } = require('./frameRenderer');
+const { nestSVG } = require('./linearBarcodes');
+const { escapeXml } = require('./svgUtils');
+
+/**
+ * The symbol position and count are 4-bit fields, so a series holds 16 symbols
+ */
+const MAX_SYMBOLS = 16;
+
+/**
+ * Check whether content is too long for one QR code of at most maxVersion
+ */
+function needsStructuredAppend(content, { errorCorrectionLevel = 'M', maxVersion = 40, eci = null } = {}) {
+    try {
+        return encodeQR(content, { errorCorrectionLevel, eci }).version > maxVersion;
+    } catch (error) {
+        return true;
+    }
+}
+
+/**
+ * Split content into a Structured Append series. Parts break on character
+ * boundaries, are as even as possible and share the smallest version that
+ * holds the longest one.
+ */
+function planStructuredAppend(content, { errorCorrectionLevel = 'M', maxVersion = 40 } = {}) {
+    const characters = Array.from(content).map(char => Buffer.from(char, 'utf8'));
+    const totalBytes = characters.reduce((sum, bytes) => sum + bytes.length, 0);
+    const capacity = getSymbolCapacity(maxVersion, errorCorrectionLevel);
+
+    let parts = splitCharacters(characters, capacity);
+    if (parts.length > MAX_SYMBOLS) {
+        throw new Error(
+            `Content needs ${parts.length} version ${maxVersion} symbols; Structured Append holds at most ${MAX_SYMBOLS}`
+        );
+    }
+
+    // Even out the parts so the whole series fits a smaller version
+    for (let limit = Math.ceil(totalBytes / parts.length); limit < capacity; limit++) {
+        const balanced = splitCharacters(characters, limit);
+        if (balanced.length <= parts.length) {
+            parts = balanced;
+            break;
+        }
+    }
+
+    const longest = Math.max(...parts.map(part => part.length));
+    let version = 1;
+    while (getSymbolCapacity(version, errorCorrectionLevel) < longest) {
+        version++;
+    }
+
+    return {
+        version,
+        errorCorrectionLevel,
+        parity: getParity(Buffer.concat(parts)),
+        symbols: parts.map((part, index) => ({
+            index,
+            total: parts.length,
+            content: part.toString('utf8'),
+            length: part.length
+        }))
+    };
+}
+
+/**
+ * Pack characters into parts of at most `limit` bytes
+ */
+function splitCharacters(characters, limit) {
+    const parts = [];
+    let current = [];
+    let length = 0;
+
+    for (const bytes of characters) {
+        if (length + bytes.length > limit && current.length > 0) {
+            parts.push(Buffer.concat(current));
+            current = [];
+            length = 0;
+        }
+        current.push(bytes);
+        length += bytes.length;
+    }
+    if (current.length > 0) {
+        parts.push(Buffer.concat(current));
+    }
+
+    return parts;
+}
+
+/**
+ * Parity byte of a series: the XOR of every byte of the complete content
+ */
+function getParity(bytes) {
+    return bytes.reduce((parity, byte) => parity ^ byte, 0);
+}
+
+/**
+ * Content bytes one symbol carries after the Structured Append header and
+ * the byte mode segment header
+ */
+function getSymbolCapacity(version, errorCorrectionLevel) {
+    return Math.floor((getDataCapacityBits(version, errorCorrectionLevel) - STRUCTURED_APPEND_BITS - 4 - getCountBits(version)) / 8);
+}
+
+/**
+ * Length of the byte mode character count
+ */
+function getCountBits(version) {
+    return version < 10 ? 8 : 16;
+}
+
+/**
+ * Encode one symbol of a series as a module grid for the module matrix. The
+ * part is one UTF-8 byte segment after the series header; series carry no
+ * ECI header.
+ */
+function encodeStructuredAppendSymbol(content, { index, total, parity, version, errorCorrectionLevel = 'M' }) {
+    const bytes = Buffer.from(content, 'utf8');
+    const capacity = getSymbolCapacity(version, errorCorrectionLevel);
+    if (bytes.length > capacity) {
+        throw new Error(`Part ${index + 1} has ${bytes.length} bytes; a version ${version} symbol holds ${capacity}`);
+    }
+
+    const symbol = encodeSegments([{ mode: 'byte', data: bytes, length: bytes.length }], {
+        version,
+        errorCorrectionLevel,
+        structuredAppend: { index, total, parity }
+    });
+
+    return { version, errorCorrectionLevel, ...symbol };
+}
+
+/**
+ * Decode one symbol of a series from its module grid
+ */
+function decodeStructuredAppendSymbol(isDark, size) {
+    const { version, errorCorrectionLevel, structuredAppend, bytes } = decodeQRSymbol(isDark, size);
+    if (!structuredAppend) {
+        throw new Error('Symbol has no Structured Append header');
+    }
+
+    return { version, errorCorrectionLevel, ...structuredAppend, bytes };
+}
+
+/**
+ * Join decoded symbols back into the content. Every position must be
+ * present once, and the symbols' parity must match the joined data.
+ */
+function reassembleStructuredAppend(symbols) {
+    if (symbols.length === 0) {
+        throw new Error('No Structured Append symbols to reassemble');
+    }
+
+    const { total, parity } = symbols[0];
+    if (symbols.some(symbol => symbol.total !== total || symbol.parity !== parity)) {
+        throw new Error('Symbols belong to different Structured Append series');
+    }
+
+    const ordered = [];
+    for (const symbol of symbols) {
+        if (ordered[symbol.index]) {
+            throw new Error(`Symbol ${symbol.index + 1} of ${total} appears more than once`);
+        }
+        ordered[symbol.index] = symbol;
+    }
+    const missing = Array.from({ length: total }, (_, index) => index).filter(index => !ordered[index]);
+    if (missing.length > 0) {
+        throw new Error(`Missing symbols ${missing.map(index => index + 1).join(', ')} of ${total}`);
+    }
+
+    const bytes = Buffer.concat(ordered.map(symbol => symbol.bytes));
+    if (getParity(bytes) !== parity) {
+        throw new Error('Parity does not match the reassembled data');
+    }
+
+    return { content: bytes.toString('utf8'), total, parity };
+}
+
+/**
+ * Pixel layout of a numbered set: symbols in rows of `columns` with a
+ * caption under each
+ */
+function getSetLayout(total, { size = 300, columns = null } = {}) {
+    const perRow = Math.min(total, columns || Math.ceil(Math.sqrt(total)));
+    const rows = Math.ceil(total / perRow);
+    const gap = Math.round(size * 0.08);
+    const fontSize = Math.max(Math.round(size * 0.07), 8);
+    const captionHeight = Math.round(fontSize * 1.6);
+
+    return {
+        columns: perRow,
+        width: perRow * (size + gap) + gap,
+        height: rows * (size + captionHeight + gap) + gap,
+        fontSize,
+        cells: Array.from({ length: total }, (_, index) => ({
+            index,
+            x: gap + (index % perRow) * (size + gap),
+            y: gap + Math.floor(index / perRow) * (size + captionHeight + gap),
+            size
+        }))
+    };
+}
+
+/**
+ * Compose the symbols of a series into one SVG, numbered "1 / n" in reading
+ * order
+ */
+function composeStructuredAppendSet(symbolSvgs, options = {}) {
+    const {
+        size = 300,
+        columns = null,
+        foregroundColor = '#000000',
+        backgroundColor = '#FFFFFF',
+        transparentBackground = false
+    } = options;
+
+    const layout = getSetLayout(symbolSvgs.length, { size, columns });
+    const font = loadFont('sans-bold');
+    const parts = symbolSvgs.map((svg, index) => {
+        const cell = layout.cells[index];
+        const caption = `${index + 1} / ${symbolSvgs.length}`;
+        const x = cell.x + (size - measureText(font, caption, layout.fontSize)) / 2;
+        const baseline = cell.y + size + layout.fontSize * 1.1;
+
+        return nestSVG(svg, cell.x, cell.y, size, size) +
+            `<path d="${textToPath(font, caption, x, baseline, layout.fontSize)}" fill="${escapeXml(foregroundColor)}"/>`;
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" `,
+        `width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">`,
+        transparentBackground ? '' : `<rect width="${layout.width}" height="${layout.height}" fill="${escapeXml(backgroundColor)}"/>`,
+        ...parts,
+        '</svg>'
+    ].join('');
+}
+
+module.exports = {
+    needsStructuredAppend,
+    planStructuredAppend,
+    encodeStructuredAppendSymbol,
+    decodeStructuredAppendSymbol,
+    reassembleStructuredAppend,
+    getSetLayout,
+    composeStructuredAppendSet,
+    MAX_SYMBOLS
+};
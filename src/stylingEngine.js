@@ -3,9 +3,14 @@
  * Provides advanced visual styles and customizations for QR codes
  */
 
-const QRCode = require('qrcode');
 const sharp = require('sharp');
 const Jimp = require('jimp');
+const { createModuleMatrix, FINDER_SIZE } = require('./moduleMatrix');
+const { compositeLogo } = require('./logoPlacement');
+const { buildFrame, FRAME_STYLES } = require('./frameRenderer');
+const { resolveGradients, createGradientPaint } = require('./gradients');
+const { validateQRCode } = require('./validator');
+const { SYMBOLOGIES } = require('./symbologies');
 
 /**
  * Style types available
@@ -16,321 +21,574 @@ const STYLE_TYPES = {
     ROUNDED: 'rounded',
     EXTRA_ROUNDED: 'extra-rounded',
     CLASSY: 'classy',
-    CLASSY_ROUNDED: 'classy-rounded'
+    CLASSY_ROUNDED: 'classy-rounded',
+    ARTISTIC: 'artistic',
+    HALFTONE: 'halftone'
 };
 
 /**
- * Frame styles
+ * Styles drawn over a background image
  */
-const FRAME_STYLES = {
-    NONE: 'none',
-    BASIC: 'basic',
-    CIRCULAR: 'circular',
-    EDGE: 'edge',
-    CAMERA: 'camera',
-    BANNER: 'banner'
+const ARTISTIC_STYLES = [STYLE_TYPES.ARTISTIC, STYLE_TYPES.HALFTONE];
+
+/**
+ * Halftone modules are split into 3x3 sub-pixels
+ */
+const HALFTONE_SUBDIVISIONS = 3;
+
+/**
+ * Sub-pixels that keep the module color at each halftone strength:
+ * center only, center cross, whole module
+ */
+const HALFTONE_LEVELS = [
+    (x, y) => x === 1 && y === 1,
+    (x, y) => x === 1 || y === 1,
+    () => true
+];
+
+/**
+ * Finder pattern (eye) styles for the outer ring and inner pupil
+ */
+const CORNER_STYLES = {
+    SQUARE: 'square',
+    ROUNDED: 'rounded',
+    EXTRA_ROUNDED: 'extra-rounded',
+    CIRCLE: 'circle',
+    LEAF: 'leaf'
 };
 
 /**
  * Generate QR code with advanced styling
  */
-async function generateStyledQR(content, options) {
+async function generateStyledQR(content, options, assets = {}) {
     const {
         size = 300,
-        margin = 4,
+        margin = null,
+        symbology = SYMBOLOGIES.QR,
+        symbologyVersion = null,
         errorCorrectionLevel = 'M',
+        eci = null,
         foregroundColor = '#000000',
         backgroundColor = '#FFFFFF',
         style = STYLE_TYPES.SQUARE,
-        dotsStyle = 'square',
-        cornersSquareStyle = 'square',
-        cornersDotStyle = 'square',
-        gradientType = 'none',
-        gradientColors = null,
-        frame = FRAME_STYLES.NONE,
-        frameColor = '#000000',
-        frameText = '',
-        frameTextColor = '#000000',
-        frameTextSize = 14
+        dotsStyle = null,
+        cornersSquareStyle = CORNER_STYLES.SQUARE,
+        cornersDotStyle = CORNER_STYLES.SQUARE,
+        cornersSquareColor = null,
+        cornersDotColor = null,
+        logoSize = 20,
+        logoClearArea = null,
+        logoBackgroundColor = null,
+        logoCornerRadius = 25,
+        transparentBackground = false,
+        frame = FRAME_STYLES.NONE
     } = options;
+    const { logoBuffer = null, fontBuffer = null, imageBuffer = null } = assets;
+    const backgroundFill = transparentBackground ? 'none' : backgroundColor;
 
-    // Generate base QR code
-    const qrOptions = {
+    // Render modules straight from the QR module matrix
+    const matrix = createModuleMatrix(content, {
+        symbology,
+        symbologyVersion,
         errorCorrectionLevel,
-        type: 'png',
-        width: size,
+        eci,
         margin,
-        color: {
-            dark: foregroundColor,
-            light: backgroundColor
+        clearArea: logoBuffer ? logoClearArea : null
+    });
+
+    let qrBuffer;
+    if (isArtisticStyle(dotsStyle || style) && imageBuffer) {
+        qrBuffer = (await renderArtisticQR(content, matrix, imageBuffer, { ...options, size })).buffer;
+    } else {
+        if (isArtisticStyle(dotsStyle || style)) {
+            console.log('Warning: Artistic style needs a background image; rendering square modules');
         }
-    };
-
-    let qrBuffer = await QRCode.toBuffer(content, qrOptions);
-
-    // Apply gradient if specified
-    if (gradientType !== 'none' && gradientColors && gradientColors.length >= 2) {
-        qrBuffer = await applyGradient(qrBuffer, size, gradientType, gradientColors);
+        qrBuffer = await renderModules(matrix, {
+            size,
+            style: dotsStyle || style,
+            foregroundColor,
+            backgroundColor,
+            cornersSquareStyle,
+            cornersDotStyle,
+            cornersSquareColor,
+            cornersDotColor,
+            transparentBackground,
+            gradients: resolveGradients(options)
+        });
     }
 
-    // Apply advanced styling
-    if (style !== STYLE_TYPES.SQUARE) {
-        qrBuffer = await applyAdvancedStyle(qrBuffer, style, size);
+    // Logo goes on after the modules so its colors are kept, and before the frame
+    if (logoBuffer) {
+        try {
+            qrBuffer = await compositeLogo(qrBuffer, logoBuffer, {
+                size,
+                logoSize,
+                matrix,
+                plateColor: logoBackgroundColor || backgroundFill,
+                cornerRadius: logoCornerRadius,
+                snapEdge: Math.round
+            });
+        } catch (error) {
+            console.log(`Warning: Failed to add logo to styled QR code: ${error.message}`);
+        }
     }
 
     // Apply frame if specified
     if (frame !== FRAME_STYLES.NONE) {
-        qrBuffer = await applyFrame(qrBuffer, frame, {
-            frameColor,
-            frameText,
-            frameTextColor,
-            frameTextSize,
-            size
-        });
+        qrBuffer = await applyFrame(qrBuffer, size, { ...options, backgroundColor: backgroundFill }, fontBuffer);
     }
 
     return qrBuffer;
 }
 
 /**
- * Apply gradient to QR code
+ * Render every dark module of the matrix with the requested style
  */
-async function applyGradient(qrBuffer, size, gradientType, colors) {
-    try {
-        const image = await Jimp.read(qrBuffer);
-
-        // Create gradient overlay
-        const gradient = new Jimp(size, size);
-
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const pixel = image.getPixelColor(x, y);
-                const rgba = Jimp.intToRGBA(pixel);
-
-                // Only apply gradient to dark pixels
-                if (rgba.r < 128) {
-                    let color;
-
-                    switch (gradientType) {
-                        case 'linear-vertical':
-                            color = interpolateColors(colors, y / size);
-                            break;
-                        case 'linear-horizontal':
-                            color = interpolateColors(colors, x / size);
-                            break;
-                        case 'radial':
-                            const centerX = size / 2;
-                            const centerY = size / 2;
-                            const distance = Math.sqrt(
-                                Math.pow(x - centerX, 2) + Math.pow(y - centerY, 2)
-                            );
-                            const maxDistance = Math.sqrt(
-                                Math.pow(centerX, 2) + Math.pow(centerY, 2)
-                            );
-                            color = interpolateColors(colors, distance / maxDistance);
-                            break;
-                        default:
-                            color = colors[0];
-                    }
-
-                    image.setPixelColor(color, x, y);
-                }
+async function renderModules(matrix, options) {
+    const {
+        size,
+        style,
+        foregroundColor,
+        backgroundColor,
+        cornersSquareStyle = CORNER_STYLES.SQUARE,
+        cornersDotStyle = CORNER_STYLES.SQUARE,
+        cornersSquareColor = null,
+        cornersDotColor = null,
+        transparentBackground = false,
+        gradients = {}
+    } = options;
+
+    const moduleSize = size / (matrix.width + matrix.margin * 2);
+    const height = Math.round(moduleSize * (matrix.height + matrix.margin * 2));
+    const image = new Jimp(size, height, transparentBackground ? 0x00000000 : Jimp.cssColorToHex(backgroundColor));
+
+    const paint = (gradient, color) => (gradient
+        ? createGradientPaint(gradient, size, height)
+        : () => Jimp.cssColorToHex(color));
+
+    if (gradients.background && !transparentBackground) {
+        const backgroundPaint = paint(gradients.background);
+        image.scan(0, 0, size, height, function(px, py) {
+            this.setPixelColor(backgroundPaint(px, py), px, py);
+        });
+    }
+
+    // Eyes follow the eye gradient, then explicit eye colors, then the modules
+    const modulePaint = paint(gradients.modules, foregroundColor);
+    const ringPaint = gradients.eyes || cornersSquareColor
+        ? paint(gradients.eyes, cornersSquareColor)
+        : modulePaint;
+    const pupilPaint = gradients.eyes || cornersDotColor
+        ? paint(gradients.eyes, cornersDotColor)
+        : ringPaint;
+
+    for (let row = 0; row < matrix.height; row++) {
+        for (let col = 0; col < matrix.width; col++) {
+            // Finder patterns are drawn separately below
+            if (!matrix.isDark(row, col) || matrix.isFinderModule(row, col)) {
+                continue;
             }
+
+            const radii = getModuleCornerRadii(matrix, row, col, style);
+            drawStyledModule(
+                image,
+                (col + matrix.margin) * moduleSize,
+                (row + matrix.margin) * moduleSize,
+                moduleSize,
+                radii,
+                modulePaint
+            );
         }
+    }
 
-        return await image.getBufferAsync(Jimp.MIME_PNG);
-    } catch (error) {
-        console.log(`Warning: Failed to apply gradient: ${error.message}`);
-        return qrBuffer;
+    for (const finder of matrix.finderPatterns) {
+        drawFinderPattern(image, finder, matrix, moduleSize, {
+            ringStyle: cornersSquareStyle,
+            pupilStyle: cornersDotStyle,
+            ringPaint,
+            pupilPaint
+        });
     }
+
+    return await image.getBufferAsync(Jimp.MIME_PNG);
 }
 
 /**
- * Interpolate between multiple colors
+ * Check whether a style is drawn over a background image
  */
-function interpolateColors(colors, position) {
-    const hexColors = colors.map(c => parseInt(c.replace('#', ''), 16));
+function isArtisticStyle(style) {
+    return ARTISTIC_STYLES.includes(style);
+}
 
-    if (position <= 0) return hexColors[0];
-    if (position >= 1) return hexColors[hexColors.length - 1];
+/**
+ * Render an artistic or halftone code over a background image and check it
+ * with the validator. While the code does not scan, modules are drawn more
+ * opaque (artistic) or more sub-pixels follow the module (halftone).
+ * Returns { buffer, report }.
+ */
+async function renderArtisticQR(content, matrix, imageBuffer, options) {
+    const {
+        size = 300,
+        style = STYLE_TYPES.ARTISTIC,
+        dotsStyle = null,
+        foregroundColor = '#000000',
+        backgroundColor = '#FFFFFF',
+        moduleOpacity = 0.75,
+        lightModuleOpacity = 0.5
+    } = options;
 
-    const scaledPosition = position * (hexColors.length - 1);
-    const index = Math.floor(scaledPosition);
-    const fraction = scaledPosition - index;
+    const halftone = (dotsStyle || style) === STYLE_TYPES.HALFTONE;
+    const moduleSize = size / (matrix.width + matrix.margin * 2);
+    const height = Math.round(moduleSize * (matrix.height + matrix.margin * 2));
+    const colors = {
+        dark: Jimp.intToRGBA(Jimp.cssColorToHex(foregroundColor)),
+        light: Jimp.intToRGBA(Jimp.cssColorToHex(backgroundColor))
+    };
 
-    const color1 = hexColors[index];
-    const color2 = hexColors[Math.min(index + 1, hexColors.length - 1)];
+    const attempts = [];
+    if (halftone) {
+        const dots = await ditherImage(imageBuffer, (matrix.width + matrix.margin * 2) * HALFTONE_SUBDIVISIONS);
+        for (let level = 0; level < HALFTONE_LEVELS.length; level++) {
+            attempts.push({
+                settings: { halftoneLevel: level },
+                render: () => renderHalftone(matrix, dots, { size, height, moduleSize, colors, keepModule: HALFTONE_LEVELS[level] })
+            });
+        }
+    } else {
+        const photo = await sharp(imageBuffer)
+            .resize(size, height, { fit: 'cover' })
+            .flatten({ background: backgroundColor })
+            .raw()
+            .toBuffer();
+
+        // Raise both opacities in steps until the modules are fully opaque
+        for (let step = 0; ; step++) {
+            const dark = Math.min(moduleOpacity + step * 0.1, 1);
+            const light = Math.min(lightModuleOpacity + step * 0.1, 1);
+            attempts.push({
+                settings: { moduleOpacity: round(dark), lightModuleOpacity: round(light) },
+                render: () => renderOverlay(matrix, photo, { size, height, moduleSize, colors, dark, light })
+            });
+            if (dark >= 1 && light >= 1) break;
+        }
+    }
+
+    let buffer = null;
+    let validation = null;
+    for (let i = 0; i < attempts.length; i++) {
+        buffer = await attempts[i].render();
+        validation = await validateQRCode(buffer, content);
+
+        if (validation.readable && validation.contentMatches !== false) {
+            return {
+                buffer,
+                report: { readable: true, attempts: i + 1, settings: attempts[i].settings, quality: validation.quality }
+            };
+        }
+    }
 
-    const r1 = (color1 >> 16) & 0xff;
-    const g1 = (color1 >> 8) & 0xff;
-    const b1 = color1 & 0xff;
+    console.log(`Warning: ${halftone ? 'Halftone' : 'Artistic'} QR code could not be verified as readable`);
+    return {
+        buffer,
+        report: {
+            readable: false,
+            attempts: attempts.length,
+            settings: attempts[attempts.length - 1].settings,
+            message: validation.message
+        }
+    };
+}
 
-    const r2 = (color2 >> 16) & 0xff;
-    const g2 = (color2 >> 8) & 0xff;
-    const b2 = color2 & 0xff;
+/**
+ * Draw semi-transparent dark and light modules over the photo. Function
+ * patterns and the quiet zone stay opaque so scanners can lock on.
+ */
+async function renderOverlay(matrix, photo, options) {
+    const { size, height, moduleSize, colors, dark, light } = options;
+    const image = new Jimp(size, height);
+
+    image.scan(0, 0, size, height, function(px, py, idx) {
+        const row = Math.floor((py + 0.5) / moduleSize) - matrix.margin;
+        const col = Math.floor((px + 0.5) / moduleSize) - matrix.margin;
+        const inside = row >= 0 && col >= 0 && row < matrix.height && col < matrix.width;
+        const isDark = matrix.isDark(row, col);
+        const color = isDark ? colors.dark : colors.light;
+
+        let alpha = isDark ? dark : light;
+        if (!inside || matrix.isFunctionModule(row, col)) {
+            alpha = 1;
+        }
 
-    const r = Math.round(r1 + (r2 - r1) * fraction);
-    const g = Math.round(g1 + (g2 - g1) * fraction);
-    const b = Math.round(b1 + (b2 - b1) * fraction);
+        const source = (py * size + px) * 3;
+        this.bitmap.data[idx] = Math.round(photo[source] * (1 - alpha) + color.r * alpha);
+        this.bitmap.data[idx + 1] = Math.round(photo[source + 1] * (1 - alpha) + color.g * alpha);
+        this.bitmap.data[idx + 2] = Math.round(photo[source + 2] * (1 - alpha) + color.b * alpha);
+        this.bitmap.data[idx + 3] = 255;
+    });
 
-    return Jimp.rgbaToInt(r, g, b, 255);
+    return await image.getBufferAsync(Jimp.MIME_PNG);
 }
 
 /**
- * Apply advanced styling (dots, rounded corners, etc.)
+ * Draw a halftone code: sub-pixels follow the dithered photo while the
+ * sub-pixels picked by keepModule, function patterns and the quiet zone
+ * carry the module color
  */
-async function applyAdvancedStyle(qrBuffer, style, size) {
-    try {
-        const image = await Jimp.read(qrBuffer);
-        const moduleSize = Math.floor(size / 33); // Approximate module size
+async function renderHalftone(matrix, dots, options) {
+    const { size, height, moduleSize, colors, keepModule } = options;
+    const subSize = moduleSize / HALFTONE_SUBDIVISIONS;
+    const gridSize = (matrix.width + matrix.margin * 2) * HALFTONE_SUBDIVISIONS;
+    const image = new Jimp(size, height);
+
+    image.scan(0, 0, size, height, function(px, py, idx) {
+        const subX = Math.min(Math.floor((px + 0.5) / subSize), gridSize - 1);
+        const subY = Math.min(Math.floor((py + 0.5) / subSize), gridSize - 1);
+        const row = Math.floor(subY / HALFTONE_SUBDIVISIONS) - matrix.margin;
+        const col = Math.floor(subX / HALFTONE_SUBDIVISIONS) - matrix.margin;
+        const inside = row >= 0 && col >= 0 && row < matrix.height && col < matrix.width;
+
+        let isDark = matrix.isDark(row, col);
+        if (inside && !matrix.isFunctionModule(row, col) &&
+            !keepModule(subX % HALFTONE_SUBDIVISIONS, subY % HALFTONE_SUBDIVISIONS)) {
+            isDark = dots[subY * gridSize + subX];
+        }
 
-        const styledImage = new Jimp(size, size, 0xFFFFFFFF);
+        const color = isDark ? colors.dark : colors.light;
+        this.bitmap.data[idx] = color.r;
+        this.bitmap.data[idx + 1] = color.g;
+        this.bitmap.data[idx + 2] = color.b;
+        this.bitmap.data[idx + 3] = 255;
+    });
 
-        // Detect QR code modules
-        for (let y = 0; y < size; y += moduleSize) {
-            for (let x = 0; x < size; x += moduleSize) {
-                const pixel = image.getPixelColor(x + Math.floor(moduleSize / 2), y + Math.floor(moduleSize / 2));
-                const rgba = Jimp.intToRGBA(pixel);
+    return await image.getBufferAsync(Jimp.MIME_PNG);
+}
 
-                // If dark pixel, draw styled module
-                if (rgba.r < 128) {
-                    await drawStyledModule(styledImage, x, y, moduleSize, style, image.getPixelColor(x, y));
-                }
+/**
+ * Reduce an image to a gridSize x gridSize dot pattern with Floyd-Steinberg
+ * dithering. Returns an array of booleans, true for dark dots.
+ */
+async function ditherImage(imageBuffer, gridSize) {
+    const gray = await sharp(imageBuffer)
+        .resize(gridSize, gridSize, { fit: 'cover' })
+        .flatten({ background: '#FFFFFF' })
+        .greyscale()
+        .raw()
+        .toBuffer();
+
+    const levels = Float32Array.from(gray);
+    const dots = new Array(gridSize * gridSize);
+
+    for (let y = 0; y < gridSize; y++) {
+        for (let x = 0; x < gridSize; x++) {
+            const i = y * gridSize + x;
+            const isDark = levels[i] < 128;
+            const error = levels[i] - (isDark ? 0 : 255);
+            dots[i] = isDark;
+
+            if (x + 1 < gridSize) levels[i + 1] += (error * 7) / 16;
+            if (y + 1 < gridSize) {
+                if (x > 0) levels[i + gridSize - 1] += (error * 3) / 16;
+                levels[i + gridSize] += (error * 5) / 16;
+                if (x + 1 < gridSize) levels[i + gridSize + 1] += error / 16;
             }
         }
+    }
 
-        return await styledImage.getBufferAsync(Jimp.MIME_PNG);
-    } catch (error) {
-        console.log(`Warning: Failed to apply advanced style: ${error.message}`);
-        return qrBuffer;
+    return dots;
+}
+
+/**
+ * Round to two decimals for reports
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the shapes of a finder pattern in module units relative to its top-left
+ * module: the 7x7 outer ring, the 5x5 hole inside it, and the 3x3 pupil.
+ * Radii are mirrored so asymmetric styles (leaf) point away from the centre.
+ */
+function getFinderShapes(finder, matrix, ringStyle, pupilStyle) {
+    const mirrorX = finder.col > matrix.width / 2;
+    const mirrorY = finder.row > matrix.height / 2;
+
+    const orient = ([topLeft, topRight, bottomRight, bottomLeft]) => {
+        let radii = [topLeft, topRight, bottomRight, bottomLeft];
+        if (mirrorX) radii = [radii[1], radii[0], radii[3], radii[2]];
+        if (mirrorY) radii = [radii[3], radii[2], radii[1], radii[0]];
+        return radii;
+    };
+
+    const ring = orient(getCornerStyleRadii(ringStyle, FINDER_SIZE));
+
+    return {
+        ring: { offset: 0, size: FINDER_SIZE, radii: ring },
+        hole: { offset: 1, size: FINDER_SIZE - 2, radii: ring.map(radius => Math.max(0, radius - 1)) },
+        pupil: { offset: 2, size: 3, radii: orient(getCornerStyleRadii(pupilStyle, 3)) }
+    };
+}
+
+/**
+ * Get corner radii of a finder ring or pupil box of the given size in modules
+ */
+function getCornerStyleRadii(cornerStyle, boxSize) {
+    switch (cornerStyle) {
+        case CORNER_STYLES.ROUNDED:
+            return Array(4).fill(boxSize * 0.25);
+
+        case CORNER_STYLES.EXTRA_ROUNDED:
+            return Array(4).fill(boxSize * 0.4);
+
+        case CORNER_STYLES.CIRCLE:
+            return Array(4).fill(boxSize / 2);
+
+        case CORNER_STYLES.LEAF:
+            return [boxSize / 2, 0, boxSize / 2, 0];
+
+        default:
+            return [0, 0, 0, 0];
     }
 }
 
 /**
- * Draw a styled module (dot, rounded square, etc.)
+ * Draw a finder pattern (eye) with separate ring and pupil styles and colors
+ */
+function drawFinderPattern(image, finder, matrix, moduleSize, options) {
+    const { ringStyle, pupilStyle, ringPaint, pupilPaint } = options;
+    const { ring, hole, pupil } = getFinderShapes(finder, matrix, ringStyle, pupilStyle);
+
+    const x = (finder.col + matrix.margin) * moduleSize;
+    const y = (finder.row + matrix.margin) * moduleSize;
+    const boxSize = FINDER_SIZE * moduleSize;
+
+    const startX = Math.max(0, Math.floor(x));
+    const startY = Math.max(0, Math.floor(y));
+    const endX = Math.min(image.bitmap.width, Math.ceil(x + boxSize));
+    const endY = Math.min(image.bitmap.height, Math.ceil(y + boxSize));
+
+    const inside = (shape, mx, my) => isInsideRoundedRect(
+        (mx - shape.offset) / shape.size,
+        (my - shape.offset) / shape.size,
+        shape.radii.map(radius => radius / shape.size)
+    );
+
+    image.scan(startX, startY, endX - startX, endY - startY, function(px, py) {
+        const mx = (px + 0.5 - x) / moduleSize;
+        const my = (py + 0.5 - y) / moduleSize;
+
+        if (inside(ring, mx, my) && !inside(hole, mx, my)) {
+            this.setPixelColor(ringPaint(px, py), px, py);
+        } else if (inside(pupil, mx, my)) {
+            this.setPixelColor(pupilPaint(px, py), px, py);
+        }
+    });
+}
+
+/**
+ * Get corner radii of a dark module as [topLeft, topRight, bottomRight, bottomLeft]
+ * in module units. Corners joined to a dark neighbour stay square so that
+ * adjacent modules still merge into solid runs.
  */
-async function drawStyledModule(image, x, y, size, style, color) {
+function getModuleCornerRadii(matrix, row, col, style) {
+    const top = matrix.isDark(row - 1, col);
+    const right = matrix.isDark(row, col + 1);
+    const bottom = matrix.isDark(row + 1, col);
+    const left = matrix.isDark(row, col - 1);
+
+    const exposed = [!top && !left, !top && !right, !bottom && !right, !bottom && !left];
+    const round = (radius, corners = [0, 1, 2, 3]) =>
+        exposed.map((isExposed, i) => (isExposed && corners.includes(i) ? radius : 0));
+
     switch (style) {
         case STYLE_TYPES.DOTS:
-            // Draw circle
-            const radius = size / 2;
-            const centerX = x + radius;
-            const centerY = y + radius;
-            image.scan(x, y, size, size, function(px, py) {
-                const distance = Math.sqrt(
-                    Math.pow(px - centerX, 2) + Math.pow(py - centerY, 2)
-                );
-                if (distance <= radius) {
-                    this.setPixelColor(color, px, py);
-                }
-            });
-            break;
+            return [0.5, 0.5, 0.5, 0.5];
 
         case STYLE_TYPES.ROUNDED:
+            return round(0.3);
+
+        case STYLE_TYPES.EXTRA_ROUNDED:
+            return round(0.5);
+
+        case STYLE_TYPES.CLASSY:
+            return round(0.5, [0, 2]);
+
         case STYLE_TYPES.CLASSY_ROUNDED:
-            // Draw rounded square
-            const cornerRadius = size * 0.3;
-            image.scan(x, y, size, size, function(px, py) {
-                const localX = px - x;
-                const localY = py - y;
-
-                // Check if in corner
-                const inTopLeft = localX < cornerRadius && localY < cornerRadius;
-                const inTopRight = localX > size - cornerRadius && localY < cornerRadius;
-                const inBottomLeft = localX < cornerRadius && localY > size - cornerRadius;
-                const inBottomRight = localX > size - cornerRadius && localY > size - cornerRadius;
-
-                let shouldDraw = true;
-
-                if (inTopLeft) {
-                    const dist = Math.sqrt(
-                        Math.pow(localX - cornerRadius, 2) + Math.pow(localY - cornerRadius, 2)
-                    );
-                    shouldDraw = dist <= cornerRadius;
-                } else if (inTopRight) {
-                    const dist = Math.sqrt(
-                        Math.pow(localX - (size - cornerRadius), 2) + Math.pow(localY - cornerRadius, 2)
-                    );
-                    shouldDraw = dist <= cornerRadius;
-                } else if (inBottomLeft) {
-                    const dist = Math.sqrt(
-                        Math.pow(localX - cornerRadius, 2) + Math.pow(localY - (size - cornerRadius), 2)
-                    );
-                    shouldDraw = dist <= cornerRadius;
-                } else if (inBottomRight) {
-                    const dist = Math.sqrt(
-                        Math.pow(localX - (size - cornerRadius), 2) + Math.pow(localY - (size - cornerRadius), 2)
-                    );
-                    shouldDraw = dist <= cornerRadius;
-                }
-
-                if (shouldDraw) {
-                    this.setPixelColor(color, px, py);
-                }
-            });
-            break;
+            return round(0.5, [0, 2]).map((radius, i) => radius || (exposed[i] ? 0.2 : 0));
 
         default:
-            // Square (default)
-            image.scan(x, y, size, size, function(px, py) {
-                this.setPixelColor(color, px, py);
-            });
+            return [0, 0, 0, 0];
     }
 }
 
 /**
- * Apply decorative frame around QR code
+ * Check whether a point in box-local coordinates (0..1) lies inside
+ * a rounded square with the given corner radii (as fractions of its side)
  */
-async function applyFrame(qrBuffer, frameStyle, options) {
-    try {
-        const { size, frameColor, frameText, frameTextColor, frameTextSize } = options;
-
-        const image = await Jimp.read(qrBuffer);
-        const frameWidth = Math.floor(size * 0.1);
-        const newSize = size + (frameWidth * 2);
-        const textSpace = frameText ? 60 : 0;
-
-        // Create new image with frame
-        const framedImage = new Jimp(newSize, newSize + textSpace, frameColor);
-
-        // Add QR code in center
-        framedImage.composite(image, frameWidth, frameWidth);
-
-        // Add frame border based on style
-        switch (frameStyle) {
-            case FRAME_STYLES.BASIC:
-                // Simple border (already created)
-                break;
-
-            case FRAME_STYLES.CIRCULAR:
-                // Circular mask
-                framedImage.circle({ radius: newSize / 2, x: newSize / 2, y: newSize / 2 });
-                break;
-
-            case FRAME_STYLES.BANNER:
-                // Add decorative corners
-                // This is simplified - could add more elaborate designs
-                break;
-        }
+function isInsideRoundedRect(u, v, radii) {
+    if (u < 0 || v < 0 || u >= 1 || v >= 1) {
+        return false;
+    }
 
-        // Add text if provided
-        if (frameText) {
-            const font = await Jimp.loadFont(Jimp.FONT_SANS_16_BLACK);
-            framedImage.print(
-                font,
-                0,
-                newSize + 10,
-                {
-                    text: frameText,
-                    alignmentX: Jimp.HORIZONTAL_ALIGN_CENTER,
-                    alignmentY: Jimp.VERTICAL_ALIGN_TOP
-                },
-                newSize,
-                50
+    const [topLeft, topRight, bottomRight, bottomLeft] = radii;
+    const corners = [
+        { radius: topLeft, cx: topLeft, cy: topLeft, inCorner: u < topLeft && v < topLeft },
+        { radius: topRight, cx: 1 - topRight, cy: topRight, inCorner: u > 1 - topRight && v < topRight },
+        { radius: bottomRight, cx: 1 - bottomRight, cy: 1 - bottomRight, inCorner: u > 1 - bottomRight && v > 1 - bottomRight },
+        { radius: bottomLeft, cx: bottomLeft, cy: 1 - bottomLeft, inCorner: u < bottomLeft && v > 1 - bottomLeft }
+    ];
+
+    for (const corner of corners) {
+        if (corner.radius > 0 && corner.inCorner) {
+            const distance = Math.sqrt(
+                Math.pow(u - corner.cx, 2) + Math.pow(v - corner.cy, 2)
             );
+            return distance <= corner.radius;
         }
+    }
+
+    return true;
+}
+
+/**
+ * Draw a styled module (dot, rounded square, etc.) at a fractional pixel position.
+ * paint(px, py) returns the pixel color so gradients follow the module shapes.
+ */
+function drawStyledModule(image, x, y, moduleSize, radii, paint) {
+    const startX = Math.max(0, Math.floor(x));
+    const startY = Math.max(0, Math.floor(y));
+    const endX = Math.min(image.bitmap.width, Math.ceil(x + moduleSize));
+    const endY = Math.min(image.bitmap.height, Math.ceil(y + moduleSize));
+
+    if (endX <= startX || endY <= startY) {
+        return;
+    }
 
-        return await framedImage.getBufferAsync(Jimp.MIME_PNG);
+    image.scan(startX, startY, endX - startX, endY - startY, function(px, py) {
+        // Sample at the pixel centre so neighbouring modules never overlap
+        const u = (px + 0.5 - x) / moduleSize;
+        const v = (py + 0.5 - y) / moduleSize;
+
+        if (isInsideRoundedRect(u, v, radii)) {
+            this.setPixelColor(paint(px, py), px, py);
+        }
+    });
+}
+
+/**
+ * Apply decorative frame around QR code. The frame is drawn as SVG (shared
+ * with the vector outputs), rasterized, and the code composited into it.
+ */
+async function applyFrame(qrBuffer, size, options, fontBuffer = null) {
+    try {
+        const layout = buildFrame(size, { ...options, fontBuffer });
+        const frameSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}">` +
+            `${layout.body}</svg>`;
+
+        return await sharp(Buffer.from(frameSvg))
+            .composite([{ input: qrBuffer, left: layout.qrX, top: layout.qrY }])
+            .png()
+            .toBuffer();
     } catch (error) {
         console.log(`Warning: Failed to apply frame: ${error.message}`);
         return qrBuffer;
@@ -339,6 +597,11 @@ async function applyFrame(qrBuffer, frameStyle, options) {
 
 module.exports = {
     generateStyledQR,
+    renderArtisticQR,
+    isArtisticStyle,
+    getModuleCornerRadii,
+    getFinderShapes,
     STYLE_TYPES,
+    CORNER_STYLES,
     FRAME_STYLES
 };
@@ -0,0 +1,265 @@
+/**
+ * SVG Vector Renderer
+ * Renders styled QR codes as native SVG shapes so vector output matches the PNG design
+ */
+
+const sharp = require('sharp');
+const { createModuleMatrix } = require('./moduleMatrix');
+const { getLogoPlateRect } = require('./logoPlacement');
+const { buildFrame, FRAME_STYLES } = require('./frameRenderer');
+const { resolveGradients, buildSVGGradient } = require('./gradients');
+const { SYMBOLOGIES } = require('./symbologies');
+const { escapeXml, fmt } = require('./svgUtils');
+const {
+    renderArtisticQR,
+    isArtisticStyle,
+    getModuleCornerRadii,
+    getFinderShapes,
+    STYLE_TYPES,
+    CORNER_STYLES
+} = require('./stylingEngine');
+
+/**
+ * Generate a styled QR code as an SVG document
+ */
+async function generateStyledSVG(content, options, assets = {}) {
+    const {
+        size = 300,
+        margin = null,
+        symbology = SYMBOLOGIES.QR,
+        symbologyVersion = null,
+        errorCorrectionLevel = 'M',
+        eci = null,
+        foregroundColor = '#000000',
+        backgroundColor = '#FFFFFF',
+        style = STYLE_TYPES.SQUARE,
+        dotsStyle = null,
+        cornersSquareStyle = CORNER_STYLES.SQUARE,
+        cornersDotStyle = CORNER_STYLES.SQUARE,
+        cornersSquareColor = null,
+        cornersDotColor = null,
+        logoSize = 20,
+        logoClearArea = null,
+        logoBackgroundColor = null,
+        logoCornerRadius = 25,
+        transparentBackground = false,
+        frame = FRAME_STYLES.NONE,
+        structuredAppend = null
+    } = options;
+    const { logoBuffer = null, fontBuffer = null, imageBuffer = null } = assets;
+
+    const matrix = createModuleMatrix(content, {
+        symbology,
+        symbologyVersion,
+        errorCorrectionLevel,
+        eci,
+        margin,
+        clearArea: logoBuffer ? logoClearArea : null,
+        structuredAppend
+    });
+    // rMQR codes are wider than tall; the height matches the raster rendering
+    const qrHeight = Math.round(size * (matrix.height + matrix.margin * 2) / (matrix.width + matrix.margin * 2));
+    const shapes = buildQRShapes(matrix, {
+        size,
+        style: dotsStyle || style,
+        cornersSquareStyle,
+        cornersDotStyle
+    });
+
+    const defs = [];
+    const gradients = resolveGradients(options);
+    const gradientFill = (id, gradient, color) => {
+        if (!gradient) {
+            return color;
+        }
+        defs.push(buildSVGGradient(id, gradient, size, qrHeight));
+        return `url(#${id})`;
+    };
+
+    // Eyes follow the eye gradient, then explicit eye colors, then the modules
+    const moduleFill = gradientFill('qr-gradient', gradients.modules, escapeXml(foregroundColor));
+    const eyeFill = gradientFill('qr-eye-gradient', gradients.eyes, null);
+    const ringFill = eyeFill || (cornersSquareColor && escapeXml(cornersSquareColor)) || moduleFill;
+    const pupilFill = eyeFill || (cornersDotColor && escapeXml(cornersDotColor)) || ringFill;
+    const backgroundFill = transparentBackground
+        ? 'none'
+        : gradientFill('qr-background-gradient', gradients.background, escapeXml(backgroundColor));
+    const crisp = (dotsStyle || style) === STYLE_TYPES.SQUARE ? ' shape-rendering="crispEdges"' : '';
+
+    let qrLayer = [
+        `<rect width="${size}" height="${qrHeight}" fill="${backgroundFill}"/>`,
+        `<g fill="${moduleFill}"${crisp}>${shapesToSVG(shapes.modules)}</g>`,
+        `<g fill="${ringFill}" fill-rule="evenodd">${shapesToSVG(shapes.rings)}</g>`,
+        `<g fill="${pupilFill}">${shapesToSVG(shapes.pupils)}</g>`
+    ];
+
+    // Photo-based styles are embedded as the verified raster rendering
+    if (isArtisticStyle(dotsStyle || style) && imageBuffer) {
+        const { buffer } = await renderArtisticQR(content, matrix, imageBuffer, { ...options, size });
+        qrLayer = [
+            `<image width="${size}" height="${qrHeight}" xlink:href="data:image/png;base64,${buffer.toString('base64')}"/>`
+        ];
+    }
+
+    if (logoBuffer) {
+        if (matrix.clearArea) {
+            const plate = getLogoPlateRect(matrix, size, logoCornerRadius);
+            qrLayer.push(
+                `<rect x="${fmt(plate.x)}" y="${fmt(plate.y)}" width="${fmt(plate.size)}" height="${fmt(plate.size)}" ` +
+                `rx="${fmt(plate.radius)}" fill="${escapeXml(logoBackgroundColor || (transparentBackground ? 'none' : backgroundColor))}"/>`
+            );
+        }
+        try {
+            qrLayer.push(await buildLogoImage(logoBuffer, size, logoSize));
+        } catch (error) {
+            console.log(`Warning: Failed to embed logo in SVG: ${error.message}`);
+        }
+    }
+
+    let width = size;
+    let height = qrHeight;
+    let body = qrLayer.join('');
+
+    // Wrap in a frame if specified
+    if (frame !== FRAME_STYLES.NONE) {
+        const layout = buildFrame(size, {
+            ...options,
+            backgroundColor: transparentBackground ? 'none' : backgroundColor,
+            fontBuffer
+        });
+        width = layout.width;
+        height = layout.height;
+        body = `${layout.body}<g transform="translate(${layout.qrX} ${layout.qrY})">${body}</g>`;
+    }
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" `,
+        `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '',
+        body,
+        '</svg>'
+    ].join('');
+}
+
+/**
+ * Build the vector shapes of a QR code in pixel coordinates.
+ * Returns data modules, finder rings (with holes) and finder pupils separately
+ * so each group can be filled independently.
+ */
+function buildQRShapes(matrix, options) {
+    const {
+        size,
+        style = STYLE_TYPES.SQUARE,
+        cornersSquareStyle = CORNER_STYLES.SQUARE,
+        cornersDotStyle = CORNER_STYLES.SQUARE
+    } = options;
+
+    const moduleSize = size / (matrix.width + matrix.margin * 2);
+    const modules = [];
+    const rings = [];
+    const pupils = [];
+
+    for (let row = 0; row < matrix.height; row++) {
+        for (let col = 0; col < matrix.width; col++) {
+            if (!matrix.isDark(row, col) || matrix.isFinderModule(row, col)) {
+                continue;
+            }
+
+            const x = (col + matrix.margin) * moduleSize;
+            const y = (row + matrix.margin) * moduleSize;
+
+            if (style === STYLE_TYPES.DOTS) {
+                modules.push({
+                    type: 'circle',
+                    cx: x + moduleSize / 2,
+                    cy: y + moduleSize / 2,
+                    r: moduleSize / 2
+                });
+                continue;
+            }
+
+            const radii = getModuleCornerRadii(matrix, row, col, style).map(radius => radius * moduleSize);
+            modules.push({ type: 'path', d: roundedRectPath(x, y, moduleSize, moduleSize, radii) });
+        }
+    }
+
+    for (const finder of matrix.finderPatterns) {
+        const { ring, hole, pupil } = getFinderShapes(finder, matrix, cornersSquareStyle, cornersDotStyle);
+        const originX = (finder.col + matrix.margin) * moduleSize;
+        const originY = (finder.row + matrix.margin) * moduleSize;
+
+        const toPath = shape => roundedRectPath(
+            originX + shape.offset * moduleSize,
+            originY + shape.offset * moduleSize,
+            shape.size * moduleSize,
+            shape.size * moduleSize,
+            shape.radii.map(radius => radius * moduleSize)
+        );
+
+        rings.push({ type: 'path', d: `${toPath(ring)}${toPath(hole)}` });
+        pupils.push({ type: 'path', d: toPath(pupil) });
+    }
+
+    return { modules, rings, pupils, moduleSize };
+}
+
+/**
+ * Build SVG path data for a rectangle with per-corner radii
+ * [topLeft, topRight, bottomRight, bottomLeft]
+ */
+function roundedRectPath(x, y, width, height, radii) {
+    const [topLeft, topRight, bottomRight, bottomLeft] = radii;
+    const arc = (radius, toX, toY) =>
+        radius > 0 ? `A${fmt(radius)} ${fmt(radius)} 0 0 1 ${fmt(toX)} ${fmt(toY)}` : '';
+
+    return [
+        `M${fmt(x + topLeft)} ${fmt(y)}`,
+        `H${fmt(x + width - topRight)}`,
+        arc(topRight, x + width, y + topRight),
+        `V${fmt(y + height - bottomRight)}`,
+        arc(bottomRight, x + width - bottomRight, y + height),
+        `H${fmt(x + bottomLeft)}`,
+        arc(bottomLeft, x, y + height - bottomLeft),
+        `V${fmt(y + topLeft)}`,
+        arc(topLeft, x + topLeft, y),
+        'Z'
+    ].join('');
+}
+
+/**
+ * Convert shapes to SVG elements. Paths are merged into a single element so
+ * renderers don't leave anti-aliasing seams between adjacent modules.
+ */
+function shapesToSVG(shapes) {
+    const circles = shapes
+        .filter(shape => shape.type === 'circle')
+        .map(shape => `<circle cx="${fmt(shape.cx)}" cy="${fmt(shape.cy)}" r="${fmt(shape.r)}"/>`);
+
+    const pathData = shapes
+        .filter(shape => shape.type === 'path')
+        .map(shape => shape.d)
+        .join('');
+
+    return (pathData ? `<path d="${pathData}"/>` : '') + circles.join('');
+}
+
+/**
+ * Embed a logo as a centered <image> element
+ */
+async function buildLogoImage(logoBuffer, size, logoSizePercent) {
+    const logoSize = Math.floor((size * logoSizePercent) / 100);
+    const pngBuffer = await sharp(logoBuffer)
+        .resize(logoSize * 2, logoSize * 2, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .png()
+        .toBuffer();
+
+    const offset = fmt((size - logoSize) / 2);
+    return `<image x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" ` +
+        `xlink:href="data:image/png;base64,${pngBuffer.toString('base64')}"/>`;
+}
+
+module.exports = {
+    generateStyledSVG,
+    buildQRShapes,
+    roundedRectPath
+};
@@ -0,0 +1,28 @@
+/**
+ * SVG Utilities
+ * Number formatting and escaping shared by the modules that write SVG markup
+ */
+
+/**
+ * Escape text for use inside SVG markup
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a coordinate with at most two decimals
+ */
+function fmt(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+module.exports = {
+    escapeXml,
+    fmt
+};
@@ -0,0 +1,588 @@
+/**
+ * Swiss QR-bill
+ * Builds Swiss Payment Standards QR-bill payloads (SPC version 0200), checks
+ * QR-IBANs and references, and draws the Swiss cross and the A6 payment part
+ * and receipt slip
+ */
+
+const { isValidIBAN, isValidCreditorReference, normalizeCode } = require('./paymentCodes');
+const { getSVGDimensions } = require('./pdfRenderer');
+const { nestSVG } = require('./linearBarcodes');
+const { escapeXml, fmt } = require('./svgUtils');
+
+/**
+ * Reference types: QR reference (QR-IBAN only), ISO 11649 creditor
+ * reference, or none
+ */
+const REFERENCE_TYPES = {
+    QRR: 'QRR',
+    SCOR: 'SCOR',
+    NON: 'NON'
+};
+
+/**
+ * SPC limits: the whole payload, the amount range and field lengths
+ */
+const SPC_MAX_CHARACTERS = 997;
+const SPC_MIN_AMOUNT = 0.01;
+const SPC_MAX_AMOUNT = 999999999.99;
+const SPC_CURRENCIES = ['CHF', 'EUR'];
+const SPC_ADDRESS_LIMITS = {
+    name: 70,
+    street: 70,
+    buildingNumber: 16,
+    postalCode: 16,
+    town: 35
+};
+const SPC_MAX_INFORMATION = 140;
+const SPC_MAX_ALTERNATIVE_SCHEMES = 2;
+const SPC_MAX_ALTERNATIVE_SCHEME = 100;
+
+/**
+ * QR-IBANs carry an institution ID (IBAN positions 5-9) in this range
+ */
+const QR_IID_MIN = 30000;
+const QR_IID_MAX = 31999;
+
+/**
+ * Characters the standard allows: printable Basic Latin, Latin-1
+ * Supplement, Latin Extended-A, Ș ș Ț ț and the euro sign
+ */
+const INVALID_CHARACTERS = /[^\u0020-\u007E\u00A0-\u017F\u0218-\u021B\u20AC]/;
+
+/**
+ * Table of the recursive mod 10 check digit of QR references
+ */
+const MOD10_TABLE = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+
+/**
+ * Print geometry in millimetres: the slip, the receipt on its left, the
+ * QR code and the Swiss cross at its center
+ */
+const PAYMENT_SLIP_SIZE_MM = [210, 105];
+const RECEIPT_WIDTH_MM = 62;
+const QR_CODE_SIZE_MM = 46;
+const SWISS_CROSS_SIZE_MM = 7;
+
+/**
+ * Slip headings in the four languages of the standard
+ */
+const SLIP_LABELS = {
+    en: {
+        receipt: 'Receipt',
+        paymentPart: 'Payment part',
+        account: 'Account / Payable to',
+        reference: 'Reference',
+        information: 'Additional information',
+        payableBy: 'Payable by',
+        payableByBlank: 'Payable by (name/address)',
+        currency: 'Currency',
+        amount: 'Amount',
+        acceptancePoint: 'Acceptance point'
+    },
+    de: {
+        receipt: 'Empfangsschein',
+        paymentPart: 'Zahlteil',
+        account: 'Konto / Zahlbar an',
+        reference: 'Referenz',
+        information: 'Zusätzliche Informationen',
+        payableBy: 'Zahlbar durch',
+        payableByBlank: 'Zahlbar durch (Name/Adresse)',
+        currency: 'Währung',
+        amount: 'Betrag',
+        acceptancePoint: 'Annahmestelle'
+    },
+    fr: {
+        receipt: 'Récépissé',
+        paymentPart: 'Section paiement',
+        account: 'Compte / Payable à',
+        reference: 'Référence',
+        information: 'Informations supplémentaires',
+        payableBy: 'Payable par',
+        payableByBlank: 'Payable par (nom/adresse)',
+        currency: 'Monnaie',
+        amount: 'Montant',
+        acceptancePoint: 'Point de dépôt'
+    },
+    it: {
+        receipt: 'Ricevuta',
+        paymentPart: 'Sezione pagamento',
+        account: 'Conto / Pagabile a',
+        reference: 'Riferimento',
+        information: 'Informazioni supplementari',
+        payableBy: 'Pagabile da',
+        payableByBlank: 'Pagabile da (nome/indirizzo)',
+        currency: 'Valuta',
+        amount: 'Importo',
+        acceptancePoint: 'Punto di accettazione'
+    }
+};
+
+/**
+ * Build an SPC payload: one field per line with structured (S) addresses,
+ * an empty ultimate creditor, and the EPD trailer. Optional trailing fields
+ * (billing information, alternative schemes) are left off when empty.
+ */
+function buildSwissQRBillPayload(bill) {
+    const lines = [
+        'SPC',
+        '0200',
+        '1',
+        normalizeCode(bill.iban),
+        ...formatAddress(bill.creditor),
+        // Ultimate creditor, reserved for future use
+        '', '', '', '', '', '', '',
+        hasAmount(bill) ? Number(bill.amount).toFixed(2) : '',
+        getCurrency(bill),
+        ...formatAddress(bill.debtor),
+        getReferenceType(bill),
+        normalizeCode(bill.reference),
+        getText(bill.message),
+        'EPD',
+        getText(bill.billInformation),
+        ...(bill.alternativeSchemes || []).map(getText)
+    ];
+
+    while (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines.join('\n');
+}
+
+/**
+ * The seven address fields of a party, all empty when there is none
+ */
+function formatAddress(party) {
+    if (!party) {
+        return ['', '', '', '', '', '', ''];
+    }
+    return [
+        'S',
+        getText(party.name),
+        getText(party.street),
+        getText(party.buildingNumber),
+        getText(party.postalCode),
+        getText(party.town),
+        normalizeCode(party.country)
+    ];
+}
+
+/**
+ * Trimmed text of an optional field
+ */
+function getText(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function hasAmount(bill) {
+    return bill.amount !== undefined && bill.amount !== null && bill.amount !== '';
+}
+
+function getCurrency(bill) {
+    return normalizeCode(bill.currency) || 'CHF';
+}
+
+/**
+ * Reference type of a bill: QR-IBANs take a QR reference, other IBANs an
+ * RF creditor reference or none
+ */
+function getReferenceType(bill) {
+    if (isQRIBAN(bill.iban)) {
+        return REFERENCE_TYPES.QRR;
+    }
+    return bill.reference ? REFERENCE_TYPES.SCOR : REFERENCE_TYPES.NON;
+}
+
+/**
+ * Check whether an IBAN is a QR-IBAN (its institution ID is 30000-31999)
+ */
+function isQRIBAN(value) {
+    const iban = normalizeCode(value);
+    const iid = Number(iban.slice(4, 9));
+    return /^(CH|LI)/.test(iban) && iid >= QR_IID_MIN && iid <= QR_IID_MAX;
+}
+
+/**
+ * Check a 27-digit QR reference and its recursive mod 10 check digit
+ */
+function isValidQRReference(value) {
+    const reference = normalizeCode(value);
+    return /^\d{27}$/.test(reference) &&
+        getQRReferenceCheckDigit(reference.slice(0, 26)) === Number(reference[26]);
+}
+
+/**
+ * Recursive mod 10 check digit of a string of digits
+ */
+function getQRReferenceCheckDigit(digits) {
+    let carry = 0;
+    for (const digit of digits) {
+        carry = MOD10_TABLE[(carry + Number(digit)) % 10];
+    }
+    return (10 - carry) % 10;
+}
+
+/**
+ * Check a QR-bill; returns a list of problems
+ */
+function validateSwissQRBill(bill) {
+    const errors = [];
+    const iban = normalizeCode(bill.iban);
+    const reference = normalizeCode(bill.reference);
+
+    if (!iban) {
+        errors.push('QR-bill missing IBAN');
+    } else if (!/^(CH|LI)[0-9A-Z]{19}$/.test(iban)) {
+        errors.push(`Invalid IBAN ${iban}: QR-bills are paid to Swiss or Liechtenstein accounts`);
+    } else if (!isValidIBAN(iban)) {
+        errors.push(`Invalid IBAN ${iban}: the checksum does not match`);
+    }
+
+    errors.push(...validateAddress(bill.creditor, 'creditor'));
+    if (bill.debtor) {
+        errors.push(...validateAddress(bill.debtor, 'debtor'));
+    }
+
+    if (hasAmount(bill)) {
+        const amount = Number(bill.amount);
+        if (!Number.isFinite(amount) || amount < SPC_MIN_AMOUNT || amount > SPC_MAX_AMOUNT) {
+            errors.push(`QR-bill amount must be between ${SPC_MIN_AMOUNT} and ${SPC_MAX_AMOUNT}`);
+        } else if (!/^\d+(\.\d{1,2})?$/.test(String(bill.amount).trim())) {
+            errors.push('QR-bill amount has more than two decimals');
+        }
+    }
+    if (!SPC_CURRENCIES.includes(getCurrency(bill))) {
+        errors.push(`QR-bill currency must be ${SPC_CURRENCIES.join(' or ')}`);
+    }
+
+    if (isQRIBAN(iban)) {
+        if (!reference) {
+            errors.push('QR-IBAN payments need a QR reference');
+        } else if (!isValidQRReference(reference)) {
+            errors.push(`Invalid QR reference ${reference}: use 27 digits ending in the mod 10 check digit`);
+        }
+    } else if (reference && /^\d+$/.test(reference)) {
+        errors.push('QR references need a QR-IBAN; use an RF creditor reference with this IBAN');
+    } else if (reference && !isValidCreditorReference(reference)) {
+        errors.push(`Invalid creditor reference ${reference}: use an RF reference with a matching checksum`);
+    }
+
+    const information = getText(bill.message) + getText(bill.billInformation);
+    if (information.length > SPC_MAX_INFORMATION) {
+        errors.push(`QR-bill message and billing information are longer than ${SPC_MAX_INFORMATION} characters together`);
+    }
+    const schemes = bill.alternativeSchemes || [];
+    if (!Array.isArray(schemes) || schemes.length > SPC_MAX_ALTERNATIVE_SCHEMES) {
+        errors.push(`QR-bills take a list of up to ${SPC_MAX_ALTERNATIVE_SCHEMES} alternative schemes`);
+    } else if (schemes.some(scheme => getText(scheme).length > SPC_MAX_ALTERNATIVE_SCHEME)) {
+        errors.push(`QR-bill alternative schemes are at most ${SPC_MAX_ALTERNATIVE_SCHEME} characters`);
+    }
+    if (bill.language && !SLIP_LABELS[String(bill.language).toLowerCase()]) {
+        errors.push(`Unknown QR-bill language "${bill.language}"; use ${Object.keys(SLIP_LABELS).join(', ')}`);
+    }
+
+    const payload = buildSwissQRBillPayload(bill);
+    const invalid = payload.replace(/\n/g, ' ').match(INVALID_CHARACTERS);
+    if (invalid) {
+        errors.push(`"${invalid[0]}" is not in the QR-bill character set`);
+    }
+    if (payload.length > SPC_MAX_CHARACTERS) {
+        errors.push(`QR-bill payload is ${payload.length} characters; the standard allows ${SPC_MAX_CHARACTERS}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Check the structured address of the creditor or debtor
+ */
+function validateAddress(party, role) {
+    if (!party || typeof party !== 'object') {
+        return [`QR-bill missing ${role} address`];
+    }
+
+    const errors = [];
+    for (const field of ['name', 'postalCode', 'town']) {
+        if (!getText(party[field])) {
+            errors.push(`QR-bill ${role} missing ${field}`);
+        }
+    }
+    if (!/^[A-Z]{2}$/.test(normalizeCode(party.country))) {
+        errors.push(`QR-bill ${role} country must be a 2-letter ISO code`);
+    }
+    for (const [field, limit] of Object.entries(SPC_ADDRESS_LIMITS)) {
+        if (getText(party[field]).length > limit) {
+            errors.push(`QR-bill ${role} ${field} is longer than ${limit} characters`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Draw the Swiss cross over the center of a QR code SVG. The cross is 7 mm
+ * on a 46 mm code: a white square with a black square inside and the white
+ * cross on it. `modules` and `margin` give the code's size in modules.
+ */
+function addSwissCross(svg, { modules, margin, foregroundColor = '#000000', backgroundColor = '#FFFFFF' }) {
+    const { width } = getSVGDimensions(svg);
+    const unit = width / (modules + margin * 2) * modules / QR_CODE_SIZE_MM;
+    const center = width / 2;
+
+    // 7 mm outline, 6 mm black square, cross arms 1.125 mm wide and 3.75 mm long
+    const outline = SWISS_CROSS_SIZE_MM * unit;
+    const square = (SWISS_CROSS_SIZE_MM - 1) * unit;
+    const arm = square * 6 / 32;
+    const span = square * 20 / 32;
+    const cross = [
+        `<rect x="${fmt(center - outline / 2)}" y="${fmt(center - outline / 2)}" width="${fmt(outline)}" height="${fmt(outline)}" fill="${escapeXml(backgroundColor)}"/>`,
+        `<rect x="${fmt(center - square / 2)}" y="${fmt(center - square / 2)}" width="${fmt(square)}" height="${fmt(square)}" fill="${escapeXml(foregroundColor)}"/>`,
+        `<rect x="${fmt(center - arm / 2)}" y="${fmt(center - span / 2)}" width="${fmt(arm)}" height="${fmt(span)}" fill="${escapeXml(backgroundColor)}"/>`,
+        `<rect x="${fmt(center - span / 2)}" y="${fmt(center - arm / 2)}" width="${fmt(span)}" height="${fmt(arm)}" fill="${escapeXml(backgroundColor)}"/>`
+    ].join('');
+
+    return svg.replace(/<\/svg>\s*$/, `<g shape-rendering="crispEdges">${cross}</g></svg>`);
+}
+
+/**
+ * Lay out the 210 x 105 mm payment slip: the receipt on the left and the
+ * payment part with the QR code on the right, separated by dashed cutting
+ * lines. `codeSvg` is the QR code with its Swiss cross; it is placed so its
+ * modules (without the quiet zone) are 46 mm wide. Units are millimetres.
+ */
+function composePaymentSlip(codeSvg, { bill, modules, margin }) {
+    const labels = SLIP_LABELS[String(bill.language || 'en').toLowerCase()] || SLIP_LABELS.en;
+    const [slipWidth, slipHeight] = PAYMENT_SLIP_SIZE_MM;
+    const referenceType = getReferenceType(bill);
+    const account = [formatIBAN(bill.iban), ...getAddressLines(bill.creditor)];
+    const reference = referenceType === REFERENCE_TYPES.NON ? null : formatReference(bill.reference, referenceType);
+    const information = [getText(bill.message), getText(bill.billInformation)].filter(Boolean);
+    const amount = hasAmount(bill) ? formatAmount(bill.amount) : null;
+    const parts = [];
+
+    // Receipt: 6 pt headings and 8 pt values, 5 mm margins
+    const receipt = new SlipColumn(parts, 5, 52, { heading: 6, value: 8, lineHeight: 9 });
+    receipt.title(labels.receipt, 5);
+    receipt.moveTo(12);
+    receipt.field(labels.account, account);
+    if (reference) receipt.field(labels.reference, [reference]);
+    if (bill.debtor) {
+        receipt.field(labels.payableBy, getAddressLines(bill.debtor));
+    } else {
+        receipt.heading(labels.payableByBlank);
+        parts.push(cornerBox(5, receipt.y + 1, 52, 20));
+    }
+    receipt.moveTo(68);
+    receipt.amount(labels, getCurrency(bill), amount, 22, { x: 27, y: 72, width: 30, height: 10 });
+    parts.push(textElement(57, 82 + ptToMm(6), labels.acceptancePoint, 6, { bold: true, anchor: 'end' }));
+
+    // Payment part: 8 pt headings and 10 pt values, QR code 46 mm
+    const payment = new SlipColumn(parts, 67, 46, { heading: 8, value: 10, lineHeight: 11 });
+    payment.title(labels.paymentPart, 5);
+    const quietZone = margin * QR_CODE_SIZE_MM / modules;
+    const codeSize = QR_CODE_SIZE_MM + quietZone * 2;
+    const code = getSVGDimensions(codeSvg);
+    parts.push(nestSVG(codeSvg, 67 - quietZone, 17 - quietZone, codeSize, codeSize * code.height / code.width));
+    // The amount sits 20 mm right of the currency, clear of the widest
+    // currency heading (German "Währung" at 8 pt bold)
+    payment.moveTo(68);
+    payment.amount(labels, getCurrency(bill), amount, 20, { x: 78, y: 73, width: 40, height: 15 });
+
+    const schemes = (bill.alternativeSchemes || []).map(getText).filter(Boolean);
+    schemes.forEach((scheme, index) => {
+        const [name, ...rest] = scheme.split('/');
+        parts.push(textElement(67, 93 + index * ptToMm(8), rest.length ? `${name}: ${rest.join('/')}` : scheme, 7));
+    });
+
+    const details = new SlipColumn(parts, 118, 87, { heading: 8, value: 10, lineHeight: 11 });
+    details.moveTo(5);
+    details.field(labels.account, account);
+    if (reference) details.field(labels.reference, [reference]);
+    if (information.length > 0) details.field(labels.information, information);
+    if (bill.debtor) {
+        details.field(labels.payableBy, getAddressLines(bill.debtor));
+    } else {
+        details.heading(labels.payableByBlank);
+        parts.push(cornerBox(118, details.y + 1, 65, 25));
+    }
+
+    // Cutting lines along the top edge and between receipt and payment part
+    const dash = 'stroke="#000000" stroke-width="0.2" stroke-dasharray="1 0.8"';
+    parts.push(
+        `<line x1="0" y1="0.1" x2="${slipWidth}" y2="0.1" ${dash}/>`,
+        `<line x1="${RECEIPT_WIDTH_MM}" y1="0" x2="${RECEIPT_WIDTH_MM}" y2="${slipHeight}" ${dash}/>`
+    );
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" `,
+        `width="${slipWidth}mm" height="${slipHeight}mm" viewBox="0 0 ${slipWidth} ${slipHeight}">`,
+        `<rect width="${slipWidth}" height="${slipHeight}" fill="#FFFFFF"/>`,
+        ...parts,
+        '</svg>'
+    ].join('');
+}
+
+/**
+ * A column of the slip: headings and values written top to bottom at a
+ * fixed line height, with a blank line after each field
+ */
+class SlipColumn {
+    constructor(parts, x, width, { heading, value, lineHeight }) {
+        this.parts = parts;
+        this.x = x;
+        this.width = width;
+        this.sizes = { heading, value };
+        this.lineHeight = ptToMm(lineHeight);
+        this.y = 0;
+    }
+
+    moveTo(y) {
+        this.y = y;
+    }
+
+    title(text, y) {
+        this.parts.push(textElement(this.x, y + ptToMm(11), text, 11, { bold: true }));
+    }
+
+    heading(text) {
+        this.y += this.lineHeight;
+        this.parts.push(textElement(this.x, this.y, text, this.sizes.heading, { bold: true }));
+    }
+
+    field(heading, lines) {
+        this.heading(heading);
+        for (const line of lines) {
+            for (const wrapped of wrapText(line, this.width, this.sizes.value)) {
+                this.y += this.lineHeight;
+                this.parts.push(textElement(this.x, this.y, wrapped, this.sizes.value));
+            }
+        }
+        this.y += this.lineHeight / 2;
+    }
+
+    /**
+     * Currency and amount side by side; a blank box for the payer to fill in
+     * when the bill has no amount
+     */
+    amount(labels, currency, amount, amountOffset, box) {
+        const headingY = this.y + this.lineHeight;
+        const valueY = headingY + this.lineHeight;
+        this.parts.push(
+            textElement(this.x, headingY, labels.currency, this.sizes.heading, { bold: true }),
+            textElement(this.x + amountOffset, headingY, labels.amount, this.sizes.heading, { bold: true }),
+            textElement(this.x, valueY, currency, this.sizes.value)
+        );
+        if (amount) {
+            this.parts.push(textElement(this.x + amountOffset, valueY, amount, this.sizes.value));
+        } else {
+            this.parts.push(cornerBox(box.x, box.y, box.width, box.height));
+        }
+    }
+}
+
+/**
+ * Address lines of a party: name, street and number, postal code and town.
+ * The country code leads the town for addresses outside CH and LI.
+ */
+function getAddressLines(party) {
+    const country = normalizeCode(party.country);
+    const town = `${getText(party.postalCode)} ${getText(party.town)}`.trim();
+    return [
+        getText(party.name),
+        `${getText(party.street)} ${getText(party.buildingNumber)}`.trim(),
+        country && country !== 'CH' && country !== 'LI' ? `${country}-${town}` : town
+    ].filter(Boolean);
+}
+
+/**
+ * IBAN in groups of four
+ */
+function formatIBAN(value) {
+    return normalizeCode(value).replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+/**
+ * QR references are grouped in fives from the right, creditor references
+ * in fours from the left
+ */
+function formatReference(value, type) {
+    const reference = normalizeCode(value);
+    if (type === REFERENCE_TYPES.QRR) {
+        return reference.replace(/\B(?=(\d{5})+$)/g, ' ');
+    }
+    return reference.replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+/**
+ * Amount with two decimals and a space between thousands
+ */
+function formatAmount(value) {
+    const [whole, decimals] = Number(value).toFixed(2).split('.');
+    return `${whole.replace(/\B(?=(\d{3})+$)/g, ' ')}.${decimals}`;
+}
+
+/**
+ * Break text into lines that fit a width, estimating Helvetica at 0.56 em
+ * per character. Words longer than a line (such as billing information)
+ * are split.
+ */
+function wrapText(text, widthMm, fontSize) {
+    const maxChars = Math.floor(widthMm / (ptToMm(fontSize) * 0.56));
+    const words = String(text).split(/\s+/)
+        .flatMap(word => word.match(new RegExp(`.{1,${maxChars}}`, 'g')) || []);
+    const lines = [];
+    let line = '';
+    for (const word of words) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (candidate.length > maxChars && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * A line of slip text at a baseline
+ */
+function textElement(x, y, text, fontSize, { bold = false, anchor = 'start' } = {}) {
+    return `<text x="${fmt(x)}" y="${fmt(y)}" font-family="Helvetica, Arial, sans-serif" font-size="${fmt(ptToMm(fontSize))}"` +
+        `${bold ? ' font-weight="bold"' : ''}${anchor !== 'start' ? ` text-anchor="${anchor}"` : ''} fill="#000000">` +
+        `${escapeXml(text)}</text>`;
+}
+
+/**
+ * Corner marks of a blank field, 3 mm long
+ */
+function cornerBox(x, y, width, height) {
+    const mark = 3;
+    const right = x + width;
+    const bottom = y + height;
+    const d = [
+        `M${fmt(x)} ${fmt(y + mark)}V${fmt(y)}H${fmt(x + mark)}`,
+        `M${fmt(right - mark)} ${fmt(y)}H${fmt(right)}V${fmt(y + mark)}`,
+        `M${fmt(right)} ${fmt(bottom - mark)}V${fmt(bottom)}H${fmt(right - mark)}`,
+        `M${fmt(x + mark)} ${fmt(bottom)}H${fmt(x)}V${fmt(bottom - mark)}`
+    ].join('');
+    return `<path d="${d}" fill="none" stroke="#000000" stroke-width="0.26"/>`;
+}
+
+function ptToMm(points) {
+    return points * 25.4 / 72;
+}
+
+module.exports = {
+    buildSwissQRBillPayload,
+    validateSwissQRBill,
+    getReferenceType,
+    isQRIBAN,
+    isValidQRReference,
+    getQRReferenceCheckDigit,
+    addSwissCross,
+    composePaymentSlip,
+    REFERENCE_TYPES,
+    PAYMENT_SLIP_SIZE_MM,
+    SPC_MAX_CHARACTERS
+};
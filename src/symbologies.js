@@ -0,0 +1,398 @@
+/**
+ * Symbologies
+ * Micro QR (M1-M4), rMQR (rectangular Micro QR), Data Matrix (plain and GS1),
+ * Aztec and PDF417 encoding with capacity checks; standard QR codes stay with
+ * the qrcode package
+ */
+
+const bwipjs = require('bwip-js');
+
+/**
+ * Supported symbologies
+ */
+const SYMBOLOGIES = {
+    QR: 'qr',
+    MICRO_QR: 'micro-qr',
+    RMQR: 'rmqr',
+    DATA_MATRIX: 'datamatrix',
+    GS1_DATA_MATRIX: 'gs1-datamatrix',
+    AZTEC: 'aztec',
+    PDF417: 'pdf417'
+};
+
+/**
+ * bwip-js encoder of each symbology
+ */
+const ENCODERS = {
+    [SYMBOLOGIES.MICRO_QR]: 'microqrcode',
+    [SYMBOLOGIES.RMQR]: 'rectangularmicroqrcode',
+    [SYMBOLOGIES.DATA_MATRIX]: 'datamatrix',
+    [SYMBOLOGIES.GS1_DATA_MATRIX]: 'gs1datamatrix',
+    [SYMBOLOGIES.AZTEC]: 'azteccode',
+    [SYMBOLOGIES.PDF417]: 'pdf417'
+};
+
+/**
+ * Default quiet zone of each symbology in modules: the minimum of the
+ * standard, except Aztec which needs none but gets one module off the edge
+ */
+const QUIET_ZONES = {
+    [SYMBOLOGIES.QR]: 4,
+    [SYMBOLOGIES.MICRO_QR]: 2,
+    [SYMBOLOGIES.RMQR]: 2,
+    [SYMBOLOGIES.DATA_MATRIX]: 1,
+    [SYMBOLOGIES.GS1_DATA_MATRIX]: 1,
+    [SYMBOLOGIES.AZTEC]: 1,
+    [SYMBOLOGIES.PDF417]: 2
+};
+
+/**
+ * Error correction levels each symbology supports; other levels are mapped to
+ * the nearest supported one. Data Matrix has fixed error correction (null).
+ */
+const SUPPORTED_EC_LEVELS = {
+    [SYMBOLOGIES.MICRO_QR]: { L: 'L', M: 'M', Q: 'Q', H: 'Q' },
+    [SYMBOLOGIES.RMQR]: { L: 'M', M: 'M', Q: 'H', H: 'H' },
+    [SYMBOLOGIES.DATA_MATRIX]: { L: null, M: null, Q: null, H: null },
+    [SYMBOLOGIES.GS1_DATA_MATRIX]: { L: null, M: null, Q: null, H: null },
+    [SYMBOLOGIES.AZTEC]: { L: 'L', M: 'M', Q: 'Q', H: 'H' },
+    [SYMBOLOGIES.PDF417]: { L: 'L', M: 'M', Q: 'Q', H: 'H' }
+};
+
+/**
+ * Aztec error correction as a percentage of the symbol and PDF417 error
+ * correction levels (0-8) for each QR-style level
+ */
+const AZTEC_EC_PERCENT = { L: 10, M: 23, Q: 36, H: 50 };
+const PDF417_EC_LEVELS = { L: 2, M: 4, Q: 5, H: 6 };
+
+/**
+ * Micro QR capacity per version and error correction level in characters
+ * (numeric, alphanumeric, byte). M1 only detects errors and has no level.
+ */
+const MICRO_QR_CAPACITY = {
+    M1: { L: [5, 0, 0] },
+    M2: { L: [10, 6, 0], M: [8, 5, 0] },
+    M3: { L: [23, 14, 9], M: [18, 11, 7] },
+    M4: { L: [35, 21, 15], M: [30, 18, 13], Q: [21, 13, 9] }
+};
+
+/**
+ * rMQR versions as [height, width] in modules
+ */
+const RMQR_VERSIONS = [
+    [7, 43], [7, 59], [7, 77], [7, 99], [7, 139],
+    [9, 43], [9, 59], [9, 77], [9, 99], [9, 139],
+    [11, 27], [11, 43], [11, 59], [11, 77], [11, 99], [11, 139],
+    [13, 27], [13, 43], [13, 59], [13, 77], [13, 99], [13, 139],
+    [15, 43], [15, 59], [15, 77], [15, 99], [15, 139],
+    [17, 43], [17, 59], [17, 77], [17, 99], [17, 139]
+];
+
+/**
+ * Capacity of the largest rMQR version (R17x139) in characters
+ */
+const RMQR_MAX_CAPACITY = {
+    M: [361, 219, 150],
+    H: [178, 108, 74]
+};
+
+/**
+ * Capacity of the largest Data Matrix (144x144), Aztec (32 layers, lowest
+ * error correction) and PDF417 symbols in characters
+ */
+const MAX_CAPACITY = {
+    [SYMBOLOGIES.DATA_MATRIX]: [3116, 2335, 1556],
+    [SYMBOLOGIES.GS1_DATA_MATRIX]: [3116, 2335, 1556],
+    [SYMBOLOGIES.AZTEC]: [3832, 3067, 1914],
+    [SYMBOLOGIES.PDF417]: [2710, 1850, 1108]
+};
+
+const MODES = ['numeric', 'alphanumeric', 'byte'];
+
+/**
+ * Get the single encoding mode that covers the content
+ */
+function detectMode(content) {
+    if (/^[0-9]*$/.test(content)) return 'numeric';
+    if (/^[0-9A-Z $%*+\-./:]*$/.test(content)) return 'alphanumeric';
+    return 'byte';
+}
+
+/**
+ * Check that content fits a symbol of the given symbology and pick the version.
+ * `version` may name an exact version: M3 for Micro QR; R13x77 or height-only
+ * R7 for rMQR; 24x24 (rows x columns) or `rectangle` for Data Matrix; the
+ * number of layers for Aztec; the number of data columns for PDF417.
+ * Returns { fits, symbology, version, errorCorrectionLevel, mode, length, capacity, width, height, message }.
+ */
+function checkCapacity(content, options = {}) {
+    const {
+        symbology = SYMBOLOGIES.MICRO_QR,
+        errorCorrectionLevel = 'M',
+        version = null
+    } = options;
+
+    if (!SUPPORTED_EC_LEVELS[symbology]) {
+        throw new Error(`Unsupported symbology: ${symbology}`);
+    }
+
+    const levels = SUPPORTED_EC_LEVELS[symbology];
+    const level = errorCorrectionLevel in levels ? levels[errorCorrectionLevel] : levels.M;
+    const mode = detectMode(content);
+    const length = mode === 'byte' ? Buffer.byteLength(content, 'utf8') : content.length;
+    const base = { symbology, errorCorrectionLevel: level, mode, length };
+
+    if (symbology === SYMBOLOGIES.MICRO_QR) {
+        return checkMicroQRCapacity(base, version);
+    }
+    if (symbology === SYMBOLOGIES.RMQR) {
+        return checkRMQRCapacity(content, base, version);
+    }
+
+    // Data Matrix, Aztec and PDF417 pick their own size, so try the encoder
+    try {
+        const symbol = encodeRaw(content, symbology, level, version);
+        return {
+            ...base,
+            fits: true,
+            version: symbol.version,
+            capacity: null,
+            width: symbol.width,
+            height: symbol.height
+        };
+    } catch (error) {
+        const capacity = MAX_CAPACITY[symbology][MODES.indexOf(mode)];
+        return {
+            ...base,
+            fits: false,
+            version: null,
+            capacity,
+            message: `${length} ${mode} characters do not fit ${symbology}${version ? ` version ${version}` : ''}: ` +
+                `${getEncoderMessage(error)} (largest symbol holds ${capacity})`
+        };
+    }
+}
+
+/**
+ * Pick the smallest Micro QR version that holds the content
+ */
+function checkMicroQRCapacity(base, version) {
+    const { mode, length, errorCorrectionLevel: level } = base;
+    const versions = version ? [String(version).toUpperCase()] : Object.keys(MICRO_QR_CAPACITY);
+    if (!versions.every(name => MICRO_QR_CAPACITY[name])) {
+        throw new Error(`Unknown Micro QR version: ${version}`);
+    }
+
+    for (const name of versions) {
+        // M1 only detects errors, so it fits any requested level
+        const capacity = name === 'M1' ? MICRO_QR_CAPACITY.M1.L : MICRO_QR_CAPACITY[name][level];
+        if (capacity && length <= capacity[MODES.indexOf(mode)]) {
+            const size = 9 + 2 * Number(name.slice(1));
+            return {
+                ...base,
+                fits: true,
+                version: name,
+                errorCorrectionLevel: name === 'M1' ? null : level,
+                capacity: capacity[MODES.indexOf(mode)],
+                width: size,
+                height: size
+            };
+        }
+    }
+
+    const last = versions[versions.length - 1];
+    const largest = (last === 'M1' ? MICRO_QR_CAPACITY.M1.L : MICRO_QR_CAPACITY[last][level]) || [0, 0, 0];
+    return {
+        ...base,
+        fits: false,
+        version: null,
+        capacity: largest[MODES.indexOf(mode)],
+        message: `${length} ${mode} characters exceed Micro QR ${last} capacity of ` +
+            `${largest[MODES.indexOf(mode)]} at level ${level}`
+    };
+}
+
+/**
+ * Pick the smallest rMQR version that holds the content: smallest area first,
+ * lower strips first on ties
+ */
+function checkRMQRCapacity(content, base, version) {
+    const { mode, length, errorCorrectionLevel: level } = base;
+    const candidates = RMQR_VERSIONS
+        .filter(([height, width]) => !version || matchesRMQRVersion(version, height, width))
+        .sort((a, b) => a[0] * a[1] - b[0] * b[1] || a[0] - b[0]);
+
+    if (candidates.length === 0) {
+        throw new Error(`Unknown rMQR version: ${version}`);
+    }
+
+    for (const [height, width] of candidates) {
+        const name = `R${height}x${width}`;
+        if (encodesWith(ENCODERS[SYMBOLOGIES.RMQR], content, { version: name, eclevel: level })) {
+            return { ...base, fits: true, version: name, capacity: getRMQRCapacity(name, level, mode), width, height };
+        }
+    }
+
+    const capacity = version
+        ? Math.max(...candidates.map(([height, width]) => getRMQRCapacity(`R${height}x${width}`, level, mode)))
+        : RMQR_MAX_CAPACITY[level][MODES.indexOf(mode)];
+    return {
+        ...base,
+        fits: false,
+        version: null,
+        capacity,
+        message: `${length} ${mode} characters do not fit ${version ? `rMQR ${version}` : 'any rMQR version'} ` +
+            `at level ${level} (largest holds ${capacity})`
+    };
+}
+
+/**
+ * Find the capacity of an rMQR version in characters of one mode by encoding
+ * test strings (bwip-js has no capacity table for rMQR)
+ */
+function getRMQRCapacity(version, level, mode) {
+    const sample = { numeric: '0', alphanumeric: 'A', byte: 'a' }[mode];
+    let low = 0;
+    let high = RMQR_MAX_CAPACITY[level][MODES.indexOf(mode)];
+
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (encodesWith(ENCODERS[SYMBOLOGIES.RMQR], sample.repeat(middle), { version, eclevel: level })) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Check a version name (R13x77 or height-only R13) against an rMQR size
+ */
+function matchesRMQRVersion(version, height, width) {
+    const match = /^R(\d+)(?:x(\d+))?$/i.exec(String(version));
+    return !!match && Number(match[1]) === height && (!match[2] || Number(match[2]) === width);
+}
+
+/**
+ * Encode content as a symbol of any symbology other than standard QR.
+ * Returns { version, errorCorrectionLevel, width, height, data } with data as
+ * row-major 0/1 modules.
+ */
+function encodeSymbol(content, options = {}) {
+    const check = checkCapacity(content, options);
+    if (!check.fits) {
+        throw new Error(check.message);
+    }
+
+    if (check.symbology !== SYMBOLOGIES.MICRO_QR && check.symbology !== SYMBOLOGIES.RMQR) {
+        return {
+            ...encodeRaw(content, check.symbology, check.errorCorrectionLevel, options.version),
+            errorCorrectionLevel: check.errorCorrectionLevel
+        };
+    }
+
+    const encodeOptions = { version: check.version };
+    if (check.errorCorrectionLevel) {
+        encodeOptions.eclevel = check.errorCorrectionLevel;
+    }
+
+    const [symbol] = bwipjs.raw(ENCODERS[check.symbology], toBinaryString(content), encodeOptions);
+
+    return {
+        version: check.version,
+        errorCorrectionLevel: check.errorCorrectionLevel,
+        width: symbol.pixx,
+        height: symbol.pixy,
+        data: symbol.pixs
+    };
+}
+
+/**
+ * Encode Data Matrix, Aztec or PDF417 content with bwip-js at the requested
+ * version, or the smallest one that fits.
+ * Returns { version, width, height, data }.
+ */
+function encodeRaw(content, symbology, level, version) {
+    const encodeOptions = {};
+
+    switch (symbology) {
+        case SYMBOLOGIES.DATA_MATRIX:
+        case SYMBOLOGIES.GS1_DATA_MATRIX:
+            if (String(version).toLowerCase() === 'rectangle') {
+                encodeOptions.format = 'rectangle';
+            } else if (version) {
+                encodeOptions.version = String(version).toLowerCase();
+            }
+            break;
+        case SYMBOLOGIES.AZTEC:
+            encodeOptions.eclevel = AZTEC_EC_PERCENT[level];
+            if (version) encodeOptions.layers = Number(version);
+            break;
+        case SYMBOLOGIES.PDF417:
+            encodeOptions.eclevel = PDF417_EC_LEVELS[level];
+            if (version) encodeOptions.columns = Number(version);
+            break;
+    }
+
+    // GS1 element strings are plain ASCII with (AI) brackets
+    const text = symbology === SYMBOLOGIES.GS1_DATA_MATRIX ? content : toBinaryString(content);
+    const [symbol] = bwipjs.raw(ENCODERS[symbology], text, encodeOptions);
+    const { pixx: width, pixy: height } = symbol;
+    const rows = symbol.pixs.length / width;
+    let data = symbol.pixs;
+
+    // PDF417 rows are several modules high; repeat them so modules are square
+    if (rows !== height) {
+        data = new Uint8Array(width * height);
+        for (let row = 0; row < height; row++) {
+            const source = Math.floor((row * rows) / height) * width;
+            data.set(symbol.pixs.slice(source, source + width), row * width);
+        }
+    }
+
+    // PDF417 versions are rows x data columns (17 modules each, plus 69 for
+    // the start, stop and row indicator patterns); the others are their size
+    return {
+        version: symbology === SYMBOLOGIES.PDF417 ? `${rows}x${(width - 69) / 17}` : `${height}x${width}`,
+        width,
+        height,
+        data
+    };
+}
+
+/**
+ * bwip-js reads one character per byte, so pass the UTF-8 bytes
+ */
+function toBinaryString(content) {
+    return Buffer.from(content, 'utf8').toString('latin1');
+}
+
+/**
+ * Strip the encoder's internal error code from a bwip-js error message
+ */
+function getEncoderMessage(error) {
+    return String(error.message || error).replace(/^bwipp\.\w+#\d+:\s*/, '');
+}
+
+/**
+ * Check whether bwip-js can encode the content with the given options
+ */
+function encodesWith(bcid, content, options) {
+    try {
+        bwipjs.raw(bcid, toBinaryString(content), options);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    checkCapacity,
+    encodeSymbol,
+    detectMode,
+    SYMBOLOGIES,
+    QUIET_ZONES
+};
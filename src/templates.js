@@ -101,7 +101,7 @@ const TEMPLATES = {
     // Retail & E-commerce
     PRODUCT_TAG: {
         name: 'Product Tag',
-        description: 'Compact design for product labels',
+        description: 'Compact design for product labels; add a barcode to print it beside the QR code',
         customization: {
             size: 200,
             margin: 2,
@@ -109,7 +109,8 @@ const TEMPLATES = {
             foregroundColor: '#000000',
             backgroundColor: '#ffffff',
             style: STYLE_TYPES.SQUARE,
-            frame: FRAME_STYLES.BASIC
+            frame: FRAME_STYLES.BASIC,
+            tagLayout: 'stacked'
         }
     },
 
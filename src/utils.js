@@ -4,6 +4,11 @@
  */
 
 const ical = require('ical-generator');
+const { buildContactCard, SOCIAL_PROFILE_URLS } = require('./contactCard');
+const { buildWifiPayload } = require('./wifiNetwork');
+const { buildEPCPayload } = require('./paymentCodes');
+const { buildSwissQRBillPayload } = require('./swissQrBill');
+const { buildEMVCoPayload } = require('./emvcoPayment');
 
 /**
  * Format content based on QR code type with advanced handling
@@ -34,29 +39,20 @@ function formatQRContent(type, content) {
             }
 
         case 'wifi':
-            // WIFI format: WIFI:T:WPA;S:ssid;P:password;H:hidden;;
+            // WIFI format: WIFI:T:WPA;S:ssid;P:password;H:true;;
             try {
                 const wifi = typeof content === 'string' ? JSON.parse(content) : content;
-                const hidden = wifi.hidden ? 'true' : 'false';
-                return `WIFI:T:${wifi.encryption || 'WPA'};S:${wifi.ssid};P:${wifi.password};H:${hidden};;`;
+                return buildWifiPayload(wifi);
             } catch (e) {
                 return content;
             }
 
         case 'vcard':
-            // vCard format
+        case 'mecard':
+            // vCard 3.0/4.0 or MECARD contact
             try {
-                const vcard = typeof content === 'string' ? JSON.parse(content) : content;
-                let vcardString = 'BEGIN:VCARD\nVERSION:3.0\n';
-                vcardString += `FN:${vcard.name}\n`;
-                if (vcard.phone) vcardString += `TEL:${vcard.phone}\n`;
-                if (vcard.email) vcardString += `EMAIL:${vcard.email}\n`;
-                if (vcard.organization) vcardString += `ORG:${vcard.organization}\n`;
-                if (vcard.title) vcardString += `TITLE:${vcard.title}\n`;
-                if (vcard.url) vcardString += `URL:${vcard.url}\n`;
-                if (vcard.address) vcardString += `ADR:;;${vcard.address};;;;\n`;
-                vcardString += 'END:VCARD';
-                return vcardString;
+                const contact = typeof content === 'string' ? JSON.parse(content) : content;
+                return buildContactCard(contact, type.toLowerCase() === 'mecard' ? { format: 'mecard' } : {});
             } catch (e) {
                 return content;
             }
@@ -65,17 +61,8 @@ function formatQRContent(type, content) {
             // Social media links
             try {
                 const social = typeof content === 'string' ? JSON.parse(content) : content;
-                const platforms = {
-                    twitter: `https://twitter.com/${social.username}`,
-                    instagram: `https://instagram.com/${social.username}`,
-                    facebook: `https://facebook.com/${social.username}`,
-                    linkedin: `https://linkedin.com/in/${social.username}`,
-                    youtube: `https://youtube.com/@${social.username}`,
-                    tiktok: `https://tiktok.com/@${social.username}`,
-                    github: `https://github.com/${social.username}`,
-                    discord: social.username // Discord invite or user tag
-                };
-                return platforms[social.platform.toLowerCase()] || content;
+                const toUrl = SOCIAL_PROFILE_URLS[social.platform.toLowerCase()];
+                return toUrl ? toUrl(social.username) : content;
             } catch (e) {
                 return content;
             }
@@ -140,6 +127,42 @@ function formatQRContent(type, content) {
                 return content;
             }
 
+        case 'epc':
+        case 'girocode':
+        case 'sepa':
+            // EPC069-12 SEPA credit transfer (GiroCode)
+            try {
+                const payment = typeof content === 'string' ? JSON.parse(content) : content;
+                return buildEPCPayload(payment);
+            } catch (e) {
+                return content;
+            }
+
+        case 'swiss_qr_bill':
+            // Swiss Payment Standards QR-bill (SPC)
+            try {
+                const bill = typeof content === 'string' ? JSON.parse(content) : content;
+                return buildSwissQRBillPayload(bill);
+            } catch (e) {
+                return content;
+            }
+
+        case 'emvco':
+        case 'pix':
+        case 'paynow':
+        case 'promptpay':
+        case 'duitnow':
+            // EMVCo merchant-presented payloads; finished payloads are used as given
+            try {
+                if (typeof content === 'string' && content.startsWith('000201')) {
+                    return content;
+                }
+                const payment = typeof content === 'string' ? JSON.parse(content) : content;
+                return buildEMVCoPayload(payment, type);
+            } catch (e) {
+                return content;
+            }
+
         default:
             return content;
     }
@@ -239,6 +262,12 @@ function generateSummary(results) {
         return acc;
     }, {});
 
+    const bySymbology = results.reduce((acc, r) => {
+        const symbology = r.symbology || 'qr';
+        acc[symbology] = (acc[symbology] || 0) + 1;
+        return acc;
+    }, {});
+
     const totalSize = successful.reduce((sum, r) => {
         if (r.files) {
             return sum + Object.values(r.files).reduce((s, f) => s + (f.size || 0), 0);
@@ -252,6 +281,7 @@ function generateSummary(results) {
         failed: failed.length,
         successRate: results.length > 0 ? ((successful.length / results.length) * 100).toFixed(2) + '%' : '0%',
         byType,
+        bySymbology,
         totalSize: formatBytes(totalSize),
         averageSize: formatBytes(totalSize / (successful.length || 1))
     };
@@ -5,23 +5,78 @@
 
 const jsQR = require('jsqr');
 const Jimp = require('jimp');
+const sharp = require('sharp');
 const { createCanvas, loadImage } = require('canvas');
+const { checkCapacity, detectMode, SYMBOLOGIES, QUIET_ZONES } = require('./symbologies');
+const { encodeQR, describeSegments } = require('./qrEncoder');
+const { getCharset, getCharsetByAssignment, encodeText, decodeText, getKanjiValue } = require('./qrSegments');
+const { normalizeBarcodeContent, isLinearSymbology } = require('./linearBarcodes');
+const { validateContact } = require('./contactCard');
+const { validateWifiNetwork } = require('./wifiNetwork');
+const { getPaymentStandard, validateEPCPayment } = require('./paymentCodes');
+const { validateSwissQRBill } = require('./swissQrBill');
+const {
+    validateEMVCoPayment,
+    buildEMVCoPayload,
+    crc16,
+    EMVCO_FIELDS,
+    EMVCO_SCHEMES,
+    ADDITIONAL_DATA_FIELDS,
+    POINT_OF_INITIATION,
+    TEMPLATE_IDS
+} = require('./emvcoPayment');
+const {
+    planStructuredAppend,
+    decodeStructuredAppendSymbol,
+    reassembleStructuredAppend
+} = require('./structuredAppend');
 
 /**
- * Validate QR code readability
+ * Warning attached to codes that only decode with inverted colors
+ */
+const INVERSION_WARNING = 'Decoded only after inverting colors; some phone scanners cannot read light-on-dark codes';
+
+/**
+ * Pre-flight sizing: phone cameras resolve modules down to about 1/250 of the
+ * scan distance (the 10:1 rule for a 25-module code), and modules under
+ * 0.25 mm don't print reliably
+ */
+const SCAN_DISTANCE_RATIO = 250;
+const MIN_MODULE_MM = 0.25;
+
+/**
+ * Codes at least this many modules wide (QR version 21 and up) are flagged as dense
+ */
+const DENSE_MODULE_COUNT = 101;
+
+/**
+ * Validate QR code readability. Codes are decoded as dark-on-light first and
+ * retried with inverted colors; transparent images are tried on white, then on
+ * black so light modules on a transparent background can be read.
  */
 async function validateQRCode(imageBuffer, expectedContent = null) {
     try {
-        const image = await Jimp.read(imageBuffer);
-        const imageData = {
-            data: new Uint8ClampedArray(image.bitmap.data),
-            width: image.bitmap.width,
-            height: image.bitmap.height
-        };
+        const { hasAlpha } = await sharp(Buffer.from(imageBuffer)).metadata();
+        const backgrounds = hasAlpha ? ['#FFFFFF', '#000000'] : [null];
 
-        const code = jsQR(imageData.data, imageData.width, imageData.height, {
-            inversionAttempts: 'dontInvert'
-        });
+        let code = null;
+        let inverted = false;
+        for (const background of backgrounds) {
+            const imageData = await readImageData(imageBuffer, background);
+
+            code = jsQR(imageData.data, imageData.width, imageData.height, {
+                inversionAttempts: 'dontInvert'
+            });
+            if (!code) {
+                // jsQR's 'onlyInvert' skips building the inverted image; 'invertFirst'
+                // tries it first and the plain pass has already failed
+                code = jsQR(imageData.data, imageData.width, imageData.height, {
+                    inversionAttempts: 'invertFirst'
+                });
+                inverted = !!code;
+            }
+            if (code) break;
+        }
 
         if (!code) {
             return {
@@ -35,14 +90,27 @@ async function validateQRCode(imageBuffer, expectedContent = null) {
         const result = {
             valid: true,
             readable: true,
-            decodedContent: code.data,
+            inverted,
+            decodedContent: getDecodedText(code),
             location: code.location,
             quality: assessQuality(code)
         };
 
+        if (inverted) {
+            result.warning = INVERSION_WARNING;
+        }
+
+        // EMVCo payment payloads are parsed back and their CRC checked
+        if (isEMVCoPayload(result.decodedContent)) {
+            result.emvco = decodeEMVCoPayload(result.decodedContent);
+            if (!result.emvco.valid) {
+                result.message = `EMVCo payload is invalid: ${result.emvco.errors.join('; ')}`;
+            }
+        }
+
         // If expected content provided, verify it matches
         if (expectedContent) {
-            result.contentMatches = code.data === expectedContent;
+            result.contentMatches = result.decodedContent === expectedContent;
             if (!result.contentMatches) {
                 result.message = 'Decoded content does not match expected content';
                 result.expectedContent = expectedContent;
@@ -60,6 +128,135 @@ async function validateQRCode(imageBuffer, expectedContent = null) {
     }
 }
 
+/**
+ * Text of a jsQR result. jsQR reads byte segments as UTF-8 whatever the
+ * ECI header says, so codes with ECI headers are decoded from the chunks
+ * in the declared character set.
+ */
+function getDecodedText(code) {
+    const chunks = code.chunks || [];
+    if (!chunks.some(chunk => chunk.type === 'eci')) {
+        return code.data;
+    }
+
+    let charset = null;
+    return chunks.map(chunk => {
+        if (chunk.type === 'eci') {
+            charset = getCharsetByAssignment(chunk.assignmentNumber) || charset;
+            return '';
+        }
+        if (chunk.type === 'byte') {
+            return decodeText(Buffer.from(chunk.bytes), charset || 'utf-8');
+        }
+        return chunk.text || '';
+    }).join('');
+}
+
+/**
+ * Validate a Structured Append set. jsQR cannot read the series header, so
+ * each numbered cell of the set is sampled module by module, decoded and
+ * the series is reassembled and compared with the expected content.
+ */
+async function validateStructuredAppend(imageBuffer, expectedContent = null, series) {
+    try {
+        const { hasAlpha } = await sharp(Buffer.from(imageBuffer)).metadata();
+        const backgrounds = hasAlpha ? ['#FFFFFF', '#000000'] : [null];
+
+        let lastError = null;
+        for (const background of backgrounds) {
+            const imageData = await readImageData(imageBuffer, background);
+            try {
+                let inverted = false;
+                const symbols = series.cells.map(cell => {
+                    const grid = sampleModules(imageData, cell, series);
+                    inverted = inverted || grid.inverted;
+                    return decodeStructuredAppendSymbol(grid.isDark, series.modules);
+                });
+                const { content } = reassembleStructuredAppend(symbols);
+
+                const result = {
+                    valid: true,
+                    readable: true,
+                    inverted,
+                    symbols: symbols.length,
+                    decodedContent: content
+                };
+                if (inverted) {
+                    result.warning = INVERSION_WARNING;
+                }
+                if (expectedContent) {
+                    result.contentMatches = content === expectedContent;
+                    if (!result.contentMatches) {
+                        result.message = 'Reassembled content does not match expected content';
+                        result.expectedContent = expectedContent;
+                    }
+                }
+                return result;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        return {
+            valid: false,
+            readable: false,
+            message: `Structured Append series could not be read: ${lastError.message}`
+        };
+    } catch (error) {
+        return {
+            valid: false,
+            readable: false,
+            message: `Validation error: ${error.message}`,
+            quality: 'unknown'
+        };
+    }
+}
+
+/**
+ * Sample the modules of one symbol in a set at their centers. The threshold
+ * sits between the top-left finder corner (always dark) and the light ring
+ * inside it, which also tells light-on-dark symbols apart.
+ */
+function sampleModules(imageData, cell, { modules, margin }) {
+    const moduleSize = cell.size / (modules + margin * 2);
+    const luminance = (row, col) => {
+        const x = Math.floor(cell.x + (col + margin + 0.5) * moduleSize);
+        const y = Math.floor(cell.y + (row + margin + 0.5) * moduleSize);
+        const i = (y * imageData.width + x) * 4;
+        return imageData.data[i] * 0.299 + imageData.data[i + 1] * 0.587 + imageData.data[i + 2] * 0.114;
+    };
+
+    const dark = luminance(0, 0);
+    const light = luminance(1, 1);
+    const threshold = (dark + light) / 2;
+    const inverted = dark > light;
+
+    return {
+        inverted,
+        isDark: (row, col) => (luminance(row, col) < threshold) !== inverted
+    };
+}
+
+/**
+ * Read an image as RGBA pixels for jsQR, flattened onto a background color
+ * when given (jsQR ignores alpha)
+ */
+async function readImageData(imageBuffer, background = null) {
+    // Normalize any image sharp can read (WebP, AVIF, SVG, ...) to PNG
+    let image = sharp(Buffer.from(imageBuffer));
+    if (background) {
+        image = image.flatten({ background });
+    }
+    const pngBuffer = await image.png().toBuffer();
+    const jimpImage = await Jimp.read(pngBuffer);
+
+    return {
+        data: new Uint8ClampedArray(jimpImage.bitmap.data),
+        width: jimpImage.bitmap.width,
+        height: jimpImage.bitmap.height
+    };
+}
+
 /**
  * Assess QR code quality based on detection data
  */
@@ -105,7 +302,8 @@ function assessQuality(qrData) {
 }
 
 /**
- * Batch validate multiple QR codes
+ * Batch validate multiple QR codes. Symbols jsQR cannot read are marked
+ * `skipped` rather than counted as unreadable.
  */
 async function batchValidate(results, validateContent = true) {
     const validationResults = [];
@@ -120,9 +318,23 @@ async function batchValidate(results, validateContent = true) {
             continue;
         }
 
-        // Get PNG file for validation
-        const pngFile = result.files.png || result.files[Object.keys(result.files)[0]];
-        if (!pngFile || !pngFile.buffer) {
+        // jsQR only decodes standard QR codes
+        if (result.symbol && result.symbol.symbology !== SYMBOLOGIES.QR) {
+            validationResults.push({
+                id: result.id,
+                type: result.type,
+                validated: false,
+                skipped: true,
+                message: `Validation is not available for ${result.symbol.symbology} codes`
+            });
+            continue;
+        }
+
+        // Prefer a raster file for validation
+        const imageFile = ['png', 'jpeg', 'tiff', 'webp', 'avif', 'svg']
+            .map(format => result.files[format])
+            .find(file => file && file.buffer) || result.files[Object.keys(result.files)[0]];
+        if (!imageFile || !imageFile.buffer) {
             validationResults.push({
                 id: result.id,
                 validated: false,
@@ -132,7 +344,9 @@ async function batchValidate(results, validateContent = true) {
         }
 
         const expectedContent = validateContent ? result.formattedContent : null;
-        const validation = await validateQRCode(pngFile.buffer, expectedContent);
+        const validation = result.structuredAppend
+            ? await validateStructuredAppend(imageFile.buffer, expectedContent, result.structuredAppend)
+            : await validateQRCode(imageFile.buffer, expectedContent);
 
         validationResults.push({
             id: result.id,
@@ -204,13 +418,138 @@ async function testQRCodeResilience(imageBuffer) {
     };
 }
 
+/**
+ * Check whether text is an EMVCo merchant-presented payload (it starts with
+ * payload format indicator 01)
+ */
+function isEMVCoPayload(text) {
+    return typeof text === 'string' && text.startsWith('000201');
+}
+
+/**
+ * Decode an EMVCo merchant-presented payload: split the TLV fields and the
+ * templates inside them, check the CRC, the field order and the mandatory
+ * fields, and name the scheme of each merchant account. Returns the fields
+ * by ID along with `valid` and a list of `errors`.
+ */
+function decodeEMVCoPayload(payload) {
+    const errors = [];
+    let fields;
+    try {
+        fields = parseTLV(payload);
+    } catch (error) {
+        return { valid: false, crcValid: false, errors: [error.message] };
+    }
+
+    const values = {};
+    for (const { id, value } of fields) {
+        if (values[id] !== undefined) {
+            errors.push(`Field ${id} appears more than once`);
+        }
+        values[id] = value;
+    }
+
+    const crcField = fields[fields.length - 1];
+    const crcValid = !!crcField && crcField.id === EMVCO_FIELDS.CRC && crcField.value.length === 4 &&
+        crc16(payload.slice(0, -4)) === crcField.value.toUpperCase();
+    if (fields[0].id !== EMVCO_FIELDS.PAYLOAD_FORMAT || fields[0].value !== '01') {
+        errors.push('The payload must start with payload format indicator 01');
+    }
+    if (!crcField || crcField.id !== EMVCO_FIELDS.CRC) {
+        errors.push('The payload must end with the CRC field (63)');
+    } else if (!crcValid) {
+        errors.push(`CRC ${crcField.value} does not match the payload (expected ${crc16(payload.slice(0, -4))})`);
+    }
+
+    const merchantAccounts = [];
+    const templates = {};
+    for (const { id, value } of fields) {
+        if (!TEMPLATE_IDS.test(id)) {
+            if (Number(id) >= 2 && Number(id) <= 25) merchantAccounts.push({ id, value });
+            continue;
+        }
+        try {
+            templates[id] = Object.fromEntries(parseTLV(value).map(field => [field.id, field.value]));
+        } catch (error) {
+            errors.push(`Template ${id}: ${error.message}`);
+            continue;
+        }
+        if (Number(id) >= 26 && Number(id) <= 51) {
+            const guid = templates[id]['00'];
+            const scheme = Object.keys(EMVCO_SCHEMES)
+                .find(key => guid && EMVCO_SCHEMES[key].guid.toLowerCase() === guid.toLowerCase());
+            merchantAccounts.push({ id, guid, scheme: scheme || null, fields: templates[id] });
+        }
+    }
+
+    const scheme = (merchantAccounts.find(account => account.scheme) || {}).scheme || null;
+    if (merchantAccounts.length === 0) {
+        errors.push('The payload has no merchant account information (02-51)');
+    }
+    const required = [EMVCO_FIELDS.CURRENCY, EMVCO_FIELDS.COUNTRY];
+    if (!(scheme && EMVCO_SCHEMES[scheme].optionalMerchant)) {
+        required.push(EMVCO_FIELDS.MERCHANT_CATEGORY_CODE, EMVCO_FIELDS.MERCHANT_NAME, EMVCO_FIELDS.MERCHANT_CITY);
+    }
+    for (const id of required) {
+        if (!values[id]) errors.push(`Mandatory field ${id} is missing`);
+    }
+    const initiation = values[EMVCO_FIELDS.POINT_OF_INITIATION];
+    if (initiation && !Object.values(POINT_OF_INITIATION).includes(initiation)) {
+        errors.push(`Point of initiation must be 11 (static) or 12 (dynamic), got ${initiation}`);
+    }
+
+    const additional = templates[EMVCO_FIELDS.ADDITIONAL_DATA] || {};
+    const additionalData = Object.fromEntries(Object.entries(ADDITIONAL_DATA_FIELDS)
+        .filter(([, id]) => additional[id] !== undefined)
+        .map(([name, id]) => [name, additional[id]]));
+
+    return {
+        valid: errors.length === 0,
+        crcValid,
+        errors,
+        scheme,
+        pointOfInitiation: initiation === POINT_OF_INITIATION.dynamic ? 'dynamic' : 'static',
+        merchantAccounts,
+        merchantCategoryCode: values[EMVCO_FIELDS.MERCHANT_CATEGORY_CODE] || null,
+        currency: values[EMVCO_FIELDS.CURRENCY] || null,
+        amount: values[EMVCO_FIELDS.AMOUNT] !== undefined ? Number(values[EMVCO_FIELDS.AMOUNT]) : null,
+        countryCode: values[EMVCO_FIELDS.COUNTRY] || null,
+        merchantName: values[EMVCO_FIELDS.MERCHANT_NAME] || null,
+        merchantCity: values[EMVCO_FIELDS.MERCHANT_CITY] || null,
+        postalCode: values[EMVCO_FIELDS.POSTAL_CODE] || null,
+        additionalData,
+        fields: values
+    };
+}
+
+/**
+ * Split TLV text into [{ id, value }]; throws on a malformed field
+ */
+function parseTLV(text) {
+    const fields = [];
+    let position = 0;
+    while (position < text.length) {
+        const id = text.substr(position, 2);
+        const length = text.substr(position + 2, 2);
+        if (!/^\d{2}$/.test(id) || !/^\d{2}$/.test(length) || position + 4 + Number(length) > text.length) {
+            throw new Error(`Malformed TLV field at position ${position}`);
+        }
+        fields.push({ id, value: text.substr(position + 4, Number(length)) });
+        position += 4 + Number(length);
+    }
+    if (fields.length === 0) {
+        throw new Error('The payload has no TLV fields');
+    }
+    return fields;
+}
+
 /**
  * Validate content format for specific QR types
  */
 function validateContentFormat(type, content) {
     const errors = [];
 
-    switch (type.toLowerCase()) {
+    switch (String(type || 'text').toLowerCase()) {
         case 'url':
             try {
                 new URL(content);
@@ -235,22 +574,64 @@ function validateContentFormat(type, content) {
 
         case 'wifi':
             try {
-                const wifi = JSON.parse(content);
-                if (!wifi.ssid) errors.push('WiFi configuration missing SSID');
-                if (!wifi.password) errors.push('WiFi configuration missing password');
+                const wifi = typeof content === 'string' ? JSON.parse(content) : content;
+                errors.push(...validateWifiNetwork(wifi));
             } catch (e) {
                 errors.push('WiFi configuration must be valid JSON');
             }
             break;
 
         case 'vcard':
+        case 'mecard':
             try {
-                const vcard = JSON.parse(content);
-                if (!vcard.name) errors.push('vCard missing name field');
+                const contact = typeof content === 'string' ? JSON.parse(content) : content;
+                errors.push(...validateContact(contact));
             } catch (e) {
                 errors.push('vCard data must be valid JSON');
             }
             break;
+
+        case 'epc':
+        case 'girocode':
+        case 'sepa':
+            try {
+                const payment = typeof content === 'string' ? JSON.parse(content) : content;
+                errors.push(...validateEPCPayment(payment));
+            } catch (e) {
+                errors.push('EPC payment data must be valid JSON');
+            }
+            break;
+
+        case 'swiss_qr_bill':
+            try {
+                const bill = typeof content === 'string' ? JSON.parse(content) : content;
+                errors.push(...validateSwissQRBill(bill));
+            } catch (e) {
+                errors.push('QR-bill data must be valid JSON');
+            }
+            break;
+
+        case 'emvco':
+        case 'pix':
+        case 'paynow':
+        case 'promptpay':
+        case 'duitnow':
+            // Finished payloads are decoded; payment data is built and decoded back
+            if (isEMVCoPayload(content)) {
+                errors.push(...decodeEMVCoPayload(content).errors);
+                break;
+            }
+            try {
+                const payment = typeof content === 'string' ? JSON.parse(content) : content;
+                const paymentErrors = validateEMVCoPayment(payment, type);
+                errors.push(...paymentErrors);
+                if (paymentErrors.length === 0) {
+                    errors.push(...decodeEMVCoPayload(buildEMVCoPayload(payment, type)).errors);
+                }
+            } catch (e) {
+                errors.push('EMVCo payment data must be valid JSON or an EMVCo payload');
+            }
+            break;
     }
 
     return {
@@ -259,10 +640,228 @@ function validateContentFormat(type, content) {
     };
 }
 
+/**
+ * Pre-flight check of one item before rendering: the content format (see
+ * validateContentFormat), the encoding mode and segments, the version and
+ * module count at the chosen error correction level, and the minimum printed
+ * size for the scan distance. Problems are listed in `flags` as
+ * { level: 'error' | 'warning' | 'info', code, message }.
+ */
+function preflightCheck(type, content, formattedContent, options = {}) {
+    const {
+        symbology = SYMBOLOGIES.QR,
+        symbologyVersion = null,
+        errorCorrectionLevel = 'M',
+        eci = null,
+        margin = null,
+        scanDistanceCm = 30,
+        printSizeMm = null,
+        denseModules = DENSE_MODULE_COUNT,
+        structuredAppend = null
+    } = options;
+
+    // A payment code with a bad IBAN or amount must not be printed
+    const format = validateContentFormat(type, content);
+    const formatLevel = getPaymentStandard(type) ? 'error' : 'warning';
+    const flags = format.errors.map(message => ({ level: formatLevel, code: 'format', message }));
+    const report = { symbology, formatValid: format.valid, fits: true, flags };
+
+    // Linear barcodes have a fixed length; only the digits can be wrong
+    if (isLinearSymbology(symbology)) {
+        try {
+            const { text } = normalizeBarcodeContent(formattedContent, symbology);
+            Object.assign(report, { mode: detectMode(text), length: text.length });
+        } catch (error) {
+            report.fits = false;
+            flags.push({ level: 'error', code: 'content', message: error.message });
+        }
+        return report;
+    }
+
+    const symbol = symbology === SYMBOLOGIES.QR
+        ? analyzeQRContent(formattedContent, { errorCorrectionLevel, eci, structuredAppend })
+        : checkCapacity(formattedContent, { symbology, errorCorrectionLevel, version: symbologyVersion });
+
+    Object.assign(report, {
+        fits: symbol.fits,
+        mode: symbol.mode,
+        segments: symbol.segments,
+        length: symbol.length,
+        version: symbol.version,
+        errorCorrectionLevel: symbol.errorCorrectionLevel
+    });
+    if (symbol.eci) {
+        report.eci = symbol.eci;
+    }
+
+    if (!symbol.fits) {
+        flags.push({ level: 'error', code: symbol.code || 'capacity', message: symbol.message });
+        return report;
+    }
+
+    // Minimum printed size: module size for the scan distance, quiet zone included
+    const quietZone = margin !== null && margin !== undefined ? margin : QUIET_ZONES[symbology];
+    const moduleSizeMm = Math.max((scanDistanceCm * 10) / SCAN_DISTANCE_RATIO, MIN_MODULE_MM);
+    const minWidthMm = roundUp((symbol.width + quietZone * 2) * moduleSizeMm);
+    Object.assign(report, {
+        modules: `${symbol.width}x${symbol.height}`,
+        scanDistanceCm,
+        moduleSizeMm: Math.round(moduleSizeMm * 100) / 100,
+        minPrintSizeMm: {
+            width: minWidthMm,
+            height: roundUp((symbol.height + quietZone * 2) * moduleSizeMm)
+        }
+    });
+
+    // A payment code is read as one symbol; a series would not be accepted
+    if (symbol.series && getPaymentStandard(type)) {
+        report.fits = false;
+        flags.push({
+            level: 'error',
+            code: 'structured_append',
+            message: `Content does not fit one version ${structuredAppend.maxVersion || 40} QR code, and ${type} payment codes cannot be split into a Structured Append series; shorten the content or raise maxVersion`
+        });
+        return report;
+    }
+    if (symbol.series) {
+        report.structuredAppend = symbol.series;
+        flags.push({
+            level: 'info',
+            code: 'structured_append',
+            message: `Content is split into ${symbol.series.symbols} version ${symbol.series.version} symbols`
+        });
+    }
+    if (symbology !== SYMBOLOGIES.PDF417 && symbol.width >= denseModules) {
+        flags.push({
+            level: 'warning',
+            code: 'dense',
+            message: `${report.modules} modules is a dense code; shorten the content, lower the error correction level or print it larger`
+        });
+    }
+    if (printSizeMm && printSizeMm < minWidthMm) {
+        flags.push({
+            level: 'warning',
+            code: 'print_size',
+            message: `Printed ${printSizeMm} mm wide, but ${minWidthMm} mm is needed to scan from ${scanDistanceCm} cm`
+        });
+    }
+    if (symbol.kanjiCharacters) {
+        flags.push({
+            level: 'info',
+            code: 'kanji',
+            message: `${symbol.kanjiCharacters} characters could use Kanji mode with the Shift_JIS character set but are encoded as ${symbol.eci.toUpperCase()} bytes`
+        });
+    }
+
+    return report;
+}
+
+/**
+ * Encode content the way the generator does and describe the QR code: its
+ * segments, version and size, or the Structured Append series it splits into
+ */
+function analyzeQRContent(content, { errorCorrectionLevel = 'M', eci = null, structuredAppend = null } = {}) {
+    const splitting = !!(structuredAppend && structuredAppend.enabled);
+    const maxVersion = splitting ? structuredAppend.maxVersion || 40 : 40;
+    let charset = null;
+    try {
+        charset = eci ? getCharset(eci) : null;
+        if (charset) encodeText(content, charset);
+    } catch (error) {
+        return { errorCorrectionLevel, fits: false, code: 'content', mode: detectMode(content), length: content.length, message: error.message };
+    }
+
+    // Kanji mode is only used without an ECI header or under Shift_JIS; count
+    // the characters it would write shorter than the declared character set
+    const kanjiCharacters = charset && charset !== 'shift_jis'
+        ? Array.from(content).filter(char => getKanjiValue(char) !== null && encodeText(char, charset).length > 1).length
+        : 0;
+    const base = { errorCorrectionLevel, eci: charset, kanjiCharacters };
+
+    let qr = null;
+    let failure = null;
+    try {
+        qr = encodeQR(content, { errorCorrectionLevel, eci: charset });
+    } catch (error) {
+        failure = error;
+    }
+
+    if (qr && (!splitting || qr.version <= maxVersion)) {
+        const segments = describeSegments(qr.segments);
+        const modes = [...new Set(segments.map(segment => segment.mode))];
+
+        return {
+            ...base,
+            fits: true,
+            mode: modes.length === 1 ? modes[0] : 'mixed',
+            segments,
+            length: segments.reduce((sum, segment) => sum + segment.length, 0),
+            version: qr.version,
+            width: qr.width,
+            height: qr.height
+        };
+    }
+    if (!splitting) {
+        return { ...base, fits: false, mode: detectMode(content), length: content.length, message: failure.message };
+    }
+
+    // Series parts are UTF-8 byte segments without an ECI header
+    const length = Buffer.byteLength(content, 'utf8');
+    try {
+        const series = planStructuredAppend(content, { errorCorrectionLevel, maxVersion });
+        const size = 17 + series.version * 4;
+        return {
+            ...base,
+            eci: null,
+            kanjiCharacters: 0,
+            fits: true,
+            mode: 'byte',
+            segments: [{ mode: 'byte', length }],
+            length,
+            version: series.version,
+            width: size,
+            height: size,
+            series: { symbols: series.symbols.length, version: series.version }
+        };
+    } catch (error) {
+        return { ...base, fits: false, mode: 'byte', length, message: error.message };
+    }
+}
+
+/**
+ * Count pre-flight results across a run
+ */
+function summarizePreflight(results) {
+    const reports = results.map(result => result.preflight).filter(Boolean);
+    const count = level => reports.filter(report => report.flags.some(flag => flag.level === level)).length;
+
+    return {
+        checked: reports.length,
+        fit: reports.filter(report => report.fits).length,
+        flagged: reports.filter(report => report.flags.some(flag => flag.level !== 'info')).length,
+        errors: count('error'),
+        warnings: count('warning'),
+        dense: reports.filter(report => report.flags.some(flag => flag.code === 'dense')).length
+    };
+}
+
+/**
+ * Round a minimum size in millimetres up, so the reported minimum is never
+ * smaller than the size the code needs
+ */
+function roundUp(value, decimals = 1) {
+    const factor = Math.pow(10, decimals);
+    return Math.ceil(value * factor) / factor;
+}
+
 module.exports = {
     validateQRCode,
+    validateStructuredAppend,
     batchValidate,
     testQRCodeResilience,
     validateContentFormat,
+    decodeEMVCoPayload,
+    preflightCheck,
+    summarizePreflight,
     assessQuality
 };
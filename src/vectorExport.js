@@ -0,0 +1,393 @@
+/**
+ * EPS and DXF Export
+ * Emits merged outlines of the dark regions for signage, vinyl cutting and engraving
+ */
+
+const { createModuleMatrix } = require('./moduleMatrix');
+const { hexToRgb } = require('./colorUtils');
+const { MM_TO_PT } = require('./pdfRenderer');
+const { SYMBOLOGIES } = require('./symbologies');
+const {
+    getModuleCornerRadii,
+    getFinderShapes,
+    STYLE_TYPES,
+    CORNER_STYLES
+} = require('./stylingEngine');
+
+/**
+ * Bulge of a 90 degree arc segment in DXF polylines (tan of a quarter of the angle)
+ */
+const QUARTER_ARC_BULGE = Math.tan(Math.PI / 8);
+
+/**
+ * Trace the outlines of connected dark data modules (finder patterns excluded).
+ * Contours are lists of grid vertices in module units, dark side on the right,
+ * each with the corner radius the module style gives that vertex.
+ */
+function traceModuleOutlines(matrix, style = STYLE_TYPES.SQUARE) {
+    const isDark = (row, col) => matrix.isDark(row, col) && !matrix.isFinderModule(row, col);
+    const edgesByStart = new Map();
+    const edges = [];
+
+    const addEdge = (x1, y1, x2, y2) => {
+        const edge = { x1, y1, x2, y2, used: false };
+        const key = `${x1},${y1}`;
+        if (!edgesByStart.has(key)) {
+            edgesByStart.set(key, []);
+        }
+        edgesByStart.get(key).push(edge);
+        edges.push(edge);
+    };
+
+    // Boundary edges between dark and light modules, walked clockwise
+    for (let row = 0; row < matrix.height; row++) {
+        for (let col = 0; col < matrix.width; col++) {
+            if (!isDark(row, col)) continue;
+            if (!isDark(row - 1, col)) addEdge(col, row, col + 1, row);
+            if (!isDark(row, col + 1)) addEdge(col + 1, row, col + 1, row + 1);
+            if (!isDark(row + 1, col)) addEdge(col + 1, row + 1, col, row + 1);
+            if (!isDark(row, col - 1)) addEdge(col, row + 1, col, row);
+        }
+    }
+
+    const contours = [];
+
+    for (const start of edges) {
+        if (start.used) continue;
+
+        const points = [];
+        let edge = start;
+
+        while (true) {
+            edge.used = true;
+            points.push({ x: edge.x1, y: edge.y1 });
+
+            const candidates = (edgesByStart.get(`${edge.x2},${edge.y2}`) || [])
+                .filter(next => !next.used || next === start);
+            if (candidates.length === 0) break;
+
+            // Prefer turning right so regions touching diagonally stay separate
+            const next = pickNextEdge(edge, candidates);
+            if (next === start) break;
+            edge = next;
+        }
+
+        contours.push(assignCornerRadii(points, matrix, style));
+    }
+
+    return contours;
+}
+
+/**
+ * Pick the next boundary edge: right turn, then straight, then left turn
+ */
+function pickNextEdge(edge, candidates) {
+    const dx = edge.x2 - edge.x1;
+    const dy = edge.y2 - edge.y1;
+
+    const turnRank = next => {
+        const cross = dx * (next.y2 - next.y1) - dy * (next.x2 - next.x1);
+        return cross > 0 ? 0 : cross === 0 ? 1 : 2;
+    };
+
+    return candidates.reduce((best, next) => (turnRank(next) < turnRank(best) ? next : best));
+}
+
+/**
+ * Drop collinear vertices and give each convex corner the radius of the
+ * module it belongs to
+ */
+function assignCornerRadii(points, matrix, style) {
+    const contour = [];
+
+    points.forEach((point, i) => {
+        const prev = points[(i - 1 + points.length) % points.length];
+        const next = points[(i + 1) % points.length];
+        const inX = Math.sign(point.x - prev.x);
+        const inY = Math.sign(point.y - prev.y);
+        const outX = Math.sign(next.x - point.x);
+        const outY = Math.sign(next.y - point.y);
+        const cross = inX * outY - inY * outX;
+
+        if (cross === 0) {
+            return;
+        }
+
+        let radius = 0;
+        if (cross > 0) {
+            // Convex corner: the module sits back along the incoming edge and forward along the outgoing one
+            const centerX = point.x - inX / 2 + outX / 2;
+            const centerY = point.y - inY / 2 + outY / 2;
+            const row = Math.floor(centerY);
+            const col = Math.floor(centerX);
+            const right = point.x > centerX;
+            const below = point.y > centerY;
+            const cornerIndex = below ? (right ? 2 : 3) : (right ? 1 : 0);
+            radius = getModuleCornerRadii(matrix, row, col, style)[cornerIndex];
+        }
+
+        contour.push({ x: point.x, y: point.y, radius });
+    });
+
+    return contour;
+}
+
+/**
+ * Get finder pattern outlines (ring, hole and pupil) as contours in module units
+ */
+function getFinderContours(matrix, ringStyle, pupilStyle) {
+    const rings = [];
+    const pupils = [];
+
+    for (const finder of matrix.finderPatterns) {
+        const { ring, hole, pupil } = getFinderShapes(finder, matrix, ringStyle, pupilStyle);
+        const toContour = shape => {
+            const x = finder.col + shape.offset;
+            const y = finder.row + shape.offset;
+            const [topLeft, topRight, bottomRight, bottomLeft] = shape.radii;
+            return [
+                { x, y, radius: topLeft },
+                { x: x + shape.size, y, radius: topRight },
+                { x: x + shape.size, y: y + shape.size, radius: bottomRight },
+                { x, y: y + shape.size, radius: bottomLeft }
+            ];
+        };
+
+        rings.push(toContour(ring), toContour(hole));
+        pupils.push(toContour(pupil));
+    }
+
+    return { rings, pupils };
+}
+
+/**
+ * Get centers of dark data modules for the dots style
+ */
+function getDotCenters(matrix) {
+    const dots = [];
+    for (let row = 0; row < matrix.height; row++) {
+        for (let col = 0; col < matrix.width; col++) {
+            if (matrix.isDark(row, col) && !matrix.isFinderModule(row, col)) {
+                dots.push({ x: col + 0.5, y: row + 0.5 });
+            }
+        }
+    }
+    return dots;
+}
+
+/**
+ * Build the module matrix and all outlines shared by EPS and DXF
+ */
+function buildOutlines(content, options) {
+    const {
+        margin = null,
+        symbology = SYMBOLOGIES.QR,
+        symbologyVersion = null,
+        errorCorrectionLevel = 'M',
+        eci = null,
+        style = STYLE_TYPES.SQUARE,
+        dotsStyle = null,
+        cornersSquareStyle = CORNER_STYLES.SQUARE,
+        cornersDotStyle = CORNER_STYLES.SQUARE
+    } = options;
+
+    const moduleStyle = dotsStyle || style;
+    const matrix = createModuleMatrix(content, { symbology, symbologyVersion, errorCorrectionLevel, eci, margin });
+    const isDots = moduleStyle === STYLE_TYPES.DOTS;
+
+    return {
+        matrix,
+        contours: isDots ? [] : traceModuleOutlines(matrix, moduleStyle),
+        dots: isDots ? getDotCenters(matrix) : [],
+        ...getFinderContours(matrix, cornersSquareStyle, cornersDotStyle)
+    };
+}
+
+/**
+ * Generate an EPS file with merged vector outlines
+ */
+function generateEPS(content, options = {}) {
+    const {
+        sizeMm = 50,
+        foregroundColor = '#000000',
+        backgroundColor = '#FFFFFF',
+        cornersSquareColor = null,
+        cornersDotColor = null,
+        transparentBackground = false
+    } = options;
+
+    const { matrix, contours, dots, rings, pupils } = buildOutlines(content, options);
+    const sizePt = sizeMm * MM_TO_PT;
+    const scale = sizePt / (matrix.width + matrix.margin * 2);
+    const height = (matrix.height + matrix.margin * 2) * scale;
+
+    // PostScript has a bottom-left origin
+    const tx = x => num((x + matrix.margin) * scale);
+    const ty = y => num(height - (y + matrix.margin) * scale);
+
+    const contourPath = contour => {
+        const last = contour[contour.length - 1];
+        const lines = [`${tx((last.x + contour[0].x) / 2)} ${ty((last.y + contour[0].y) / 2)} moveto`];
+        contour.forEach((point, i) => {
+            const next = contour[(i + 1) % contour.length];
+            lines.push(point.radius > 0
+                ? `${tx(point.x)} ${ty(point.y)} ${tx(next.x)} ${ty(next.y)} ${num(point.radius * scale)} arct`
+                : `${tx(point.x)} ${ty(point.y)} lineto`);
+        });
+        lines.push('closepath');
+        return lines.join('\n');
+    };
+
+    const fillGroup = (color, paths) => paths.length > 0
+        ? [`${psColor(color)} setrgbcolor`, 'newpath', ...paths, 'eofill'].join('\n')
+        : '';
+
+    const dotPaths = dots.map(dot =>
+        `${tx(dot.x + 0.5)} ${ty(dot.y)} moveto ${tx(dot.x)} ${ty(dot.y)} ${num(scale / 2)} 0 360 arc closepath`
+    );
+
+    return [
+        '%!PS-Adobe-3.0 EPSF-3.0',
+        `%%BoundingBox: 0 0 ${Math.ceil(sizePt)} ${Math.ceil(height)}`,
+        `%%HiResBoundingBox: 0 0 ${num(sizePt)} ${num(height)}`,
+        '%%Title: QR Code',
+        '%%Creator: QR Code API Actor',
+        `%%CreationDate: ${new Date().toISOString()}`,
+        '%%EndComments',
+        'gsave',
+        transparentBackground ? '' : `${psColor(backgroundColor)} setrgbcolor 0 0 ${num(sizePt)} ${num(height)} rectfill`,
+        fillGroup(foregroundColor, [...contours.map(contourPath), ...dotPaths]),
+        fillGroup(cornersSquareColor || foregroundColor, rings.map(contourPath)),
+        fillGroup(cornersDotColor || cornersSquareColor || foregroundColor, pupils.map(contourPath)),
+        'grestore',
+        'showpage',
+        '%%EOF',
+        ''
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Generate an R12 DXF file with closed outlines for cutting plotters and lasers.
+ * Coordinates are millimetres; R12 has no header variable for drawing units.
+ */
+function generateDXF(content, options = {}) {
+    const { sizeMm = 50 } = options;
+
+    const { matrix, contours, dots, rings, pupils } = buildOutlines(content, options);
+    const scale = sizeMm / (matrix.width + matrix.margin * 2);
+    const height = (matrix.height + matrix.margin * 2) * scale;
+
+    // DXF has a bottom-left origin
+    const toPoint = (x, y) => ({
+        x: (x + matrix.margin) * scale,
+        y: height - (y + matrix.margin) * scale
+    });
+
+    const entities = [];
+
+    const addPolyline = (contour, layer) => {
+        const vertices = expandContour(contour.map(point => ({
+            ...toPoint(point.x, point.y),
+            radius: point.radius * scale
+        })));
+
+        entities.push(
+            '0', 'POLYLINE', '8', layer, '66', '1', '70', '1',
+            '10', '0', '20', '0', '30', '0'
+        );
+        for (const vertex of vertices) {
+            entities.push('0', 'VERTEX', '8', layer, '10', num(vertex.x), '20', num(vertex.y), '30', '0');
+            if (vertex.bulge) {
+                entities.push('42', num(vertex.bulge, 6));
+            }
+        }
+        entities.push('0', 'SEQEND', '8', layer);
+    };
+
+    contours.forEach(contour => addPolyline(contour, 'QR_MODULES'));
+    dots.forEach(dot => {
+        const center = toPoint(dot.x, dot.y);
+        entities.push('0', 'CIRCLE', '8', 'QR_MODULES',
+            '10', num(center.x), '20', num(center.y), '30', '0', '40', num(scale / 2));
+    });
+    [...rings, ...pupils].forEach(contour => addPolyline(contour, 'QR_EYES'));
+
+    const layer = name => ['0', 'LAYER', '2', name, '70', '0', '62', '7', '6', 'CONTINUOUS'];
+
+    return [
+        '0', 'SECTION', '2', 'HEADER',
+        '9', '$ACADVER', '1', 'AC1009',
+        '9', '$EXTMIN', '10', '0', '20', '0', '30', '0',
+        '9', '$EXTMAX', '10', num(sizeMm), '20', num(height), '30', '0',
+        '0', 'ENDSEC',
+        '0', 'SECTION', '2', 'TABLES',
+        '0', 'TABLE', '2', 'LAYER', '70', '2',
+        ...layer('QR_MODULES'),
+        ...layer('QR_EYES'),
+        '0', 'ENDTAB',
+        '0', 'ENDSEC',
+        '0', 'SECTION', '2', 'ENTITIES',
+        ...entities,
+        '0', 'ENDSEC',
+        '0', 'EOF',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Expand rounded corners into polyline vertices with arc bulges.
+ * Expects points in a y-up coordinate system.
+ */
+function expandContour(contour) {
+    const vertices = [];
+
+    contour.forEach((point, i) => {
+        if (!point.radius) {
+            vertices.push({ x: point.x, y: point.y, bulge: 0 });
+            return;
+        }
+
+        const prev = contour[(i - 1 + contour.length) % contour.length];
+        const next = contour[(i + 1) % contour.length];
+        const inLength = Math.hypot(point.x - prev.x, point.y - prev.y);
+        const outLength = Math.hypot(next.x - point.x, next.y - point.y);
+        const inX = (point.x - prev.x) / inLength;
+        const inY = (point.y - prev.y) / inLength;
+        const outX = (next.x - point.x) / outLength;
+        const outY = (next.y - point.y) / outLength;
+
+        // Counter-clockwise turns get a positive bulge
+        const turn = Math.sign(inX * outY - inY * outX);
+
+        vertices.push({ x: point.x - inX * point.radius, y: point.y - inY * point.radius, bulge: turn * QUARTER_ARC_BULGE });
+        vertices.push({ x: point.x + outX * point.radius, y: point.y + outY * point.radius, bulge: 0 });
+    });
+
+    // Drop zero-length segments where two arcs meet at an edge midpoint
+    return vertices.filter((vertex, i) => {
+        const next = vertices[(i + 1) % vertices.length];
+        return vertex.bulge || Math.hypot(next.x - vertex.x, next.y - vertex.y) > 1e-9;
+    });
+}
+
+/**
+ * Convert a hex color to PostScript RGB components (0-1)
+ */
+function psColor(hex) {
+    return hexToRgb(hex)
+        .map(channel => num(channel / 255, 4))
+        .join(' ');
+}
+
+/**
+ * Format a number with limited precision
+ */
+function num(value, decimals = 3) {
+    return String(Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals));
+}
+
+module.exports = {
+    generateEPS,
+    generateDXF,
+    traceModuleOutlines
+};
@@ -0,0 +1,156 @@
+/**
+ * WiFi Networks
+ * Builds `WIFI:` join payloads for open, WEP, WPA/WPA2, WPA3 (SAE) and
+ * WPA2-Enterprise networks, and checks network settings before encoding
+ */
+
+/**
+ * Authentication types written to the T field
+ */
+const WIFI_SECURITY = {
+    NONE: 'nopass',
+    WEP: 'WEP',
+    WPA: 'WPA',
+    SAE: 'SAE',
+    EAP: 'WPA2-EAP'
+};
+
+/**
+ * Accepted spellings of each authentication type. WPA covers WPA2 and
+ * WPA2/WPA3 transition networks; SAE is WPA3-only.
+ */
+const SECURITY_ALIASES = {
+    'nopass': WIFI_SECURITY.NONE,
+    'none': WIFI_SECURITY.NONE,
+    'open': WIFI_SECURITY.NONE,
+    'wep': WIFI_SECURITY.WEP,
+    'wpa': WIFI_SECURITY.WPA,
+    'wpa2': WIFI_SECURITY.WPA,
+    'wpa/wpa2': WIFI_SECURITY.WPA,
+    'wpa2/wpa3': WIFI_SECURITY.WPA,
+    'wpa3': WIFI_SECURITY.SAE,
+    'sae': WIFI_SECURITY.SAE,
+    'wpa2-eap': WIFI_SECURITY.EAP,
+    'wpa-eap': WIFI_SECURITY.EAP,
+    'eap': WIFI_SECURITY.EAP,
+    'wpa2-enterprise': WIFI_SECURITY.EAP,
+    'enterprise': WIFI_SECURITY.EAP
+};
+
+/**
+ * EAP methods and phase 2 (inner) authentication of enterprise networks
+ */
+const EAP_METHODS = ['PEAP', 'TLS', 'TTLS', 'PWD', 'SIM', 'AKA', 'AKA\''];
+const PHASE2_METHODS = ['NONE', 'PAP', 'MSCHAP', 'MSCHAPV2', 'GTC', 'SIM', 'AKA', 'AKA\''];
+
+/**
+ * SSIDs are at most 32 bytes
+ */
+const MAX_SSID_BYTES = 32;
+
+/**
+ * Resolve the authentication type. Without one, networks with a password
+ * are WPA and networks without are open.
+ */
+function getSecurity(network) {
+    if (!network.encryption) {
+        return network.password ? WIFI_SECURITY.WPA : WIFI_SECURITY.NONE;
+    }
+    const key = String(network.encryption).trim().toLowerCase();
+    return SECURITY_ALIASES[key] || String(network.encryption).toUpperCase();
+}
+
+/**
+ * Build the WIFI: payload. Open networks get no P field, hidden networks
+ * get H:true, and enterprise networks add the EAP method (E), phase 2 (PH2),
+ * anonymous identity (A) and identity (I).
+ */
+function buildWifiPayload(network) {
+    const security = getSecurity(network);
+    const fields = [`T:${security}`, `S:${escapeWifi(network.ssid)}`];
+
+    if (security === WIFI_SECURITY.EAP) {
+        if (network.eapMethod) fields.push(`E:${String(network.eapMethod).toUpperCase()}`);
+        if (network.phase2) fields.push(`PH2:${String(network.phase2).toUpperCase()}`);
+        if (network.anonymousIdentity) fields.push(`A:${escapeWifi(network.anonymousIdentity)}`);
+        if (network.identity) fields.push(`I:${escapeWifi(network.identity)}`);
+    }
+    if (security !== WIFI_SECURITY.NONE && network.password) {
+        fields.push(`P:${escapeWifi(network.password)}`);
+    }
+    if (network.hidden === true || network.hidden === 'true') {
+        fields.push('H:true');
+    }
+
+    return `WIFI:${fields.join(';')};;`;
+}
+
+/**
+ * Escape the characters the WIFI: format reserves: backslash, semicolon,
+ * comma, colon and double quote
+ */
+function escapeWifi(value) {
+    return String(value).replace(/([\\;,:"])/g, '\\$1');
+}
+
+/**
+ * Check network settings; returns a list of problems
+ */
+function validateWifiNetwork(network) {
+    const errors = [];
+    const security = getSecurity(network);
+    const password = network.password ? String(network.password) : '';
+
+    if (!network.ssid) {
+        errors.push('WiFi configuration missing SSID');
+    } else if (Buffer.byteLength(String(network.ssid), 'utf8') > MAX_SSID_BYTES) {
+        errors.push(`WiFi SSID is longer than ${MAX_SSID_BYTES} bytes`);
+    }
+
+    switch (security) {
+        case WIFI_SECURITY.NONE:
+            if (password) {
+                errors.push('Open networks take no password; set an encryption type or remove the password');
+            }
+            break;
+        case WIFI_SECURITY.WEP:
+            if (!/^(.{5}|.{13}|[0-9A-Fa-f]{10}|[0-9A-Fa-f]{26})$/.test(password)) {
+                errors.push('WEP keys are 5 or 13 characters, or 10 or 26 hex digits');
+            }
+            break;
+        case WIFI_SECURITY.WPA:
+            if (!/^[0-9A-Fa-f]{64}$/.test(password) && (password.length < 8 || password.length > 63)) {
+                errors.push('WPA passwords are 8 to 63 characters, or 64 hex digits');
+            }
+            break;
+        case WIFI_SECURITY.SAE:
+            if (!password) {
+                errors.push('WPA3 networks need a password');
+            }
+            break;
+        case WIFI_SECURITY.EAP:
+            if (!network.eapMethod) {
+                errors.push('WPA2-Enterprise networks need an EAP method');
+            } else if (!EAP_METHODS.includes(String(network.eapMethod).toUpperCase())) {
+                errors.push(`Unknown EAP method "${network.eapMethod}"; use one of ${EAP_METHODS.join(', ')}`);
+            }
+            if (network.phase2 && !PHASE2_METHODS.includes(String(network.phase2).toUpperCase())) {
+                errors.push(`Unknown phase 2 method "${network.phase2}"; use one of ${PHASE2_METHODS.join(', ')}`);
+            }
+            if (!network.identity) {
+                errors.push('WPA2-Enterprise networks need an identity');
+            }
+            break;
+        default:
+            errors.push(`Unknown WiFi encryption "${network.encryption}"; use nopass, WEP, WPA, WPA3 or WPA2-EAP`);
+    }
+
+    return errors;
+}
+
+module.exports = {
+    buildWifiPayload,
+    validateWifiNetwork,
+    escapeWifi,
+    WIFI_SECURITY
+};
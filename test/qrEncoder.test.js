@@ -0,0 +1,115 @@
+/**
+ * QR Encoder round trips: symbols from the segment planner and the
+ * hand-written encoder are read back with jsQR and with decodeQRSymbol
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const jsQR = require('jsqr');
+const { encodeQR, encodeSegments, decodeQRSymbol } = require('../src/qrEncoder');
+const { segmentText } = require('../src/qrSegments');
+
+/**
+ * Draw a symbol as RGBA pixels with a quiet zone, as jsQR reads it
+ */
+function toImage(symbol, scale = 4, margin = 4) {
+    const size = (symbol.width + margin * 2) * scale;
+    const pixels = new Uint8ClampedArray(size * size * 4).fill(255);
+    for (let row = 0; row < symbol.height; row++) {
+        for (let col = 0; col < symbol.width; col++) {
+            if (!symbol.data[row * symbol.width + col]) continue;
+            for (let y = 0; y < scale; y++) {
+                for (let x = 0; x < scale; x++) {
+                    const offset = (((row + margin) * scale + y) * size + (col + margin) * scale + x) * 4;
+                    pixels.fill(0, offset, offset + 3);
+                }
+            }
+        }
+    }
+    return { pixels, size };
+}
+
+function scan(symbol) {
+    const { pixels, size } = toImage(symbol);
+    const result = jsQR(pixels, size, size);
+    assert.ok(result, 'jsQR could not read the symbol');
+    return result;
+}
+
+function decode(symbol) {
+    return decodeQRSymbol((row, col) => !!symbol.data[row * symbol.width + col], symbol.width);
+}
+
+test('planned segments read back as the content', () => {
+    const contents = [
+        '0123456789012345678901234567890',
+        'HELLO WORLD $%*+-./: 1234',
+        'Order ABC-12345 ships on 2024-06-01 to 221B Baker Street',
+        'https://example.com/product?id=000123456789&ref=QR',
+        'Grüße aus Zürich ✓'
+    ];
+    for (const content of contents) {
+        for (const errorCorrectionLevel of ['L', 'M', 'Q', 'H']) {
+            const symbol = encodeQR(content, { errorCorrectionLevel });
+            assert.strictEqual(scan(symbol).data, content);
+            assert.strictEqual(decode(symbol).text, content);
+        }
+    }
+});
+
+test('Kanji segments are written in Shift_JIS', () => {
+    const content = '漢字テスト、日本語のQRコード';
+    const symbol = encodeQR(content);
+    assert.ok(symbol.segments.some(segment => segment.mode === 'kanji'));
+    assert.strictEqual(decode(symbol).text, content);
+    scan(symbol);
+});
+
+test('ECI headers name the character set of byte segments', () => {
+    const cases = [
+        { content: 'Ærøskøbing café', eci: 'iso-8859-1', assignment: 3 },
+        { content: 'Ελληνικά γράμματα', eci: 'iso-8859-7', assignment: 9 },
+        { content: 'Smörgåsbord 🍞', eci: 'utf-8', assignment: 26 }
+    ];
+    for (const { content, eci, assignment } of cases) {
+        const symbol = encodeQR(content, { eci });
+        const decoded = decode(symbol);
+        assert.strictEqual(decoded.text, content);
+        assert.strictEqual(decoded.eci, eci);
+
+        const scanned = scan(symbol);
+        assert.deepStrictEqual(
+            scanned.chunks.filter(chunk => chunk.type === 'eci').map(chunk => chunk.assignmentNumber),
+            [assignment]
+        );
+    }
+});
+
+test('the encoder picks the same mask and layout as the qrcode package', () => {
+    const contents = ['HELLO 123', 'https://example.com/a/b/c?d=e', '漢字とカナ 2024', 'x'.repeat(300)];
+    for (const content of contents) {
+        for (const errorCorrectionLevel of ['L', 'M', 'Q', 'H']) {
+            // Without an ECI header encodeQR builds the symbol with the qrcode package
+            const reference = encodeQR(content, { errorCorrectionLevel });
+            const symbol = encodeSegments(reference.segments, {
+                version: reference.version,
+                errorCorrectionLevel
+            });
+            assert.strictEqual(symbol.width, reference.width);
+            assert.deepStrictEqual(Array.from(symbol.data), Array.from(reference.data),
+                `${content.slice(0, 20)} at level ${errorCorrectionLevel}`);
+        }
+    }
+});
+
+test('Structured Append headers read back with the symbol', () => {
+    const content = 'Part two of three';
+    const symbol = encodeSegments(segmentText(content, { version: 2 }), {
+        version: 2,
+        errorCorrectionLevel: 'M',
+        structuredAppend: { index: 1, total: 3, parity: 0x5A }
+    });
+    const decoded = decode(symbol);
+    assert.deepStrictEqual(decoded.structuredAppend, { index: 1, total: 3, parity: 0x5A });
+    assert.strictEqual(decoded.text, content);
+});